@@ -1,279 +1,902 @@
 const { ethers } = require("ethers");
+const { ReserveScanner } = require("./lib/reserve-scanner");
+const { encodeRoute, routeKey } = require("./lib/route-encoder");
+const { PaperLedger } = require("./lib/paper-ledger");
+const { RouteBlacklist } = require("./lib/route-blacklist");
+const { PERMANENT, decodeRevert, describeRevert } = require("./lib/revert-decoder");
+const { FeeStrategy } = require("./lib/fee-strategy");
+const { NonceManager } = require("./lib/nonce-manager");
+const { decodeTradeReceipt, realizedProfit } = require("./lib/trade-receipt");
+const { TradeJournal } = require("./lib/trade-journal");
+const { FLASH_LOAN_ABI, PRICE_ORACLE_ABI } = require("./lib/abis");
+const { TokenRegistry } = require("./lib/token-registry");
+const { TokenAmount } = require("./lib/token-amount");
+const { GasConverter } = require("./lib/gas-converter");
+const { MempoolWatcher } = require("./lib/mempool-watcher");
+const { withinLimit } = require("./lib/swap-decoder");
+const { PUBLIC, PRIVATE, BUNDLE, RelayClient, PublicSubmitter, PrivateRelaySubmitter, BundleSubmitter, serializeSigned } = require("./lib/submission");
+const { RpcPool } = require("./lib/rpc-pool");
+const { STALE, REORG, BlockTracker } = require("./lib/block-tracker");
+const { createBotMetrics, createStatusServer } = require("./lib/metrics");
+const { ArbitrageStrategy } = require("./lib/strategy");
+const { Logger } = require("./lib/logger");
+const { Notifier, AlertRules, channelsFromConfig } = require("./lib/notifier");
+const { DEFAULT_CONFIG_FILE, loadConfig, activeNetwork, watchConfig } = require("./lib/config");
 require("dotenv").config();
 
-// Token addresses on Polygon
-const TOKEN_ADDRESSES = {
-  USDC: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",
-  WMATIC: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
-  WETH: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",
-  DAI: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063"
-};
-
-// DEX addresses on Polygon
-const DEX_ADDRESSES = {
-  QuickSwap: {
-    factory: "0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32",
-    router: "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff"
-  },
-  SushiSwap: {
-    factory: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4",
-    router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506"
-  }
-};
-
-// FlashLoanPolygon ABI (simplified)
-const FLASH_LOAN_ABI = [
-  "function initiateFlashLoan(address _token, uint256 _amount, uint256 _slippageBps) external",
-  "function executeMultiDexArbitrage(address _token, uint256 _amount, uint256 _slippageBps, address[] calldata _routers, address[][] calldata _paths) external returns (uint256)",
-  "function getAssetRiskConfig(address asset) external view returns (uint256 maxLoanAmount, uint256 ltvRatio, uint256 riskScore, bool isActive)",
-  "function circuitBreakerActive() public view returns (bool)"
-];
-
-// PriceOraclePolygon ABI (simplified)
-const PRICE_ORACLE_ABI = [
-  "function getPrice(string memory dexName, address tokenA, address tokenB, uint256 amountIn) public view returns (uint256 amountOut)",
-  "function getArbitrageOpportunity(address tokenA, address tokenB, uint256 amountIn) public view returns (string memory dexWithBestPrice, uint256 bestPrice, uint256 priceDifference)",
-  "function addChainlinkOracle(address token, address oracle) external",
-  "function addDex(string memory name, address factory, address router) external"
-];
 
 class ArbitrageBot {
-  constructor(rpcUrl, privateKey, flashLoanAddress, priceOracleAddress) {
-    this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    this.wallet = new ethers.Wallet(privateKey, this.provider);
+  constructor(config, privateKey) {
+    const network = activeNetwork(config);
+    
+    // Structured logs; the key is registered as a secret so no line can ever contain it
+    this.log = new Logger(config.logging);
+    this.log.addSecret(privateKey);
+    
+    // Every configured endpoint, each a batch provider folding concurrent reads (e.g. reserve
+    // refreshes) into one RPC request; calls fail over to the next endpoint when one misbehaves
+    this.provider = new RpcPool([network.rpcUrl, ...network.fallbackRpcUrls], { chainId: network.chainId, name: config.network }, {
+      ...config.rpc,
+      wsUrl: network.wsUrl,
+      logger: this.log
+    });
+    // Reserves and the circuit breaker can require several endpoints to agree (rpc.quorum)
+    this.quorumProvider = this.provider.withQuorum(config.rpc.quorum);
+    
+    // Dry-run mode never holds a key: a VoidSigner can simulate but cannot sign
+    this.dryRun = config.dryRun.enabled;
+    this.wallet = this.dryRun
+      ? new ethers.VoidSigner(config.dryRun.fromAddress || new ethers.Wallet(privateKey).address, this.provider)
+      : new ethers.Wallet(privateKey, this.provider);
+    this.paperLedger = this.dryRun ? new PaperLedger(config.dryRun.ledgerFile) : null;
+    this.tradeJournal = this.dryRun ? null : new TradeJournal(config.journal.file);
     
     // Initialize contracts with proper ABIs
     this.flashLoanContract = new ethers.Contract(
-      flashLoanAddress,
+      network.contracts.flashLoan,
       FLASH_LOAN_ABI,
       this.wallet
     );
     
+    this.circuitBreakerReader = new ethers.Contract(network.contracts.flashLoan, FLASH_LOAN_ABI, this.quorumProvider);
+    
     this.priceOracleContract = new ethers.Contract(
-      priceOracleAddress,
+      network.contracts.priceOracle,
       PRICE_ORACLE_ABI,
       this.wallet
     );
     
+    this.reserveScanner = null; // Built by applyConfig from the configured DEXes
+    this.routerSupport = new Map(); // router => supportedRouters result, cleared on discovery
+    this.routeBlacklist = new RouteBlacklist(config.risk.blacklistCooldownMs);
+    this.lastDiscoveryBlock = 0;
+    
+    this.feeStrategy = new FeeStrategy(this.provider);
+    this.nonceManager = this.dryRun ? null : new NonceManager(this.wallet, {
+      logger: this.log,
+      getFees: () => ({
+        maxPriorityFeePerGas: this.feeStrategy.priorityFee,
+        maxFeePerGas: this.feeStrategy.baseFee.mul(this.feeStrategy.baseFeeMultiplier).add(this.feeStrategy.priorityFee)
+      })
+    });
+    
+    // Submission backends by name; the relay ones need a relay, authenticated with the trading key
+    this.submitters = {};
+    if (!this.dryRun) {
+      this.submitters[PUBLIC] = new PublicSubmitter(this.nonceManager);
+      if (config.submission.relayUrl) {
+        const relay = new RelayClient(config.submission.relayUrl, this.wallet);
+        this.submitters[PRIVATE] = new PrivateRelaySubmitter(this.nonceManager, relay);
+        this.submitters[BUNDLE] = new BundleSubmitter(this.nonceManager, relay);
+      }
+    }
+    this.tokenRegistry = new TokenRegistry(this.provider, network.tokens);
+    this.gasConverter = new GasConverter(this.tokenRegistry, network.tokens[network.nativeToken].address);
+    // Cycle finding and sizing, shared with the backtester; start tokens are set by discovery
+    this.strategy = new ArbitrageStrategy(this.tokenRegistry, this.gasConverter, { logger: this.log });
     this.gasPrice = ethers.BigNumber.from(0);
     this.lastBlockNumber = 0;
+    this.marketState = null; // Protocol fee and volume headroom as of the last processed block
+    
+    // Heads are checked by hash; a reorg bumps the epoch so opportunities priced on orphaned blocks are dropped
+    this.blockTracker = new BlockTracker(this.provider);
+    this.chainEpoch = 0;
+    this.pendingHead = null; // Newest announced head not processed yet
+    this.processingHead = false;
+    this.circuitBreakerActive = false;
+    
+    // Prometheus metrics, served with /healthz when metrics.enabled
+    this.metrics = createBotMetrics();
+    this.statusServer = null;
+    
+    // On-call alerts; thresholds and channels are set by applyConfig
+    this.notifier = new Notifier([], { logger: this.log });
+    this.alerts = new AlertRules(this.notifier, {});
+    this.blockWatchdog = null;
+    this.startedAt = Date.now();
+    this.lastBlockAt = null;
+    
+    // Optional mempool subscription for backrunning pending router swaps
+    this.mempoolWatcher = null;
+    if (config.mempool.enabled) {
+      // Pending-transaction filters live on one node, so polling sticks to the primary endpoint
+      const pendingProvider = config.mempool.wsUrl
+        ? new ethers.providers.WebSocketProvider(config.mempool.wsUrl)
+        : this.provider.endpoints[0].provider;
+      this.mempoolWatcher = new MempoolWatcher(pendingProvider, network.dexes, { logger: this.log });
+    }
+    
+    this.config = null;
+    this.applyConfig(config);
+  }
+
+  /**
+   * Apply a validated config. Called at startup and again whenever the config file changes;
+   * settings bound to the provider, signer or contracts only take effect after a restart.
+   */
+  applyConfig(config) {
+    const network = activeNetwork(config);
+    const previous = this.config;
+    
+    if (previous) {
+      const before = activeNetwork(previous);
+      const restartOnly = {
+        network: [previous.network, config.network],
+        rpcUrl: [before.rpcUrl, network.rpcUrl],
+        fallbackRpcUrls: [before.fallbackRpcUrls.join(","), network.fallbackRpcUrls.join(",")],
+        wsUrl: [before.wsUrl, network.wsUrl],
+        healthCheckInterval: [previous.rpc.healthCheckInterval, config.rpc.healthCheckInterval],
+        contracts: [JSON.stringify(before.contracts), JSON.stringify(network.contracts)],
+        dryRun: [JSON.stringify(previous.dryRun), JSON.stringify(config.dryRun)],
+        metrics: [JSON.stringify(previous.metrics), JSON.stringify(config.metrics)],
+        logFile: [JSON.stringify([previous.logging.file, previous.logging.format]), JSON.stringify([config.logging.file, config.logging.format])],
+        mempool: [JSON.stringify(previous.mempool), JSON.stringify(config.mempool)],
+        journal: [previous.journal.file, config.journal.file],
+        relayUrl: [previous.submission.relayUrl, config.submission.relayUrl]
+      };
+      for (const [setting, [was, now]] of Object.entries(restartOnly)) {
+        if (was !== now) this.log.warn("Config setting changed, restart the bot to apply it", { setting });
+      }
+    }
+    
+    this.config = config;
+    this.log.level = config.logging.level;
+    
+    const { alerts } = config;
+    this.notifier.channels = channelsFromConfig(alerts);
+    this.notifier.cooldownMs = alerts.cooldownMs;
+    this.notifier.maxPerHour = alerts.maxPerHour;
+    this.alerts.thresholds = {
+      consecutiveFailures: alerts.consecutiveFailures,
+      minBalance: ethers.utils.parseEther(alerts.minBalanceMatic),
+      volumeUsageBps: alerts.volumeUsageBps,
+      staleBlockSeconds: alerts.staleBlockSeconds
+    };
+    this.tokens = network.tokens; // symbol => { address, decimals }
+    this.nativeToken = network.tokens[network.nativeToken].address;
+    this.tokenRegistry.configure(network.tokens);
+    this.gasConverter.nativeToken = this.nativeToken;
+    
+    // A different DEX set invalidates every tracked pool
+    if (!previous || JSON.stringify(this.dexes) !== JSON.stringify(network.dexes)) {
+      this.reserveScanner = new ReserveScanner(this.quorumProvider, network.dexes);
+    }
+    this.dexes = network.dexes;
+    if (this.mempoolWatcher) this.mempoolWatcher.setDexes(network.dexes);
     
-    // Update gas price periodically
-    this.updateGasPrice();
-    setInterval(() => this.updateGasPrice(), 30000); // Every 30 seconds
+    const { rpc, strategy, fees, nonces } = config;
+    this.provider.timeoutMs = rpc.timeoutMs;
+    this.provider.maxBlockLag = rpc.maxBlockLag;
+    this.quorumProvider.quorum = rpc.quorum;
+    this.strategy.maxHops = strategy.maxHops;
+    this.discoveryInterval = strategy.discoveryInterval; // Blocks between factory scans
+    this.pairScanLimit = strategy.pairScanLimit;
+    this.slippageBps = strategy.slippageBps;
+    this.gasLimitMultiplierPct = strategy.gasLimitMultiplierPct;
+    this.gasEstimate = strategy.gasEstimate;
+    this.strategy.gasEstimate = strategy.gasEstimate;
+    
+    this.routeBlacklist.cooldownMs = config.risk.blacklistCooldownMs;
+    this.feeStrategy.blockCount = fees.historyBlocks;
+    this.feeStrategy.rewardPercentile = fees.priorityFeePercentile;
+    this.feeStrategy.maxProfitShareBps = fees.maxTipProfitShareBps;
+    if (this.nonceManager) {
+      this.nonceManager.stuckBlocks = nonces.stuckBlocks;
+      this.nonceManager.maxReplacements = nonces.maxSpeedups;
+    }
+    if (this.submitters[PRIVATE]) this.submitters[PRIVATE].maxBlocks = config.submission.privateMaxBlocks;
+    if (this.submitters[BUNDLE]) {
+      this.submitters[BUNDLE].blocks = config.submission.bundleBlocks;
+      this.submitters[BUNDLE].simulate = config.submission.simulateBundles;
+    }
+    
+    // Token or DEX edits are picked up by a rediscovery on the next block
+    if (previous) {
+      this.lastDiscoveryBlock = 0;
+      this.log.info("Config reloaded");
+    }
   }
 
   /**
-   * Update current gas price
+   * Refresh EIP-1559 fees from the fee history up to a block
    */
-  async updateGasPrice() {
+  async updateGasPrice(blockNumber) {
     try {
-      const feeData = await this.provider.getFeeData();
-      this.gasPrice = feeData.gasPrice || ethers.BigNumber.from(0);
-      console.log(`Current gas price: ${ethers.utils.formatUnits(this.gasPrice, "gwei")} Gwei`);
+      await this.feeStrategy.update(blockNumber);
+      this.gasPrice = this.feeStrategy.getGasPrice();
+      const baseFee = ethers.utils.formatUnits(this.feeStrategy.baseFee, "gwei");
+      const priorityFee = ethers.utils.formatUnits(this.feeStrategy.priorityFee, "gwei");
+      this.metrics.baseFee.set({}, parseFloat(baseFee));
+      this.metrics.priorityFee.set({}, parseFloat(priorityFee));
+      this.log.debug("Fees updated", { blockNumber, baseFeeGwei: baseFee, priorityFeeGwei: priorityFee });
     } catch (error) {
-      console.error("Error updating gas price:", error);
+      this.log.error("Error updating gas price", { blockNumber, error });
     }
   }
 
+  /**
+   * Serve /metrics and /healthz on the configured address
+   */
+  startStatusServer() {
+    const { host, port } = this.config.metrics;
+    this.statusServer = createStatusServer(this.metrics.registry, () => this.getHealth());
+    this.statusServer.listen(port, host, () => {
+      this.log.info("Serving /metrics and /healthz", { url: `http://${host}:${this.statusServer.address().port}` });
+    });
+  }
+
+  /**
+   * Liveness: healthy while blocks keep arriving (counted from startup until the first one)
+   */
+  getHealth() {
+    const since = this.lastBlockAt || this.startedAt;
+    const secondsSinceBlock = Math.round((Date.now() - since) / 1000);
+    return {
+      healthy: secondsSinceBlock <= this.config.metrics.staleBlockSeconds,
+      lastBlock: this.lastBlockNumber || null,
+      secondsSinceBlock,
+      circuitBreakerActive: this.circuitBreakerActive,
+      dryRun: this.dryRun,
+      // Hosts only: endpoint paths often carry API keys
+      rpc: this.provider.endpoints.map(({ url, healthy, latencyMs }) => ({ host: new URL(url).host, healthy, latencyMs }))
+    };
+  }
+
   /**
    * Monitor for arbitrage opportunities
    */
   async monitorOpportunities() {
-    console.log("Starting arbitrage monitoring...");
+    this.log.info("Starting arbitrage monitoring");
+    if (this.config.metrics.enabled) this.startStatusServer();
     
-    // Listen for new blocks
-    this.provider.on("block", async (blockNumber) => {
-      if (blockNumber <= this.lastBlockNumber) return;
-      this.lastBlockNumber = blockNumber;
+    // Build the token graph once up front, then top it up periodically
+    this.lastDiscoveryBlock = await this.provider.getBlockNumber();
+    await this.discoverRoutes();
+    
+    // Alert when blocks stop arriving, counting from startup until the first one
+    this.alerts.lastBlockAt = Date.now();
+    this.blockWatchdog = setInterval(() => this.alert("checkBlocks"), 10000);
+    this.blockWatchdog.unref();
+    
+    // Listen for new blocks, over WebSocket when configured; endpoints are health-checked meanwhile
+    this.provider.start();
+    this.provider.watchBlocks(blockNumber => this.onNewHead(blockNumber));
+    
+    // React to swaps before they land instead of to the state they leave behind
+    if (this.mempoolWatcher) {
+      this.mempoolWatcher.start((swap, tx) => this.onPendingSwap(swap, tx));
+      this.log.info("Watching the mempool for router swaps to backrun");
+    }
+  }
+
+  /**
+   * Evaluate an alert rule in the background: a failing alert endpoint is logged, never
+   * thrown into the loop that raised it
+   */
+  alert(rule, ...args) {
+    this.alerts[rule](...args).catch(error => this.log.error("Error sending alert", { rule, error }));
+  }
+
+  /**
+   * Queue a head announced by the provider. Heads that arrive while a block is being
+   * processed are coalesced: only the newest one is processed next.
+   */
+  async onNewHead(blockNumber) {
+    this.pendingHead = blockNumber;
+    if (this.processingHead) return;
+    
+    this.processingHead = true;
+    try {
+      while (this.pendingHead !== null) {
+        const head = this.pendingHead;
+        this.pendingHead = null;
+        await this.processBlock(head);
+      }
+    } finally {
+      this.processingHead = false;
+    }
+  }
+
+  /**
+   * Check a head against the blocks already processed, then scan it
+   */
+  async processBlock(head) {
+    let advance;
+    try {
+      advance = await this.blockTracker.advance(head);
+    } catch (error) {
+      this.log.error("Error reading block header", { blockNumber: head, error });
+      return;
+    }
+    if (advance.status === STALE) return;
+    
+    const blockNumber = advance.block.number;
+    if (advance.status === REORG) {
+      this.handleReorg(advance);
+    } else if (advance.skipped > 0) {
+      this.metrics.blocksSkipped.inc({}, advance.skipped);
+      this.log.debug("Skipped blocks behind the head", { blockNumber, skipped: advance.skipped });
+    }
+    this.lastBlockNumber = blockNumber;
+    this.lastBlockAt = Date.now();
+    // Alerts are not awaited so a slow alert endpoint never delays trading
+    this.alert("blockSeen", blockNumber, this.lastBlockAt);
+    this.metrics.blocksProcessed.inc();
+    this.metrics.lastBlock.set({}, blockNumber);
+    
+    this.log.debug("Processing block", { blockNumber });
+    
+    try {
+      // Fees follow the chain head, not a timer
+      await this.updateGasPrice(blockNumber);
       
-      console.log(`Processing block ${blockNumber}`);
+      // Settle mined nonces, speed up or cancel stuck ones
+      if (this.nonceManager) {
+        await this.nonceManager.onBlock(blockNumber);
+      }
       
-      try {
-        // Check if circuit breaker is active
-        const circuitBreakerActive = await this.flashLoanContract.circuitBreakerActive();
-        if (circuitBreakerActive) {
-          console.log("Circuit breaker is active, skipping arbitrage check");
-          return;
-        }
-        
-        // Check for opportunities
-        const opportunities = await this.findArbitrageOpportunities();
-        
-        for (const opportunity of opportunities) {
-          if (opportunity.isProfitable) {
-            console.log("Found profitable opportunity:", opportunity);
-            await this.executeArbitrage(opportunity);
-          }
+      if (blockNumber - this.lastDiscoveryBlock >= this.discoveryInterval) {
+        this.lastDiscoveryBlock = blockNumber;
+        await this.discoverRoutes();
+      }
+      
+      const balance = await this.provider.getBalance(this.wallet.address, blockNumber);
+      this.metrics.walletBalance.set({}, parseFloat(ethers.utils.formatEther(balance)));
+      this.alert("walletBalance", balance);
+      
+      // Check if circuit breaker is active
+      this.circuitBreakerActive = await this.circuitBreakerReader.circuitBreakerActive({ blockTag: blockNumber });
+      this.metrics.circuitBreaker.set({}, this.circuitBreakerActive ? 1 : 0);
+      this.alert("circuitBreaker", this.circuitBreakerActive);
+      if (this.circuitBreakerActive) {
+        this.log.warn("Circuit breaker is active, skipping arbitrage check", { blockNumber });
+        return;
+      }
+      
+      // Check for opportunities
+      const endScan = this.metrics.scanDuration.startTimer();
+      const opportunities = await this.findArbitrageOpportunities(blockNumber);
+      endScan();
+      
+      for (const opportunity of opportunities) {
+        if (opportunity.isProfitable) {
+          this.metrics.opportunitiesFound.inc({ source: "block" });
+          this.log.info("Found profitable opportunity", {
+            opportunityId: opportunity.id,
+            blockNumber,
+            route: opportunity.tokenPath.join(" -> "),
+            dex: opportunity.dexName,
+            amountIn: opportunity.amountIn.toString(),
+            expectedProfit: opportunity.expectedProfit.toString(),
+            gasCost: `${opportunity.gasCost} (${opportunity.nativeGasCost})`,
+            netProfit: opportunity.netProfit.toString()
+          });
+          await this.executeArbitrage(opportunity);
         }
-      } catch (error) {
-        console.error("Error in monitoring loop:", error);
       }
+    } catch (error) {
+      this.log.error("Error in monitoring loop", { blockNumber, error });
+    }
+  }
+
+  /**
+   * Drop everything derived from orphaned blocks; the new head is scanned from scratch
+   */
+  handleReorg({ block, ancestor, depth }) {
+    this.chainEpoch++;
+    this.metrics.reorgs.inc();
+    this.log.warn("Chain reorganized, discarding state from orphaned blocks", {
+      blockNumber: block.number,
+      blockHash: block.hash,
+      commonAncestor: ancestor,
+      depth
     });
+    
+    this.reserveScanner.invalidate();
+    this.gasConverter.update(new Map(), this.reserveScanner);
+    this.marketState = null;
   }
 
   /**
-   * Find arbitrage opportunities across DEXs
+   * Simulate a pending router swap on a fork of the tracked reserves and backrun the
+   * best arbitrage it opens up
    */
-  async findArbitrageOpportunities() {
-    const opportunities = [];
+  async onPendingSwap(swap, tx) {
+    if (!this.marketState || this.circuitBreakerActive) return;
+    if (swap.deadline < Math.floor(Date.now() / 1000)) return;
     
-    // Common token paths to check
-    const tokenPaths = [
-      [TOKEN_ADDRESSES.USDC, TOKEN_ADDRESSES.WETH, TOKEN_ADDRESSES.DAI, TOKEN_ADDRESSES.USDC],
-      [TOKEN_ADDRESSES.USDC, TOKEN_ADDRESSES.WMATIC, TOKEN_ADDRESSES.WETH, TOKEN_ADDRESSES.USDC],
-      [TOKEN_ADDRESSES.DAI, TOKEN_ADDRESSES.WETH, TOKEN_ADDRESSES.USDC, TOKEN_ADDRESSES.DAI]
-    ];
+    const chainEpoch = this.chainEpoch;
+    const fork = this.reserveScanner.fork();
+    const result = fork.applySwap(swap.dexName, swap.path, swap.exactIn ? swap.amountIn : swap.amountOut, swap.exactIn);
     
-    const testAmount = ethers.utils.parseUnits("1000", 6); // 1000 USDC
+    // Pools we do not track, or a swap the router would revert on its own slippage check
+    if (!result || !withinLimit(swap, result.amounts)) return;
     
-    for (const path of tokenPaths) {
-      try {
-        // Get arbitrage opportunity from price oracle
-        const result = await this.priceOracleContract.getArbitrageOpportunity(
-          path[0], 
-          path[path.length - 1], 
-          testAmount
-        );
-        
-        if (result.dexWithBestPrice && result.bestPrice.gt(0)) {
-          // Calculate profit
-          const expectedProfit = result.bestPrice.sub(testAmount);
-          const gasCostEstimate = this.gasPrice.mul(500000); // Estimate gas cost for flash loan
-          const isProfitable = expectedProfit.gt(gasCostEstimate) && expectedProfit.gt(0);
-          
-          opportunities.push({
-            dexName: result.dexWithBestPrice,
-            tokenPath: path.map(addr => this.getTokenSymbol(addr)),
-            expectedProfit: ethers.utils.formatUnits(expectedProfit, 6),
-            gasCostEstimate: ethers.utils.formatUnits(gasCostEstimate, 18),
-            isProfitable: isProfitable,
-            rawProfit: expectedProfit,
-            rawGasCost: gasCostEstimate
-          });
-        }
-      } catch (error) {
-        console.error(`Error checking arbitrage opportunity:`, error);
-      }
+    const touched = new Set(result.pools.map(pool => pool.address));
+    const best = this.strategy.evaluate(fork, this.market(), touched)
+      .filter(opportunity => opportunity.isProfitable)
+      .sort((a, b) => (b.netProfit.gt(a.netProfit) ? 1 : -1))[0];
+    if (!best) return;
+    
+    this.metrics.opportunitiesFound.inc({ source: "mempool" });
+    best.backrun = swap;
+    best.chainEpoch = chainEpoch;
+    best.leadingTx = serializeSigned(tx); // Leads the bundle when backruns go through one
+    this.log.info("Found backrun", {
+      opportunityId: best.id,
+      target: swap.hash,
+      method: swap.method,
+      dex: swap.dexName,
+      route: best.tokenPath.join(" -> "),
+      amountIn: best.amountIn.toString(),
+      netProfit: best.netProfit.toString()
+    });
+    await this.executeArbitrage(best);
+  }
+
+  /**
+   * Discover pairs from every DEX factory and refresh the tokens cycles may start at
+   */
+  async discoverRoutes() {
+    try {
+      const knownTokens = Object.values(this.tokens).map(token => token.address);
+      await this.reserveScanner.loadPairs(knownTokens);
+      const added = await this.reserveScanner.discoverFactoryPairs(knownTokens, this.pairScanLimit);
+      
+      // Decimals and symbols of new tokens are read once and cached
+      const tokens = this.reserveScanner.getTokens();
+      const [configs, unreadable] = await Promise.all([
+        Promise.all(tokens.map(token => this.flashLoanContract.getAssetRiskConfig(token).catch(() => null))),
+        this.tokenRegistry.loadAll(tokens)
+      ]);
+      
+      // Only assets with an active risk config can be flash borrowed, and only known decimals can be priced
+      const startTokens = tokens.filter((token, i) => configs[i] && configs[i].isActive && !unreadable.includes(token));
+      this.strategy.setStartTokens(startTokens, startTokens.map(token => configs[tokens.indexOf(token)]));
+      this.routerSupport.clear();
+      
+      this.log.info("Route discovery", { newPairs: added, tokens: tokens.length, borrowable: startTokens.length });
+    } catch (error) {
+      this.log.error("Error discovering routes", { error });
+    }
+  }
+
+  /**
+   * Find arbitrage opportunities across DEXs using locally priced reserves
+   */
+  async findArbitrageOpportunities(blockNumber = "latest") {
+    try {
+      // One batched round per block: every tracked pair, the contract's sizing limits and oracle prices
+      const [, feeBps, volume, prices] = await Promise.all([
+        this.reserveScanner.refresh(blockNumber),
+        this.flashLoanContract.protocolFeeBps({ blockTag: blockNumber }),
+        this.flashLoanContract.getDailyVolumeUsage({ blockTag: blockNumber }),
+        this.getOraclePrices([this.nativeToken, ...this.strategy.startTokens], blockNumber)
+      ]);
+      this.gasConverter.update(prices, this.reserveScanner);
+      this.marketState = {
+        protocolFeeBps: feeBps.toNumber(),
+        volumeHeadroom: volume.max.gt(volume.used) ? volume.max.sub(volume.used) : ethers.BigNumber.from(0)
+      };
+      this.alert("volumeUsage", volume.used, volume.max);
+    } catch (error) {
+      this.log.error("Error refreshing pair reserves", { blockNumber, error });
+      return [];
     }
     
+    const opportunities = this.strategy.evaluate(this.reserveScanner, this.market());
+    opportunities.forEach(opportunity => { opportunity.chainEpoch = this.chainEpoch; });
     return opportunities;
   }
 
+  /**
+   * Market state the strategy prices against: current fees and the last block's contract limits
+   */
+  market() {
+    return { gasPrice: this.gasPrice, ...this.marketState };
+  }
+
   /**
    * Execute arbitrage trade
    */
   async executeArbitrage(opportunity) {
+    // Every line about this opportunity carries its correlation ID
+    const log = this.log.child({ opportunityId: opportunity.id, route: opportunity.tokenPath.join(" -> ") });
     try {
-      console.log(`Executing arbitrage on ${opportunity.dexName}`);
+      log.info("Executing arbitrage", { dex: opportunity.dexName });
       
       // Check risk configuration
       try {
-        const usdcConfig = await this.flashLoanContract.getAssetRiskConfig(TOKEN_ADDRESSES.USDC);
-        if (!usdcConfig.isActive) {
-          console.log("USDC is not active for flash loans, skipping execution");
+        const riskConfig = await this.flashLoanContract.getAssetRiskConfig(opportunity.token);
+        if (!riskConfig.isActive) {
+          log.info("Token is not active for flash loans, skipping execution", { token: this.getTokenSymbol(opportunity.token) });
           return;
         }
       } catch (error) {
-        console.error("Error checking risk configuration:", error);
+        log.error("Error checking risk configuration", { error });
+        return;
+      }
+      
+      // Turn the discovered hops into router/path arrays
+      let route;
+      try {
+        route = encodeRoute(opportunity.hops, this.dexes);
+      } catch (error) {
+        log.info("Skipping route", { reason: error.message });
+        return;
+      }
+      
+      const unsupported = await this.getUnsupportedRouters(route.routers);
+      if (unsupported.length > 0) {
+        log.info("Skipping route: router not supported by contract", { routers: unsupported });
+        return;
+      }
+      
+      const key = routeKey(opportunity.token, route);
+      const blacklisted = this.routeBlacklist.get(key);
+      if (blacklisted) {
+        log.info("Skipping route: blacklisted", { until: new Date(blacklisted.expiresAt).toISOString(), reason: blacklisted.reason });
         return;
       }
       
       // Prepare parameters
-      const amount = ethers.utils.parseUnits("1000", 6); // 1000 USDC
-      const slippageBps = 50; // 0.5% slippage
+      const amount = opportunity.amountIn.raw; // Sized by findArbitrageOpportunities
+      const slippageBps = this.slippageBps;
+      
+      // A backrun only works after its target lands, so it cannot be simulated against the current head
+      if (opportunity.backrun && this.dryRun) {
+        log.info("[dry-run] Would backrun", { target: opportunity.backrun.hash, netProfit: opportunity.netProfit.toString() });
+        return;
+      }
+      
+      // Pre-flight: simulate with eth_call before anything is signed
+      const simulation = opportunity.backrun
+        ? { success: true, gasEstimate: ethers.BigNumber.from(this.gasEstimate) }
+        : await this.simulateRoute(opportunity, route, slippageBps);
+      if (!simulation.success && simulation.revert.kind === PERMANENT) {
+        this.routeBlacklist.add(key, describeRevert(simulation.revert));
+      }
+      
+      // Reserves it was priced on may have been reorged out while it was checked
+      if (opportunity.chainEpoch !== this.chainEpoch) {
+        log.info("Skipping route: found on blocks that were reorged out");
+        return;
+      }
+      
+      if (this.dryRun) {
+        this.recordPaperTrade(opportunity, route, simulation, log);
+        return;
+      }
+      
+      if (!simulation.success) {
+        this.metrics.tradeResults.inc({ result: "simulation_reverted", reason: simulation.revert.name });
+        log.info("Skipping route: simulation reverted", { revert: describeRevert(simulation.revert) });
+        return;
+      }
+      
+      // Type-2 fees with the tip capped at a share of the expected profit; backruns bid
+      // exactly what their target bids so they are ordered right behind it
+      const gasLimit = simulation.gasEstimate.mul(this.gasLimitMultiplierPct).div(100); // Buffer over the estimate
+      const nativeProfit = this.gasConverter.toNative(opportunity.expectedProfit);
+      const fees = nativeProfit && (opportunity.backrun
+        ? this.feeStrategy.matchFees(opportunity.backrun.fees, gasLimit, nativeProfit.raw)
+        : this.feeStrategy.getFees(gasLimit, nativeProfit.raw));
+      if (!fees) {
+        log.info(`Skipping route: profit cannot cover the ${opportunity.backrun ? "target's" : "minimum"} priority fee`);
+        return;
+      }
       
-      // Estimate gas
       try {
-        const gasEstimate = await this.flashLoanContract.estimateGas.initiateFlashLoan(
-          TOKEN_ADDRESSES.USDC,
-          amount,
-          slippageBps
-        );
-        
-        console.log(`Gas estimate: ${gasEstimate.toString()}`);
+        log.debug("Simulation passed", { gasEstimate: simulation.gasEstimate, gasLimit });
         
-        // Execute flash loan with proper gas settings
-        const tx = await this.flashLoanContract.initiateFlashLoan(
-          TOKEN_ADDRESSES.USDC,
+        // Execute the discovered route with proper gas settings
+        const tx = await this.flashLoanContract.populateTransaction.executeMultiDexArbitrage(
+          opportunity.token,
           amount,
           slippageBps,
+          route.routers,
+          route.paths,
           {
-            gasLimit: gasEstimate.mul(120).div(100), // Add 20% buffer
-            gasPrice: this.gasPrice
+            gasLimit,
+            ...fees
           }
         );
         
-        console.log("Transaction sent:", tx.hash);
+        // Nonces are assigned locally so concurrent opportunities never collide
+        const submitter = this.selectSubmitter(opportunity, log);
+        const { response, nonce, confirmation } = await submitter.submit(tx, { leadingTx: opportunity.leadingTx });
+        this.metrics.tradesSubmitted.inc({ backend: submitter.name });
+        log.info("Transaction sent", { backend: submitter.name, txHash: response.hash, nonce });
         
-        // Wait for confirmation with timeout
-        const receipt = await Promise.race([
-          tx.wait(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("Transaction confirmation timeout")), 60000)
-          )
-        ]);
-        
-        console.log("Transaction confirmed:", receipt.transactionHash);
-        
-        // Log results
-        console.log(`Gas used: ${receipt.gasUsed.toString()}`);
-        console.log(`Effective gas price: ${ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei")} Gwei`);
+        // The nonce manager settles the confirmation on a later head, so it is followed outside
+        // this one: waiting here would hold up the very block that resolves it
+        this.settleTrade(opportunity, route, { response, nonce, confirmation }, log)
+          .catch(error => log.error("Error settling trade", { txHash: response.hash, error }));
       } catch (error) {
-        console.error("Error estimating or executing transaction:", error);
+        const revert = decodeRevert(error);
+        this.metrics.tradeResults.inc({ result: "send_failed", reason: revert.name });
+        this.alert("tradeResult", false, describeRevert(revert));
+        log.error("Error executing transaction", { revert: describeRevert(revert), error });
       }
     } catch (error) {
-      console.error("Error executing arbitrage:", error);
+      log.error("Error executing arbitrage", { error });
     }
   }
 
   /**
-   * Get token symbol from address
+   * Follow a submitted trade until its nonce is mined, then journal the receipt
    */
-  getTokenSymbol(address) {
-    for (const [symbol, addr] of Object.entries(TOKEN_ADDRESSES)) {
-      if (addr.toLowerCase() === address.toLowerCase()) {
-        return symbol;
+  async settleTrade(opportunity, route, { response, nonce, confirmation }, log = this.log) {
+    // Resolves once the nonce is mined, whether by this transaction, a speed-up or a cancel
+    const { receipt, replaced, cancelled, included } = await confirmation;
+    if (included === false) {
+      log.warn("Bundle not included in any target block, nonce left unused", { txHash: response.hash, nonce });
+      return;
+    }
+    if (!receipt) {
+      log.warn("Nonce was consumed by a transaction we did not send", { nonce });
+      return;
+    }
+    if (cancelled) {
+      log.warn("Transaction cancelled", { txHash: receipt.transactionHash, nonce });
+      return;
+    }
+    if (replaced) {
+      log.info("Transaction replaced by speed-up", { txHash: receipt.transactionHash, nonce });
+    }
+    
+    log[receipt.status === 1 ? "info" : "warn"](`Transaction ${receipt.status === 1 ? "confirmed" : "reverted"}`, {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPriceGwei: ethers.utils.formatUnits(receipt.effectiveGasPrice, "gwei")
+    });
+    
+    await this.journalTrade(opportunity, route, receipt, log);
+  }
+
+  /**
+   * Submission backend for a trade: backruns and regular trades each have their own,
+   * falling back to the public RPC when the configured one cannot be used
+   */
+  selectSubmitter(opportunity, log = this.log) {
+    const name = opportunity.backrun ? this.config.submission.backrun : this.config.submission.default;
+    
+    // A backrun bundle without its target in front would land before the swap it depends on
+    if (name === BUNDLE && opportunity.backrun && !opportunity.leadingTx) {
+      log.warn("Cannot re-serialize the backrun target for a bundle, submitting publicly", { target: opportunity.backrun.hash });
+      return this.submitters[PUBLIC];
+    }
+    return this.submitters[name] || this.submitters[PUBLIC];
+  }
+
+  /**
+   * Decode a confirmed trade's events, price its result in USD and append it to the journal
+   */
+  async journalTrade(opportunity, route, receipt, log = this.log) {
+    try {
+      const decoded = decodeTradeReceipt(receipt, this.flashLoanContract.address);
+      
+      // Prices as of the block the trade landed in; missing oracles leave USD fields empty
+      const blockTag = receipt.blockNumber;
+      const token = this.tokenRegistry.get(opportunity.token);
+      const [tokenPrice, nativePrice] = await Promise.all([
+        this.flashLoanContract.getValidatedPrice(opportunity.token, { blockTag }).catch(() => null),
+        this.flashLoanContract.getValidatedPrice(this.nativeToken, { blockTag }).catch(() => null)
+      ]);
+      const result = realizedProfit(decoded, receipt, {
+        protocolFeeBps: opportunity.protocolFeeBps,
+        tokenDecimals: token.decimals,
+        tokenPrice,
+        nativePrice
+      });
+      
+      // A reverted transaction drops its logs; a flash loan that ran can still report a failure
+      let status = "reverted";
+      if (decoded.failed) status = "failed";
+      else if (decoded.success) status = "completed";
+      const failureReason = decoded.failed ? decoded.failed.reason : undefined;
+      this.alert("tradeResult", status === "completed", failureReason || status);
+      
+      this.tradeJournal.record({
+        opportunityId: opportunity.id,
+        txHash: receipt.transactionHash,
+        block: receipt.blockNumber,
+        status,
+        failureReason,
+        token: opportunity.token,
+        symbol: token.symbol,
+        route: routeKey(opportunity.token, route),
+        tokenPath: opportunity.tokenPath,
+        amountIn: opportunity.amountIn,
+        expectedProfit: opportunity.expectedProfit,
+        expectedGasCost: opportunity.gasCost,
+        legs: decoded.legs,
+        ...result,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+        tokenPriceUsd: tokenPrice ? ethers.utils.formatUnits(tokenPrice, 8) : null,
+        maticPriceUsd: nativePrice ? ethers.utils.formatUnits(nativePrice, 8) : null
+      });
+      
+      this.metrics.tradeResults.inc({ result: status, reason: failureReason || "" });
+      this.metrics.realizedProfit.inc({ token: token.symbol }, parseFloat(ethers.utils.formatUnits(result.netProfit, token.decimals)));
+      if (result.profitUsd !== null) this.metrics.realizedProfitUsd.inc({}, result.profitUsd);
+      this.metrics.gasSpent.inc({}, parseFloat(ethers.utils.formatEther(result.gasCost)));
+      
+      log.info(`Trade ${status}`, {
+        txHash: receipt.transactionHash,
+        profit: new TokenAmount(token, result.netProfit).toString(),
+        netUsd: result.netUsd === null ? null : Number(result.netUsd.toFixed(2)),
+        failureReason
+      });
+    } catch (error) {
+      log.error("Error journaling trade", { txHash: receipt.transactionHash, error });
+    }
+  }
+
+  /**
+   * Get oracle USD prices (8 decimals) at a block, leaving out tokens without an oracle
+   */
+  async getOraclePrices(tokens, blockTag) {
+    const unique = [...new Map(tokens.map(token => [token.toLowerCase(), token])).values()];
+    const prices = await Promise.all(
+      unique.map(token => this.flashLoanContract.getValidatedPrice(token, { blockTag }).catch(() => null))
+    );
+    return new Map(unique.map((token, i) => [token.toLowerCase(), prices[i]]).filter(([, price]) => price));
+  }
+
+  /**
+   * Simulate a trade with eth_call and estimate its gas, decoding any revert
+   */
+  async simulateRoute(opportunity, route, slippageBps) {
+    const args = [opportunity.token, opportunity.amountIn.raw, slippageBps, route.routers, route.paths];
+    try {
+      const amountOut = await this.flashLoanContract.callStatic.executeMultiDexArbitrage(...args);
+      const gasEstimate = await this.flashLoanContract.estimateGas.executeMultiDexArbitrage(...args);
+      return { success: true, amountOut, gasEstimate };
+    } catch (error) {
+      return { success: false, revert: decodeRevert(error) };
+    }
+  }
+
+  /**
+   * Record a simulated trade in the paper ledger, never broadcasting
+   */
+  recordPaperTrade(opportunity, route, simulation, log = this.log) {
+    const entry = {
+      opportunityId: opportunity.id,
+      block: this.lastBlockNumber,
+      token: opportunity.token,
+      tokenPath: opportunity.tokenPath,
+      routers: route.routers,
+      amountIn: opportunity.amountIn,
+      expectedProfit: opportunity.expectedProfit,
+      expectedGasCost: opportunity.gasCost
+    };
+    
+    if (simulation.success) {
+      const profit = this.tokenRegistry.amount(opportunity.token, simulation.amountOut.sub(opportunity.amountIn.raw));
+      this.paperLedger.record({
+        ...entry,
+        success: true,
+        amountOut: simulation.amountOut,
+        profit: profit.raw,
+        gasEstimate: simulation.gasEstimate,
+        gasCost: simulation.gasEstimate.mul(this.gasPrice)
+      });
+      log.info("[dry-run] Simulated trade", { profit: profit.toString(), gasEstimate: simulation.gasEstimate });
+    } else {
+      const revertReason = describeRevert(simulation.revert);
+      this.paperLedger.record({ ...entry, success: false, revertReason, revertKind: simulation.revert.kind });
+      log.info("[dry-run] Simulation reverted", { revert: revertReason });
+    }
+  }
+
+  /**
+   * Print the running paper-trading profit and loss
+   */
+  printPaperSummary() {
+    const summary = this.paperLedger.summary();
+    console.log("\n=== Paper Trading Summary ===");
+    console.log(`Trades simulated: ${summary.trades} (${summary.succeeded} succeeded, ${summary.reverted} reverted)`);
+    for (const [token, profit] of Object.entries(summary.profitByToken)) {
+      const details = this.tokenRegistry.get(token);
+      console.log(`Profit ${this.getTokenSymbol(token)}: ${details ? new TokenAmount(details, profit).format() : profit}`);
+    }
+    console.log(`Gas used: ${summary.gasUsed} (${ethers.utils.formatUnits(summary.gasCost, 18)} MATIC)`);
+    for (const [reason, count] of Object.entries(summary.revertReasons)) {
+      console.log(`Reverted ${count}x: ${reason}`);
+    }
+  }
+
+  /**
+   * Get the routers the contract does not accept in supportedRouters
+   */
+  async getUnsupportedRouters(routers) {
+    const unsupported = [];
+    for (const router of new Set(routers)) {
+      if (!this.routerSupport.has(router)) {
+        this.routerSupport.set(router, await this.flashLoanContract.supportedRouters(router));
       }
+      if (!this.routerSupport.get(router)) unsupported.push(router);
     }
-    return address;
+    return unsupported;
+  }
+
+  /**
+   * Get token symbol from address
+   */
+  getTokenSymbol(address) {
+    return this.tokenRegistry.symbol(address);
   }
 
   /**
    * Stop monitoring
    */
   stop() {
-    this.provider.removeAllListeners("block");
-    console.log("Stopped arbitrage monitoring");
+    this.provider.stop();
+    if (this.statusServer) this.statusServer.close();
+    clearInterval(this.blockWatchdog);
+    if (this.mempoolWatcher) this.mempoolWatcher.stop();
+    this.log.info("Stopped arbitrage monitoring");
   }
 }
 
-// Configuration
-const CONFIG = {
-  RPC_URL: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com/",
-  PRIVATE_KEY: process.env.PRIVATE_KEY || "",
-  FLASH_LOAN_ADDRESS: process.env.FLASH_LOAN_ADDRESS || "",
-  PRICE_ORACLE_ADDRESS: process.env.PRICE_ORACLE_ADDRESS || ""
-};
-
 // Main execution
 async function main() {
-  if (!CONFIG.PRIVATE_KEY || !CONFIG.FLASH_LOAN_ADDRESS || !CONFIG.PRICE_ORACLE_ADDRESS) {
-    console.error("Missing required environment variables");
+  const configFile = process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  let config;
+  try {
+    config = loadConfig(configFile);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // The key stays in the environment, never in the config file
+  const privateKey = process.env.PRIVATE_KEY || "";
+  if (!privateKey && !(config.dryRun.enabled && config.dryRun.fromAddress)) {
+    console.error("Missing PRIVATE_KEY (or dryRun.fromAddress / DRY_RUN_ADDRESS in dry-run mode)");
     process.exit(1);
   }
 
-  const bot = new ArbitrageBot(
-    CONFIG.RPC_URL,
-    CONFIG.PRIVATE_KEY,
-    CONFIG.FLASH_LOAN_ADDRESS,
-    CONFIG.PRICE_ORACLE_ADDRESS
+  const bot = new ArbitrageBot(config, privateKey);
+
+  // Edits to the config file apply without a restart; invalid edits are rejected
+  const stopWatching = watchConfig(
+    configFile,
+    process.env,
+    next => bot.applyConfig(next),
+    error => bot.log.error("Invalid config edit, keeping the previous config", { errors: error.errors || [error.message] })
   );
 
   // Handle graceful shutdown
   process.on("SIGINT", () => {
-    console.log("Shutting down...");
+    bot.log.info("Shutting down");
+    stopWatching();
     bot.stop();
+    if (bot.dryRun) bot.printPaperSummary();
     process.exit(0);
   });
 
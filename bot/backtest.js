@@ -0,0 +1,90 @@
+const { ethers } = require("ethers");
+const { DEFAULT_CONFIG_FILE, loadConfig, activeNetwork } = require("./lib/config");
+const { TokenRegistry } = require("./lib/token-registry");
+const { GasConverter } = require("./lib/gas-converter");
+const { ReserveScanner } = require("./lib/reserve-scanner");
+const { ArbitrageStrategy } = require("./lib/strategy");
+const { Backtester } = require("./lib/backtester");
+const { readDataset } = require("./lib/pair-dataset");
+const { Logger } = require("./lib/logger");
+require("dotenv").config();
+
+/**
+ * Replay a recorded pair dataset through the bot's strategy, fully offline
+ *
+ * Usage: node backtest.js [--dataset data/pairs.jsonl] [--from 50000000] [--to 50100000] [--trades] [--json]
+ */
+function parseArgs(argv) {
+  const args = { trades: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === "--trades" || flag === "--json") {
+      args[flag.slice(2)] = true;
+    } else if (flag === "--dataset") {
+      args.dataset = argv[++i];
+    } else if (flag === "--from" || flag === "--to") {
+      const block = Number(argv[++i]);
+      if (!Number.isInteger(block) || block < 0) throw new Error(`${flag} needs a block number`);
+      args[flag.slice(2)] = block;
+    } else {
+      throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Contracts are never called, so their addresses need not be set
+  const config = loadConfig(process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE, process.env, { requireContracts: false });
+  const network = activeNetwork(config);
+  const log = new Logger({ level: config.logging.level, format: "text" });
+
+  // Tokens come from the config alone; pools of other tokens are left out of the replay
+  const registry = new TokenRegistry(null, network.tokens);
+  const converter = new GasConverter(registry, network.tokens[network.nativeToken].address);
+  const strategy = new ArbitrageStrategy(registry, converter, { maxHops: config.strategy.maxHops, gasEstimate: config.strategy.gasEstimate, logger: log });
+  // backtest.maxLoan stands in for the contract's risk configs: only these tokens are borrowed
+  const borrowable = Object.entries(config.backtest.maxLoan).map(([symbol, amount]) => [network.tokens[symbol], amount]);
+  strategy.setStartTokens(
+    borrowable.map(([token]) => token.address),
+    borrowable.map(([token, amount]) => ({ maxLoanAmount: ethers.utils.parseUnits(amount, token.decimals) }))
+  );
+
+  const backtester = new Backtester(strategy, new ReserveScanner(null, network.dexes), {
+    gasPrice: ethers.utils.parseUnits(config.backtest.gasPriceGwei, "gwei"),
+    protocolFeeBps: config.backtest.protocolFeeBps,
+    chainId: network.chainId,
+    fromBlock: args.from,
+    toBlock: args.to,
+    logger: log
+  });
+  const report = await backtester.run(readDataset(args.dataset || config.backtest.dataset));
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  if (args.trades) {
+    for (const trade of report.trades) {
+      console.log(`#${trade.blockNumber} ${trade.route} in ${trade.amountIn} net ${trade.netProfit} gas ${trade.nativeGasCost}`);
+    }
+  }
+
+  const range = report.blocks === 0 ? "no blocks" : `blocks ${report.fromBlock}-${report.toBlock}`;
+  console.log(`${report.blocks} blocks replayed (${range}), ${report.totals.trades} trades, gas ${report.totals.gasCost}`);
+  if (report.skippedPools > 0) console.log(`${report.skippedPools} pools skipped: tokens not in the config`);
+  for (const profit of Object.values(report.totals.netProfit)) console.log(`Net profit: ${profit}`);
+  for (const route of report.routes) {
+    console.log(
+      `${route.route}: ${route.trades} trades, ${route.profitable}/${route.evaluated} profitable, ` +
+        `hit rate ${(route.hitRate * 100).toFixed(1)}%, net ${route.netProfit}, gas ${route.gasCost}`
+    );
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
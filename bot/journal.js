@@ -0,0 +1,58 @@
+const { DEFAULT_CONFIG_FILE, loadConfig } = require("./lib/config");
+const { TradeJournal } = require("./lib/trade-journal");
+require("dotenv").config();
+
+/**
+ * Query the trade journal from the command line
+ *
+ * Usage: node journal.js [--token USDC] [--route USDC>WETH] [--day 2024-01-31] [--group token|route|day] [--list]
+ */
+function parseArgs(argv) {
+  const args = { group: "day", list: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === "--list") {
+      args.list = true;
+    } else if (["--token", "--route", "--day", "--group"].includes(flag)) {
+      args[flag.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!["token", "route", "day"].includes(args.group)) {
+    throw new Error(`Cannot group by ${args.group}, use token, route or day`);
+  }
+
+  // TRADE_JOURNAL_FILE still overrides the path, through the config loader
+  const config = loadConfig(process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE, process.env, { requireContracts: false });
+  const journal = new TradeJournal(config.journal.file);
+  const entries = journal.query({ token: args.token, route: args.route, day: args.day });
+
+  if (args.list) {
+    for (const entry of entries) {
+      const usd = entry.netUsd === null ? "n/a" : `$${entry.netUsd.toFixed(2)}`;
+      console.log(`${entry.timestamp} ${entry.status.padEnd(9)} ${entry.tokenPath.join(">")} net ${usd} ${entry.txHash}`);
+    }
+  }
+
+  const groups = TradeJournal.summarize(entries, args.group);
+  console.log(`${entries.length} trades`);
+  for (const [key, group] of Object.entries(groups)) {
+    console.log(
+      `${key}: ${group.trades} trades (${group.completed} completed, ${group.failed} failed), ` +
+        `profit $${group.profitUsd.toFixed(2)}, gas $${group.gasCostUsd.toFixed(2)}, net $${group.netUsd.toFixed(2)}`
+    );
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
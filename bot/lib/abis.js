@@ -0,0 +1,24 @@
+// FlashLoanPolygon ABI (the functions and views the bot calls)
+const FLASH_LOAN_ABI = [
+  "function initiateFlashLoan(address _token, uint256 _amount, uint256 _slippageBps) external",
+  "function executeMultiDexArbitrage(address _token, uint256 _amount, uint256 _slippageBps, address[] calldata _routers, address[][] calldata _paths) external returns (uint256)",
+  "function getAssetRiskConfig(address asset) external view returns (uint256 maxLoanAmount, uint256 ltvRatio, uint256 riskScore, bool isActive)",
+  "function circuitBreakerActive() public view returns (bool)",
+  "function supportedRouters(address router) public view returns (bool)",
+  "function protocolFeeBps() public view returns (uint256)",
+  "function getDailyVolumeUsage() external view returns (uint256 used, uint256 max, uint256 resetTime)",
+  "function getValidatedPrice(address token) public view returns (uint256)"
+];
+
+// PriceOraclePolygon ABI (simplified)
+const PRICE_ORACLE_ABI = [
+  "function getPrice(string memory dexName, address tokenA, address tokenB, uint256 amountIn) public view returns (uint256 amountOut)",
+  "function getArbitrageOpportunity(address tokenA, address tokenB, uint256 amountIn) public view returns (string memory dexWithBestPrice, uint256 bestPrice, uint256 priceDifference)",
+  "function addChainlinkOracle(address token, address oracle) external",
+  "function addDex(string memory name, address factory, address router) external"
+];
+
+module.exports = {
+  FLASH_LOAN_ABI,
+  PRICE_ORACLE_ABI
+};
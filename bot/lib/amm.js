@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+const FEE_NUMERATOR = 997;
+const FEE_DENOMINATOR = 1000;
+
+/**
+ * Constant-product output for a single UniswapV2 hop.
+ * Mirrors PriceOraclePolygon._getAmount so off-chain quotes match on-chain ones.
+ * @param {ethers.BigNumber} amountIn - Amount of the input token
+ * @param {ethers.BigNumber} reserveIn - Pair reserve of the input token
+ * @param {ethers.BigNumber} reserveOut - Pair reserve of the output token
+ * @returns {ethers.BigNumber} Amount of the output token
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  amountIn = ethers.BigNumber.from(amountIn);
+  reserveIn = ethers.BigNumber.from(reserveIn);
+  reserveOut = ethers.BigNumber.from(reserveOut);
+
+  if (amountIn.isZero() || reserveIn.isZero() || reserveOut.isZero()) {
+    return ethers.BigNumber.from(0);
+  }
+
+  const amountInWithFee = amountIn.mul(FEE_NUMERATOR);
+  const numerator = amountInWithFee.mul(reserveOut);
+  const denominator = reserveIn.mul(FEE_DENOMINATOR).add(amountInWithFee);
+  return numerator.div(denominator);
+}
+
+/**
+ * Constant-product input needed for an exact output on a single UniswapV2 hop.
+ * Mirrors UniswapV2Library.getAmountIn, including its +1 rounding.
+ * @param {ethers.BigNumber} amountOut - Desired amount of the output token
+ * @param {ethers.BigNumber} reserveIn - Pair reserve of the input token
+ * @param {ethers.BigNumber} reserveOut - Pair reserve of the output token
+ * @returns {ethers.BigNumber|null} Amount of the input token, null when the pool cannot fill it
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  amountOut = ethers.BigNumber.from(amountOut);
+  reserveIn = ethers.BigNumber.from(reserveIn);
+  reserveOut = ethers.BigNumber.from(reserveOut);
+
+  if (amountOut.isZero() || reserveIn.isZero() || amountOut.gte(reserveOut)) {
+    return null;
+  }
+
+  const numerator = reserveIn.mul(amountOut).mul(FEE_DENOMINATOR);
+  const denominator = reserveOut.sub(amountOut).mul(FEE_NUMERATOR);
+  return numerator.div(denominator).add(1);
+}
+
+module.exports = {
+  FEE_NUMERATOR,
+  FEE_DENOMINATOR,
+  getAmountOut,
+  getAmountIn
+};
@@ -0,0 +1,166 @@
+const { ethers } = require("ethers");
+const { TokenAmount } = require("./token-amount");
+const { Logger } = require("./logger");
+
+/**
+ * Replays a pair dataset through the live strategy, block by block, and reports the
+ * trades the bot would have made. Every profitable opportunity is taken in the order the
+ * strategy returns them, except ones sharing a pool with a trade earlier in the same
+ * block, which would no longer be priced right. A trade's swaps are applied to its pools
+ * and last until the dataset's next Sync of that pool.
+ */
+class Backtester {
+  /**
+   * @param {ArbitrageStrategy} strategy - Strategy with its start tokens set
+   * @param {ReserveScanner} scanner - Empty scanner the dataset's pools are tracked on
+   * @param {Object} options - Replay settings
+   * @param {ethers.BigNumber} options.gasPrice - Gas price for blocks that do not record one
+   * @param {number} options.protocolFeeBps - Contract protocol fee
+   * @param {number} options.chainId - Chain the dataset must come from
+   * @param {number} options.fromBlock - First block to trade in; earlier blocks only build reserves
+   * @param {number} options.toBlock - Last block to replay
+   * @param {Logger} options.logger - Logger for trades and skipped pools
+   */
+  constructor(strategy, scanner, options = {}) {
+    this.strategy = strategy;
+    this.scanner = scanner;
+    this.gasPrice = ethers.BigNumber.from(options.gasPrice || 0);
+    this.protocolFeeBps = options.protocolFeeBps || 0;
+    this.chainId = options.chainId || null;
+    this.fromBlock = options.fromBlock || 0;
+    this.toBlock = options.toBlock === undefined ? Infinity : options.toBlock;
+    this.log = options.logger || new Logger();
+
+    this.pools = new Map(); // dataset pool id => tracked pool
+  }
+
+  /**
+   * Replay dataset records
+   * @param {AsyncIterable<Object>} records - Records from readDataset
+   * @returns {Promise<Object>} Report: { fromBlock, toBlock, blocks, skippedPools, trades, routes, totals }
+   */
+  async run(records) {
+    const registry = this.strategy.tokenRegistry;
+    const native = registry.get(this.strategy.gasConverter.nativeToken);
+    // Offline there are no oracle prices, gas is costed at pool prices
+    this.strategy.gasConverter.update(new Map(), this.scanner);
+
+    const report = { fromBlock: null, toBlock: null, blocks: 0, skippedPools: 0, trades: [], routes: [], totals: null };
+    const routes = new Map(); // route label => stats
+
+    for await (const record of records) {
+      if (record.type === "dataset") {
+        if (this.chainId && record.chainId !== this.chainId) {
+          throw new Error(`Dataset is from chain ${record.chainId}, the config is for chain ${this.chainId}`);
+        }
+      } else if (record.type === "pool") {
+        // Tokens without configured decimals cannot be priced offline
+        if (!registry.get(record.token0) || !registry.get(record.token1)) {
+          report.skippedPools++;
+          continue;
+        }
+        this.pools.set(record.id, this.scanner.trackPool(record.dex, record.address, record.token0, record.token1));
+      } else {
+        if (record.number > this.toBlock) break;
+        for (const [id, reserve0, reserve1] of record.syncs) {
+          const pool = this.pools.get(id);
+          if (!pool) continue;
+          pool.reserve0 = ethers.BigNumber.from(reserve0);
+          pool.reserve1 = ethers.BigNumber.from(reserve1);
+        }
+        if (record.number < this.fromBlock) continue;
+
+        report.fromBlock = report.fromBlock === null ? record.number : report.fromBlock;
+        report.toBlock = record.number;
+        report.blocks++;
+        report.trades.push(...this.replayBlock(record, routes));
+      }
+    }
+
+    report.routes = [...routes.values()]
+      .map(stats => ({ ...stats, hitRate: stats.evaluated === 0 ? 0 : stats.trades / stats.evaluated }))
+      .sort((a, b) => b.trades - a.trades || b.evaluated - a.evaluated);
+
+    const netProfit = {};
+    let gasCost = TokenAmount.zero(native);
+    for (const trade of report.trades) {
+      const symbol = trade.netProfit.token.symbol;
+      netProfit[symbol] = netProfit[symbol] ? netProfit[symbol].add(trade.netProfit) : trade.netProfit;
+      gasCost = gasCost.add(trade.nativeGasCost);
+    }
+    report.totals = { trades: report.trades.length, netProfit, gasCost };
+    return report;
+  }
+
+  /**
+   * Evaluate one block and take its trades
+   * @param {Object} block - Block record, its syncs already applied
+   * @param {Map} routes - Route label => stats, updated
+   * @returns {Array<Object>} Trades made in the block
+   */
+  replayBlock(block, routes) {
+    const market = {
+      gasPrice: block.gasPrice ? ethers.BigNumber.from(block.gasPrice) : this.gasPrice,
+      protocolFeeBps: this.protocolFeeBps,
+      volumeHeadroom: ethers.constants.MaxUint256 // No daily limit offline, maxLoanAmount still applies
+    };
+    const trades = [];
+    const used = new Set(); // pools traded in this block
+
+    for (const opportunity of this.strategy.evaluate(this.scanner, market)) {
+      const route = `${opportunity.tokenPath.join(" -> ")} [${opportunity.hops.map(hop => hop.dexName).join(", ")}]`;
+      if (!routes.has(route)) {
+        routes.set(route, {
+          route,
+          evaluated: 0,
+          profitable: 0,
+          trades: 0,
+          netProfit: TokenAmount.zero(opportunity.netProfit.token),
+          gasCost: TokenAmount.zero(opportunity.nativeGasCost.token)
+        });
+      }
+      const stats = routes.get(route);
+      stats.evaluated++;
+      if (!opportunity.isProfitable) continue;
+      stats.profitable++;
+      if (opportunity.hops.some(hop => used.has(hop.pool))) continue;
+
+      this.applyTrade(opportunity);
+      opportunity.hops.forEach(hop => used.add(hop.pool));
+      stats.trades++;
+      stats.netProfit = stats.netProfit.add(opportunity.netProfit);
+      stats.gasCost = stats.gasCost.add(opportunity.nativeGasCost);
+
+      const trade = {
+        blockNumber: block.number,
+        opportunityId: opportunity.id,
+        route,
+        amountIn: opportunity.amountIn,
+        expectedProfit: opportunity.expectedProfit,
+        gasCost: opportunity.gasCost,
+        nativeGasCost: opportunity.nativeGasCost,
+        netProfit: opportunity.netProfit
+      };
+      this.log.debug("Backtest trade", { ...trade, amountIn: trade.amountIn.toString(), netProfit: trade.netProfit.toString() });
+      trades.push(trade);
+    }
+
+    return trades;
+  }
+
+  /**
+   * Move the traded pools' reserves the way the trade's swaps would
+   * @param {Object} opportunity - Opportunity from the strategy
+   */
+  applyTrade(opportunity) {
+    let amount = opportunity.amountIn.raw;
+    for (const hop of opportunity.hops) {
+      this.scanner.applySwap(hop.dexName, [hop.tokenIn, hop.tokenOut], amount);
+      amount = ethers.BigNumber.from(hop.amountOut);
+    }
+  }
+}
+
+module.exports = {
+  Backtester
+};
@@ -0,0 +1,93 @@
+const NEW = "new";
+const STALE = "stale";
+const REORG = "reorg";
+
+/**
+ * Follows the canonical chain by block hash. Each new head is checked against the
+ * hashes already seen: its parent must be the previous head, or, when blocks were
+ * skipped, the previous head must still be on the chain. Otherwise the chain reorganized
+ * and the tracker walks back to the last block both chains share.
+ */
+class BlockTracker {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider for block headers
+   * @param {Object} options - Tracker settings
+   * @param {number} options.depth - Recent block hashes kept, the deepest reorg that can be located
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.depth = options.depth || 64;
+    this.hashes = new Map(); // block number => hash, canonical as far as we know
+    this.head = null; // { number, hash, parentHash }
+  }
+
+  /**
+   * Move to a new head
+   * @param {number} blockNumber - Head announced by the provider
+   * @returns {Promise<Object>} { status, block, skipped, ancestor, depth }: status is "new" for the
+   *   next canonical head (skipped counts blocks in between that were never processed),
+   *   "stale" for a block already processed or not available yet, and "reorg" when
+   *   processed blocks above `ancestor` were orphaned (depth of them)
+   */
+  async advance(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    if (!block || this.hashes.get(block.number) === block.hash) return { status: STALE, block };
+
+    const previous = this.head;
+    if (!previous) {
+      this._record(block);
+      return { status: NEW, block, skipped: 0 };
+    }
+
+    if (block.number > previous.number) {
+      // Blocks in between were coalesced: the last one processed must still be canonical
+      const stillCanonical = block.number === previous.number + 1
+        ? block.parentHash === previous.hash
+        : (await this.provider.getBlock(previous.number) || {}).hash === previous.hash;
+      if (stillCanonical) {
+        this._record(block);
+        return { status: NEW, block, skipped: block.number - previous.number - 1 };
+      }
+    }
+
+    const ancestor = await this.findAncestor(Math.min(block.number - 1, previous.number));
+    for (const number of [...this.hashes.keys()]) {
+      if (ancestor === null || number > ancestor) this.hashes.delete(number);
+    }
+    this._record(block);
+    return {
+      status: REORG,
+      block,
+      ancestor,
+      depth: ancestor === null ? this.depth : previous.number - ancestor
+    };
+  }
+
+  /**
+   * Highest tracked block that is still on the chain, walking back from a block number
+   * @param {number} from - Block to start at
+   * @returns {Promise<number|null>} Common ancestor, null when no tracked block is left
+   */
+  async findAncestor(from) {
+    for (let number = from; this.hashes.has(number); number--) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this.hashes.get(number)) return number;
+    }
+    return null;
+  }
+
+  _record(block) {
+    this.head = { number: block.number, hash: block.hash, parentHash: block.parentHash };
+    this.hashes.set(block.number, block.hash);
+    for (const number of this.hashes.keys()) {
+      if (number <= block.number - this.depth) this.hashes.delete(number);
+    }
+  }
+}
+
+module.exports = {
+  NEW,
+  STALE,
+  REORG,
+  BlockTracker
+};
@@ -0,0 +1,456 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "config", "default.json");
+
+const integer = (min, max) => ({ type: "integer", min, max });
+const address = { type: "address" };
+const optionalAddress = { type: "address", allowEmpty: true };
+const string = { type: "string" };
+const optionalString = { type: "string", allowEmpty: true };
+const boolean = { type: "boolean" };
+const list = items => ({ type: "list", items });
+const backend = { type: "string", oneOf: ["public", "private", "bundle"] };
+
+// Shape of the bot config; unknown keys are rejected so typos do not pass silently
+const SCHEMA = {
+  type: "object",
+  fields: {
+    network: string,
+    networks: {
+      type: "map",
+      values: {
+        type: "object",
+        fields: {
+          chainId: integer(1),
+          rpcUrl: string,
+          fallbackRpcUrls: list(string),
+          wsUrl: optionalString,
+          contracts: { type: "object", fields: { flashLoan: optionalAddress, priceOracle: optionalAddress } },
+          nativeToken: string,
+          tokens: { type: "map", values: { type: "object", fields: { address, decimals: integer(0, 36) } } },
+          dexes: { type: "map", values: { type: "object", fields: { factory: address, router: address } } }
+        }
+      }
+    },
+    rpc: {
+      type: "object",
+      fields: {
+        quorum: integer(1),
+        maxBlockLag: integer(0),
+        timeoutMs: integer(100),
+        healthCheckInterval: integer(1000)
+      }
+    },
+    strategy: {
+      type: "object",
+      fields: {
+        maxHops: integer(2, 6),
+        discoveryInterval: integer(1),
+        pairScanLimit: integer(0),
+        slippageBps: integer(0, 10000),
+        gasLimitMultiplierPct: integer(100, 1000),
+        gasEstimate: integer(21000)
+      }
+    },
+    fees: {
+      type: "object",
+      fields: {
+        historyBlocks: integer(1, 1024),
+        priorityFeePercentile: integer(0, 100),
+        maxTipProfitShareBps: integer(0, 10000)
+      }
+    },
+    nonces: { type: "object", fields: { stuckBlocks: integer(1), maxSpeedups: integer(0) } },
+    risk: { type: "object", fields: { blacklistCooldownMs: integer(0) } },
+    dryRun: { type: "object", fields: { enabled: boolean, fromAddress: optionalAddress, ledgerFile: string } },
+    journal: { type: "object", fields: { file: string } },
+    mempool: { type: "object", fields: { enabled: boolean, wsUrl: optionalString } },
+    logging: {
+      type: "object",
+      fields: {
+        level: { type: "string", oneOf: ["debug", "info", "warn", "error"] },
+        format: { type: "string", oneOf: ["json", "text"] },
+        file: optionalString,
+        maxFileBytes: integer(1024),
+        maxFiles: integer(0, 100)
+      }
+    },
+    alerts: {
+      type: "object",
+      fields: {
+        webhookUrl: optionalString,
+        slackUrl: optionalString,
+        telegramUrl: optionalString,
+        telegramChatId: optionalString,
+        cooldownMs: integer(0),
+        maxPerHour: integer(1),
+        consecutiveFailures: integer(1),
+        minBalanceMatic: string,
+        volumeUsageBps: integer(1, 10000),
+        staleBlockSeconds: integer(1)
+      }
+    },
+    metrics: { type: "object", fields: { enabled: boolean, host: string, port: integer(0, 65535), staleBlockSeconds: integer(1) } },
+    recorder: { type: "object", fields: { chunkSize: integer(1), rewindBlocks: integer(1) } },
+    backtest: {
+      type: "object",
+      fields: {
+        dataset: string,
+        gasPriceGwei: string,
+        protocolFeeBps: integer(0, 10000),
+        maxLoan: { type: "map", values: string }
+      }
+    },
+    submission: {
+      type: "object",
+      fields: {
+        default: backend,
+        backrun: backend,
+        relayUrl: optionalString,
+        bundleBlocks: integer(1, 25),
+        simulateBundles: boolean,
+        privateMaxBlocks: integer(1)
+      }
+    }
+  }
+};
+
+// Env vars kept from before the config file existed; "$network" is the selected network
+const ENV_OVERRIDES = {
+  NETWORK: "network",
+  POLYGON_RPC_URL: "networks.$network.rpcUrl",
+  FALLBACK_RPC_URLS: "networks.$network.fallbackRpcUrls",
+  POLYGON_WS_URL: "networks.$network.wsUrl",
+  RPC_QUORUM: "rpc.quorum",
+  FLASH_LOAN_ADDRESS: "networks.$network.contracts.flashLoan",
+  PRICE_ORACLE_ADDRESS: "networks.$network.contracts.priceOracle",
+  MAX_ROUTE_HOPS: "strategy.maxHops",
+  ROUTE_DISCOVERY_INTERVAL: "strategy.discoveryInterval",
+  SLIPPAGE_BPS: "strategy.slippageBps",
+  GAS_LIMIT_MULTIPLIER_PCT: "strategy.gasLimitMultiplierPct",
+  GAS_ESTIMATE: "strategy.gasEstimate",
+  DRY_RUN: "dryRun.enabled",
+  DRY_RUN_ADDRESS: "dryRun.fromAddress",
+  PAPER_LEDGER_FILE: "dryRun.ledgerFile",
+  TRADE_JOURNAL_FILE: "journal.file",
+  ROUTE_BLACKLIST_COOLDOWN_MS: "risk.blacklistCooldownMs",
+  FEE_HISTORY_BLOCKS: "fees.historyBlocks",
+  PRIORITY_FEE_PERCENTILE: "fees.priorityFeePercentile",
+  MAX_TIP_PROFIT_SHARE_BPS: "fees.maxTipProfitShareBps",
+  STUCK_TX_BLOCKS: "nonces.stuckBlocks",
+  MAX_TX_SPEEDUPS: "nonces.maxSpeedups",
+  MEMPOOL_ENABLED: "mempool.enabled",
+  MEMPOOL_WS_URL: "mempool.wsUrl",
+  LOG_LEVEL: "logging.level",
+  LOG_FORMAT: "logging.format",
+  LOG_FILE: "logging.file",
+  ALERT_WEBHOOK_URL: "alerts.webhookUrl",
+  ALERT_SLACK_URL: "alerts.slackUrl",
+  ALERT_TELEGRAM_URL: "alerts.telegramUrl",
+  ALERT_TELEGRAM_CHAT_ID: "alerts.telegramChatId",
+  MIN_BALANCE_MATIC: "alerts.minBalanceMatic",
+  METRICS_ENABLED: "metrics.enabled",
+  METRICS_PORT: "metrics.port",
+  SUBMISSION_BACKEND: "submission.default",
+  BACKRUN_SUBMISSION_BACKEND: "submission.backrun",
+  RELAY_URL: "submission.relayUrl",
+  BACKTEST_DATASET: "backtest.dataset"
+};
+
+// Any other value can be set as BOT__<section>__<key>, e.g. BOT__strategy__pairScanLimit=1000
+const GENERIC_ENV_PREFIX = "BOT__";
+
+/**
+ * Thrown when the config cannot be loaded; `errors` lists every problem found
+ */
+class ConfigError extends Error {
+  constructor(source, errors) {
+    super(`Invalid bot config (${source}):\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+const join = (at, key) => (at ? `${at}.${key}` : key);
+
+/**
+ * Check a value against a schema node, collecting readable errors
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} at - Dotted path of the value, for messages ("" at the root)
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkNode(value, schema, at, errors) {
+  switch (schema.type) {
+    case "object":
+    case "map":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${at || "config"} must be an object`);
+        return;
+      }
+      if (schema.type === "map") {
+        for (const [key, child] of Object.entries(value)) checkNode(child, schema.values, join(at, key), errors);
+        return;
+      }
+      for (const [key, child] of Object.entries(schema.fields)) {
+        if (value[key] === undefined) errors.push(`${join(at, key)} is required`);
+        else checkNode(value[key], child, join(at, key), errors);
+      }
+      for (const key of Object.keys(value)) {
+        if (!schema.fields[key]) errors.push(`${join(at, key)} is not a known setting`);
+      }
+      return;
+    case "list":
+      if (!Array.isArray(value)) {
+        errors.push(`${at} must be a list`);
+        return;
+      }
+      value.forEach((item, i) => checkNode(item, schema.items, `${at}[${i}]`, errors));
+      return;
+    case "integer":
+      if (!Number.isInteger(value)) {
+        errors.push(`${at} must be an integer (got ${JSON.stringify(value)})`);
+      } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        const range = schema.max === undefined ? `at least ${schema.min}` : `between ${schema.min} and ${schema.max}`;
+        errors.push(`${at} must be ${range} (got ${value})`);
+      }
+      return;
+    case "address":
+      if (schema.allowEmpty && value === "") return;
+      if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+        errors.push(`${at} must be an address (got ${JSON.stringify(value)})`);
+      }
+      return;
+    default:
+      if (typeof value !== schema.type || (schema.type === "string" && value === "" && !schema.allowEmpty)) {
+        errors.push(`${at} must be a non-empty ${schema.type} (got ${JSON.stringify(value)})`);
+      } else if (schema.oneOf && !schema.oneOf.includes(value)) {
+        errors.push(`${at} must be one of ${schema.oneOf.join(", ")} (got ${JSON.stringify(value)})`);
+      }
+  }
+}
+
+/**
+ * Validate a config against the schema and the cross-field rules it cannot express
+ * @param {Object} config - Parsed config
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireContracts - Require contract addresses; offline tools such as backtests do not need them
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+function validateConfig(config, options = {}) {
+  const { requireContracts = true } = options;
+  const errors = [];
+  checkNode(config, SCHEMA, "", errors);
+  if (errors.length > 0) return errors;
+
+  const network = config.networks[config.network];
+  if (!network) {
+    return [`network "${config.network}" is not one of: ${Object.keys(config.networks).join(", ")}`];
+  }
+
+  const at = `networks.${config.network}`;
+  if (requireContracts && !network.contracts.flashLoan) errors.push(`${at}.contracts.flashLoan is required (or set FLASH_LOAN_ADDRESS)`);
+  if (requireContracts && !network.contracts.priceOracle) errors.push(`${at}.contracts.priceOracle is required (or set PRICE_ORACLE_ADDRESS)`);
+  if (!network.tokens[network.nativeToken]) errors.push(`${at}.nativeToken "${network.nativeToken}" is not listed in ${at}.tokens`);
+  if (Object.keys(network.dexes).length === 0) errors.push(`${at}.dexes must list at least one DEX`);
+  if (config.rpc.quorum > 1 + network.fallbackRpcUrls.length) {
+    errors.push(`rpc.quorum ${config.rpc.quorum} is more than the ${1 + network.fallbackRpcUrls.length} RPC endpoints of ${config.network}`);
+  }
+
+  const seen = new Map();
+  for (const [symbol, token] of Object.entries(network.tokens)) {
+    const key = token.address.toLowerCase();
+    if (seen.has(key)) errors.push(`${at}.tokens.${symbol} has the same address as ${seen.get(key)}`);
+    seen.set(key, symbol);
+  }
+
+  if (config.alerts.telegramUrl && !config.alerts.telegramChatId) {
+    errors.push("alerts.telegramUrl needs alerts.telegramChatId (or set ALERT_TELEGRAM_CHAT_ID)");
+  }
+  try {
+    ethers.utils.parseEther(config.alerts.minBalanceMatic);
+  } catch (error) {
+    errors.push(`alerts.minBalanceMatic must be a MATIC amount (got ${JSON.stringify(config.alerts.minBalanceMatic)})`);
+  }
+
+  try {
+    ethers.utils.parseUnits(config.backtest.gasPriceGwei, "gwei");
+  } catch (error) {
+    errors.push(`backtest.gasPriceGwei must be a gwei amount (got ${JSON.stringify(config.backtest.gasPriceGwei)})`);
+  }
+  for (const [symbol, amount] of Object.entries(config.backtest.maxLoan)) {
+    const token = network.tokens[symbol];
+    if (!token) {
+      errors.push(`backtest.maxLoan.${symbol} is not listed in ${at}.tokens`);
+      continue;
+    }
+    try {
+      ethers.utils.parseUnits(amount, token.decimals);
+    } catch (error) {
+      errors.push(`backtest.maxLoan.${symbol} must be a ${symbol} amount (got ${JSON.stringify(amount)})`);
+    }
+  }
+
+  for (const key of ["default", "backrun"]) {
+    if (config.submission[key] !== "public" && !config.submission.relayUrl) {
+      errors.push(`submission.${key} "${config.submission[key]}" needs submission.relayUrl (or set RELAY_URL)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Schema node at a dotted path, walking through maps
+ * @param {Array<string>} keys - Path segments
+ * @returns {Object|null} Schema node, null when the path does not exist
+ */
+function schemaAt(keys) {
+  let node = SCHEMA;
+  for (const key of keys) {
+    if (node.type === "map") node = node.values;
+    else if (node.type === "object" && node.fields[key]) node = node.fields[key];
+    else return null;
+  }
+  return node;
+}
+
+/**
+ * Parse an env string into the type its schema node expects
+ * @param {string} raw - Env value
+ * @param {Object} schema - Leaf schema node
+ * @returns {*} Parsed value, or undefined when it does not parse
+ */
+function parseEnvValue(raw, schema) {
+  if (schema.type === "list") return raw.split(",").map(item => item.trim()).filter(item => item !== "");
+  if (schema.type === "integer") return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : undefined;
+  if (schema.type === "boolean") {
+    if (raw === "true") return true;
+    if (raw === "false") return false;
+    return undefined;
+  }
+  return raw;
+}
+
+/**
+ * Copy of a config with env var overrides applied
+ * @param {Object} config - Config parsed from the file
+ * @param {Object} env - Environment, usually process.env
+ * @param {Array<string>} errors - Collected errors for values that do not parse
+ * @param {Map} origins - Filled with setting path => env var name, to point errors at the env var
+ * @returns {Object} Overridden config
+ */
+function applyEnvOverrides(config, env, errors, origins = new Map()) {
+  const result = JSON.parse(JSON.stringify(config));
+  if (env.NETWORK) result.network = env.NETWORK;
+
+  const overrides = [];
+  for (const [name, target] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== "" && name !== "NETWORK") overrides.push([name, target]);
+  }
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(GENERIC_ENV_PREFIX)) overrides.push([name, name.slice(GENERIC_ENV_PREFIX.length).split("__").join(".")]);
+  }
+
+  for (const [name, target] of overrides) {
+    // Network-scoped vars have nothing to override when the network is unknown, validation reports that
+    if (target.includes("$network") && !(result.networks && result.networks[result.network])) continue;
+
+    const keys = target.replace("$network", result.network).split(".");
+    const schema = schemaAt(keys);
+    if (!schema || schema.type === "object" || schema.type === "map") {
+      errors.push(`${name} does not name a config setting`);
+      continue;
+    }
+
+    const value = parseEnvValue(env[name], schema);
+    if (value === undefined) {
+      errors.push(`${name}=${env[name]} must be ${schema.type === "boolean" ? "true or false" : `an ${schema.type}`} (${keys.join(".")})`);
+      continue;
+    }
+
+    let parent = result;
+    for (const key of keys.slice(0, -1)) {
+      if (!parent[key] || typeof parent[key] !== "object") parent[key] = {};
+      parent = parent[key];
+    }
+    parent[keys[keys.length - 1]] = value;
+    origins.set(keys.join("."), name);
+  }
+
+  return result;
+}
+
+/**
+ * Read, override and validate the bot config
+ * @param {string} filePath - JSON config file
+ * @param {Object} env - Environment, usually process.env
+ * @param {Object} options - Validation options, see validateConfig
+ * @returns {Object} Validated config
+ * @throws {ConfigError} Listing every problem when the file is missing, malformed or invalid
+ */
+function loadConfig(filePath = DEFAULT_CONFIG_FILE, env = process.env, options = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(filePath, [error.code === "ENOENT" ? "file not found" : `cannot parse: ${error.message}`]);
+  }
+
+  const errors = [];
+  const origins = new Map();
+  const config = applyEnvOverrides(parsed, env, errors, origins);
+  for (const error of validateConfig(config, options)) {
+    const setting = error.split(" ")[0];
+    errors.push(origins.has(setting) ? `${error} (set by ${origins.get(setting)})` : error);
+  }
+  if (errors.length > 0) throw new ConfigError(filePath, errors);
+
+  return config;
+}
+
+/**
+ * The network section the config selects
+ * @param {Object} config - Validated config
+ * @returns {Object} Network settings
+ */
+function activeNetwork(config) {
+  return config.networks[config.network];
+}
+
+/**
+ * Reload the config whenever its file changes. Invalid edits are reported and ignored,
+ * leaving the previous config in force.
+ * @param {string} filePath - JSON config file
+ * @param {Object} env - Environment, usually process.env
+ * @param {Function} onReload - Called with the new validated config
+ * @param {Function} onError - Called with the ConfigError of an invalid edit
+ * @param {number} interval - Polling interval in ms
+ * @returns {Function} Stops watching
+ */
+function watchConfig(filePath, env, onReload, onError, interval = 1000) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      onReload(loadConfig(filePath, env));
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  ENV_OVERRIDES,
+  ConfigError,
+  validateConfig,
+  applyEnvOverrides,
+  loadConfig,
+  activeNetwork,
+  watchConfig
+};
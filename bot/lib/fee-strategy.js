@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+
+const BASIS_POINTS = 10000;
+
+/**
+ * Median of a list of BigNumbers
+ * @param {Array<ethers.BigNumber>} values - Values to take the median of
+ * @returns {ethers.BigNumber} Median, zero for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return ethers.BigNumber.from(0);
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * EIP-1559 fee strategy fed by eth_feeHistory once per block
+ */
+class FeeStrategy {
+  /**
+   * @param {ethers.providers.JsonRpcProvider} provider - Provider supporting eth_feeHistory
+   * @param {Object} options - Strategy settings
+   * @param {number} options.blockCount - Recent blocks to sample
+   * @param {number} options.rewardPercentile - Priority fee percentile to bid at within each block
+   * @param {number} options.maxProfitShareBps - Largest share of expected profit the tip may consume
+   * @param {number} options.baseFeeMultiplier - Headroom on the base fee for maxFeePerGas
+   * @param {ethers.BigNumber} options.minPriorityFee - Network minimum tip (Polygon enforces one)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.blockCount = options.blockCount || 10;
+    this.rewardPercentile = options.rewardPercentile || 75;
+    this.maxProfitShareBps = options.maxProfitShareBps || 5000;
+    this.baseFeeMultiplier = options.baseFeeMultiplier || 2;
+    this.minPriorityFee = ethers.BigNumber.from(options.minPriorityFee || ethers.utils.parseUnits("30", "gwei"));
+
+    this.baseFee = ethers.BigNumber.from(0);
+    this.priorityFee = this.minPriorityFee;
+    this.lastBlock = null;
+  }
+
+  /**
+   * Refresh base fee and tip from the fee history up to a block
+   * @param {number|string} blockNumber - Newest block to sample
+   */
+  async update(blockNumber = "latest") {
+    const newest = typeof blockNumber === "number" ? ethers.utils.hexValue(blockNumber) : blockNumber;
+    const history = await this.provider.send("eth_feeHistory", [
+      ethers.utils.hexValue(this.blockCount),
+      newest,
+      [this.rewardPercentile]
+    ]);
+
+    // The last base fee entry is the one the next block will charge
+    const baseFees = history.baseFeePerGas.map(fee => ethers.BigNumber.from(fee));
+    this.baseFee = baseFees[baseFees.length - 1];
+
+    const rewards = (history.reward || []).map(reward => ethers.BigNumber.from(reward[0]));
+    const tip = median(rewards);
+    this.priorityFee = tip.gt(this.minPriorityFee) ? tip : this.minPriorityFee;
+    this.lastBlock = blockNumber;
+  }
+
+  /**
+   * Expected price paid per gas, for cost estimates
+   * @returns {ethers.BigNumber} Base fee plus tip
+   */
+  getGasPrice() {
+    return this.baseFee.add(this.priorityFee);
+  }
+
+  /**
+   * Type-2 fee fields for a transaction, with the tip capped at a share of profit
+   * @param {ethers.BigNumber} gasLimit - Gas limit of the transaction
+   * @param {ethers.BigNumber} expectedProfit - Expected profit in native token wei
+   * @returns {Object|null} Fee overrides, or null when the cap falls below the network minimum tip
+   */
+  getFees(gasLimit, expectedProfit) {
+    let tip = this.priorityFee;
+
+    const tipCap = ethers.BigNumber.from(expectedProfit).mul(this.maxProfitShareBps).div(BASIS_POINTS).div(gasLimit);
+    if (tip.gt(tipCap)) tip = tipCap;
+    if (tip.lt(this.minPriorityFee)) return null;
+
+    return {
+      type: 2,
+      maxPriorityFeePerGas: tip,
+      maxFeePerGas: this.baseFee.mul(this.baseFeeMultiplier).add(tip)
+    };
+  }
+
+  /**
+   * Fee fields equal to another transaction's, so a backrun sorts right behind its target.
+   * Outbidding would put it in front; the same profit cap as getFees still applies.
+   * @param {Object} target - Target fees as { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+   * @param {ethers.BigNumber} gasLimit - Gas limit of the backrun
+   * @param {ethers.BigNumber} expectedProfit - Expected profit in native token wei
+   * @returns {Object|null} Fee overrides, or null when the target's tip exceeds the cap
+   */
+  matchFees(target, gasLimit, expectedProfit) {
+    const tipCap = ethers.BigNumber.from(expectedProfit).mul(this.maxProfitShareBps).div(BASIS_POINTS).div(gasLimit);
+
+    if (target.maxPriorityFeePerGas) {
+      if (target.maxPriorityFeePerGas.gt(tipCap)) return null;
+      return { type: 2, maxPriorityFeePerGas: target.maxPriorityFeePerGas, maxFeePerGas: target.maxFeePerGas };
+    }
+
+    const tip = target.gasPrice.gt(this.baseFee) ? target.gasPrice.sub(this.baseFee) : ethers.BigNumber.from(0);
+    if (tip.gt(tipCap)) return null;
+    return { gasPrice: target.gasPrice };
+  }
+}
+
+module.exports = {
+  FeeStrategy
+};
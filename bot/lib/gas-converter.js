@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+const { TokenAmount } = require("./token-amount");
+
+const NATIVE_DECIMALS = 18;
+
+/**
+ * Converts between the native token (gas) and other tokens, so gas cost can be weighed
+ * against profit in the profit token's own units. Uses oracle USD prices when both sides
+ * have one, otherwise the mid price of the deepest native/token pool.
+ */
+class GasConverter {
+  /**
+   * @param {TokenRegistry} registry - Loaded tokens
+   * @param {string} nativeToken - Wrapped native token address (WMATIC)
+   */
+  constructor(registry, nativeToken) {
+    this.registry = registry;
+    this.nativeToken = nativeToken;
+    this.prices = new Map(); // lowercase token => USD price with 8 decimals
+    this.scanner = null;
+  }
+
+  /**
+   * Refresh the inputs for the current block
+   * @param {Map} prices - Lowercase token => oracle USD price (8 decimals), missing when unpriced
+   * @param {ReserveScanner} scanner - Scanner with reserves refreshed at the same block
+   */
+  update(prices, scanner) {
+    this.prices = prices;
+    this.scanner = scanner;
+  }
+
+  /**
+   * Exchange rate as a fraction: token units = native wei * num / den
+   * @param {string} token - Token address
+   * @returns {Object|null} { num, den, source }, null when no price is available
+   */
+  rate(token) {
+    const key = token.toLowerCase();
+    const native = this.nativeToken.toLowerCase();
+    if (key === native) return { num: ethers.BigNumber.from(1), den: ethers.BigNumber.from(1), source: "native" };
+
+    const details = this.registry.get(token);
+    if (!details) return null;
+
+    const tokenPrice = this.prices.get(key);
+    const nativePrice = this.prices.get(native);
+    if (tokenPrice && nativePrice && !tokenPrice.isZero()) {
+      return {
+        num: nativePrice.mul(ethers.BigNumber.from(10).pow(details.decimals)),
+        den: tokenPrice.mul(ethers.BigNumber.from(10).pow(NATIVE_DECIMALS)),
+        source: "oracle"
+      };
+    }
+
+    if (this.scanner) {
+      const pools = this.scanner.getPools(this.nativeToken, token).filter(pool => !pool.reserveIn.isZero());
+      if (pools.length > 0) {
+        const deepest = pools.reduce((best, pool) => (pool.reserveIn.gt(best.reserveIn) ? pool : best));
+        return { num: deepest.reserveOut, den: deepest.reserveIn, source: "pool" };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Native amount expressed in another token
+   * @param {TokenAmount} nativeAmount - Amount of the native token
+   * @param {string} token - Target token address
+   * @returns {TokenAmount|null} Converted amount, null when the token cannot be priced
+   */
+  toToken(nativeAmount, token) {
+    const rate = this.rate(token);
+    if (!rate) return null;
+    return new TokenAmount(this.registry.get(token), nativeAmount.raw.mul(rate.num).div(rate.den));
+  }
+
+  /**
+   * Token amount expressed in the native token
+   * @param {TokenAmount} amount - Amount of any loaded token
+   * @returns {TokenAmount|null} Native amount, null when the token cannot be priced
+   */
+  toNative(amount) {
+    const rate = this.rate(amount.token.address);
+    if (!rate || rate.num.isZero()) return null;
+    return new TokenAmount(this.registry.get(this.nativeToken), amount.raw.mul(rate.den).div(rate.num));
+  }
+}
+
+module.exports = {
+  GasConverter
+};
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields whose values are never written, whatever they hold
+const SECRET_KEYS = /private.?key|mnemonic|secret|password|auth.?signer|authorization/i;
+const REDACTED = "[REDACTED]";
+
+/**
+ * Log file that rolls over to bot.log.1, bot.log.2, ... once it reaches maxBytes
+ */
+class RotatingFile {
+  /**
+   * @param {string} filePath - Active log file, created on first write
+   * @param {Object} options - Rotation settings
+   * @param {number} options.maxBytes - Size at which the file is rotated
+   * @param {number} options.maxFiles - Rotated files kept, older ones are deleted
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Append one line, rotating first when it would not fit
+   * @param {string} line - Line without its newline
+   */
+  write(line) {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, line + "\n");
+    this.size += bytes;
+  }
+
+  rotate() {
+    const rotated = index => `${this.filePath}.${index}`;
+    fs.rmSync(rotated(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(rotated(index))) fs.renameSync(rotated(index), rotated(index + 1));
+    }
+    if (this.maxFiles > 0) fs.renameSync(this.filePath, rotated(1));
+    else fs.rmSync(this.filePath, { force: true });
+    this.size = 0;
+  }
+}
+
+/**
+ * Short random ID tying together every log line about one opportunity
+ * @returns {string} 12 hex characters
+ */
+function correlationId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Leveled logger writing one JSON object per line (or plain text) to the console and an
+ * optional rotating file. Children add fixed fields, such as a correlation ID, to every
+ * line and share their parent's level, outputs and secrets.
+ */
+class Logger {
+  /**
+   * @param {Object} options - Logger settings
+   * @param {string} options.level - Lowest level written: debug, info, warn or error
+   * @param {string} options.format - "json" or "text" for the console; files are always JSON
+   * @param {string} options.file - Log file, empty for console only
+   * @param {number} options.maxFileBytes - Size at which the file rotates
+   * @param {number} options.maxFiles - Rotated files kept
+   * @param {Object} options.streams - { out, err } for info/debug and warn/error lines
+   */
+  constructor(options = {}) {
+    this.level = options.level || "info";
+    this.format = options.format || "json";
+    this.file = options.file ? new RotatingFile(options.file, { maxBytes: options.maxFileBytes, maxFiles: options.maxFiles }) : null;
+    this.streams = options.streams || { out: process.stdout, err: process.stderr };
+    this.secrets = [];
+    this.context = {};
+  }
+
+  /**
+   * Logger adding fields to every line
+   * @param {Object} context - Fields, e.g. { opportunityId }
+   * @returns {Logger} Child logger
+   */
+  child(context) {
+    const child = Object.create(this);
+    child.context = { ...this.context, ...context };
+    return child;
+  }
+
+  /**
+   * Never write this value, wherever it shows up (messages, fields, error text)
+   * @param {string} secret - Secret value such as a private key
+   */
+  addSecret(secret) {
+    if (!secret) return;
+    const bare = secret.startsWith("0x") ? secret.slice(2) : secret;
+    for (const value of new Set([secret, bare, bare.toLowerCase(), bare.toUpperCase()])) {
+      if (value.length >= 8 && !this.secrets.includes(value)) this.secrets.push(value);
+    }
+  }
+
+  debug(message, fields) {
+    this._write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this._write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this._write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this._write("error", message, fields);
+  }
+
+  _write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.context, ...fields };
+    const json = this._redact(JSON.stringify(entry, (key, value) => {
+      if (key && SECRET_KEYS.test(key)) return REDACTED;
+      if (value && value.type === "BigNumber" && value.hex) return BigInt(value.hex).toString();
+      if (value instanceof Error) {
+        return { name: value.name, message: value.message, code: value.code, reason: value.reason, stack: value.stack };
+      }
+      return value;
+    }));
+
+    if (this.file) this.file.write(json);
+    const line = this.format === "text" ? this._text(JSON.parse(json)) : json;
+    (LEVELS[level] >= LEVELS.warn ? this.streams.err : this.streams.out).write(line + "\n");
+  }
+
+  _redact(text) {
+    return this.secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+  }
+
+  _text(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+      .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+      .join(" ");
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ""}`;
+  }
+}
+
+module.exports = {
+  LEVELS,
+  Logger,
+  RotatingFile,
+  correlationId
+};
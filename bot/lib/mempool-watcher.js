@@ -0,0 +1,75 @@
+const { decodeSwap } = require("./swap-decoder");
+const { Logger } = require("./logger");
+
+/**
+ * Subscribes to pending transactions and reports the ones that swap through a known router
+ */
+class MempoolWatcher {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider emitting "pending" (WebSocket, or filter polling)
+   * @param {Object} dexes - DEX name => { factory, router }
+   * @param {Object} options - Watcher settings
+   * @param {number} options.maxSeen - Hashes remembered to skip re-announced transactions
+   * @param {Logger} options.logger - Logger for transactions that cannot be handled
+   */
+  constructor(provider, dexes, options = {}) {
+    this.provider = provider;
+    this.maxSeen = options.maxSeen || 10000;
+    this.log = options.logger || new Logger();
+    this.seen = new Set();
+    this.listener = null;
+    this.setDexes(dexes);
+  }
+
+  /**
+   * Replace the routers to watch
+   * @param {Object} dexes - DEX name => { factory, router }
+   */
+  setDexes(dexes) {
+    this.routers = new Map(Object.entries(dexes).map(([dexName, dex]) => [dex.router.toLowerCase(), dexName]));
+  }
+
+  /**
+   * Start listening
+   * @param {Function} onSwap - Called with (swap, tx) for every decoded router swap
+   */
+  start(onSwap) {
+    this.listener = hash => {
+      this.handle(hash, onSwap).catch(error => this.log.error("Error handling pending transaction", { txHash: hash, error: error.message }));
+    };
+    this.provider.on("pending", this.listener);
+  }
+
+  /**
+   * Fetch and decode one pending transaction
+   * @param {string} hash - Transaction hash
+   * @param {Function} onSwap - Called with (swap, tx) when it is a router swap
+   * @returns {Promise<Object|null>} Decoded swap
+   */
+  async handle(hash, onSwap) {
+    if (this.seen.has(hash)) return null;
+    this.seen.add(hash);
+    if (this.seen.size > this.maxSeen) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+
+    const tx = await this.provider.getTransaction(hash);
+    if (!tx || tx.blockNumber) return null; // Dropped, or mined before we looked
+
+    const swap = decodeSwap(tx, this.routers);
+    if (swap) await onSwap(swap, tx);
+    return swap;
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (this.listener) this.provider.off("pending", this.listener);
+    this.listener = null;
+  }
+}
+
+module.exports = {
+  MempoolWatcher
+};
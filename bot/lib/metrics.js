@@ -0,0 +1,228 @@
+const http = require("http");
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label name => value
+ * @returns {string} Label block, empty without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * A named metric holding one series per label set
+ */
+class Metric {
+  /**
+   * @param {string} type - "counter", "gauge" or "histogram"
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Labels every observation must set
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized labels => { labels, value } (histograms: { labels, buckets, sum, count })
+  }
+
+  _series(labels, create) {
+    const missing = this.labelNames.filter(name => labels[name] === undefined);
+    if (missing.length > 0 || Object.keys(labels).length !== this.labelNames.length) {
+      throw new Error(`${this.name} takes labels ${this.labelNames.join(", ") || "(none)"}, got ${Object.keys(labels).join(", ") || "(none)"}`);
+    }
+    const ordered = {};
+    for (const name of this.labelNames) ordered[name] = labels[name];
+    const key = JSON.stringify(ordered);
+    if (!this.series.has(key)) this.series.set(key, create(ordered));
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} amount - Non-negative increment
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`${this.name} can only increase`);
+    this._series(labels, ordered => ({ labels: ordered, value: 0 })).value += amount;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this._series(labels, ordered => ({ labels: ordered, value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this._series(labels, ordered => ({ labels: ordered, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer
+   * @param {Object} labels - Label values
+   * @returns {Function} Observes the seconds elapsed when called
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics rendered together in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @returns {string} Every metric with its HELP and TYPE lines
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+/**
+ * Metrics the bot exports, all prefixed arb_
+ * @param {MetricsRegistry} registry - Registry to add them to
+ * @returns {Object} Metrics by short name
+ */
+function createBotMetrics(registry = new MetricsRegistry()) {
+  return {
+    registry,
+    blocksProcessed: registry.counter("arb_blocks_processed_total", "Blocks the bot has processed"),
+    lastBlock: registry.gauge("arb_last_block", "Number of the last processed block"),
+    blocksSkipped: registry.counter("arb_blocks_skipped_total", "Blocks passed over because a newer head arrived while busy"),
+    reorgs: registry.counter("arb_reorgs_total", "Chain reorganizations seen at the head"),
+    scanDuration: registry.histogram("arb_scan_duration_seconds", "Time to refresh reserves and evaluate cycles for one block"),
+    opportunitiesFound: registry.counter("arb_opportunities_found_total", "Profitable opportunities found", ["source"]),
+    tradesSubmitted: registry.counter("arb_trades_submitted_total", "Trades sent on chain", ["backend"]),
+    tradeResults: registry.counter("arb_trade_results_total", "Trade outcomes; reason is the revert or failure reason", ["result", "reason"]),
+    realizedProfit: registry.counter("arb_realized_profit_total", "Realized trade profit, in token units", ["token"]),
+    realizedProfitUsd: registry.counter("arb_realized_profit_usd_total", "Realized trade profit, in USD"),
+    gasSpent: registry.counter("arb_gas_spent_matic_total", "Gas paid for confirmed transactions, in MATIC"),
+    walletBalance: registry.gauge("arb_wallet_balance_matic", "MATIC balance of the trading wallet"),
+    baseFee: registry.gauge("arb_base_fee_gwei", "Base fee of the next block"),
+    priorityFee: registry.gauge("arb_priority_fee_gwei", "Priority fee the bot bids"),
+    circuitBreaker: registry.gauge("arb_circuit_breaker_active", "FlashLoanPolygon circuitBreakerActive (1 = tripped)")
+  };
+}
+
+/**
+ * Local HTTP server exposing /metrics for scraping and /healthz for liveness checks
+ * @param {MetricsRegistry} registry - Metrics to expose
+ * @param {Function} health - Returns { healthy, ...details }; unhealthy answers 503
+ * @returns {http.Server} Server, not yet listening
+ */
+function createStatusServer(registry, health) {
+  return http.createServer((req, res) => {
+    const url = req.url.split("?")[0];
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" });
+      res.end();
+    } else if (url === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+      res.end(registry.render());
+    } else if (url === "/healthz") {
+      const status = health();
+      res.writeHead(status.healthy ? 200 : 503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(status));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+}
+
+module.exports = {
+  MetricsRegistry,
+  createBotMetrics,
+  createStatusServer
+};
@@ -0,0 +1,268 @@
+const { ethers } = require("ethers");
+const { Logger } = require("./logger");
+
+const BASIS_POINTS = 10000;
+
+/**
+ * Assigns nonces locally, tracks pending transactions and replaces the ones that get stuck.
+ * Sends are serialized so no two transactions are ever signed with the same nonce.
+ */
+class NonceManager {
+  /**
+   * @param {ethers.Signer} signer - Signer connected to a provider
+   * @param {Object} options - Replacement settings
+   * @param {number} options.stuckBlocks - Blocks without inclusion before a transaction is replaced
+   * @param {number} options.maxReplacements - Speed-ups before the transaction is cancelled instead
+   * @param {number} options.feeBumpBps - Fee increase per replacement (nodes require at least 10%)
+   * @param {Function} options.getFees - Optional callback returning current fee fields to bump towards
+   * @param {Logger} options.logger - Logger for replacements
+   */
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.stuckBlocks = options.stuckBlocks || 3;
+    this.maxReplacements = options.maxReplacements === undefined ? 2 : options.maxReplacements;
+    this.feeBumpBps = options.feeBumpBps || 1250;
+    this.getFees = options.getFees || null;
+    this.log = options.logger || new Logger();
+
+    this.nextNonce = null;
+    this.pending = new Map(); // nonce => tracked transaction
+    this.reserved = new Map(); // nonce => transaction whose channel may still leave it unused
+    this.queue = Promise.resolve();
+    this.checking = false;
+  }
+
+  /**
+   * Sign and send a transaction with the next local nonce
+   * @param {Object} tx - Populated transaction without a nonce
+   * @param {Function} send - Optional sender for a private channel, called with the transaction
+   *   and its nonce and returning { hash }; speed-ups and cancels go through it too
+   * @returns {Promise<Object>} { response, nonce, confirmation } where confirmation resolves
+   *   to { receipt, hash, replaced, cancelled } once the nonce is mined
+   */
+  sendTransaction(tx, send = null) {
+    const sender = send || (request => this.signer.sendTransaction(request));
+
+    return this._lock(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.signer.getTransactionCount("pending");
+      }
+
+      const nonce = this.nextNonce;
+      let entry;
+      try {
+        entry = await this._track({ ...tx, nonce }, sender);
+      } catch (error) {
+        // The node may not have accepted the nonce, resync before the next send
+        this.nextNonce = null;
+        throw error;
+      }
+      this.nextNonce = nonce + 1;
+
+      return { response: entry.response, nonce, confirmation: entry.confirmation };
+    });
+  }
+
+  /**
+   * Send a transaction with its nonce set and track it until the nonce is mined
+   * @param {Object} tx - Transaction with its nonce
+   * @param {Function} send - Sender, also used for replacements
+   * @returns {Promise<Object>} Tracked entry
+   */
+  async _track(tx, send) {
+    const response = await send(tx);
+    const entry = {
+      nonce: tx.nonce,
+      tx,
+      send,
+      response,
+      hashes: [response.hash],
+      sentBlock: await this.provider.getBlockNumber(),
+      cancelHashes: new Set(),
+      replacements: 0
+    };
+    entry.confirmation = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+    this.pending.set(tx.nonce, entry);
+    return entry;
+  }
+
+  /**
+   * Send through a channel that may not use the nonce (bundles). The nonce is reserved
+   * rather than held: later sends go ahead with the following nonces meanwhile.
+   * @param {Object} tx - Populated transaction without a nonce
+   * @param {Function} send - Called with the transaction and its nonce once the channel
+   *   has it, returns { hash, confirmation } where confirmation resolves to { included, ... }
+   * @returns {Promise<Object>} { response, nonce, confirmation } where confirmation resolves
+   *   to the channel's result once the nonce is marked used or released
+   */
+  reserveNonce(tx, send) {
+    return this._lock(async () => {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.signer.getTransactionCount("pending");
+      }
+
+      const nonce = this.nextNonce;
+      let sent;
+      try {
+        sent = await send({ ...tx, nonce });
+      } catch (error) {
+        this.nextNonce = null;
+        throw error;
+      }
+      this.nextNonce = nonce + 1;
+      this.reserved.set(nonce, { ...tx, nonce });
+
+      const confirmation = sent.confirmation.then(
+        async result => {
+          await this._release(nonce, result.included);
+          return result;
+        },
+        async error => {
+          await this._release(nonce, false);
+          throw error;
+        }
+      );
+      return { response: { hash: sent.hash }, nonce, confirmation };
+    });
+  }
+
+  /**
+   * End a reservation. An unused nonce is handed out again if nothing was sent after it,
+   * otherwise a zero-value self-transfer fills it so the later nonces can be mined.
+   * @param {number} nonce - Reserved nonce
+   * @param {boolean} used - Whether the channel landed a transaction with it
+   */
+  _release(nonce, used) {
+    return this._lock(async () => {
+      const tx = this.reserved.get(nonce);
+      this.reserved.delete(nonce);
+      if (used) return;
+
+      const later = [...this.pending.keys(), ...this.reserved.keys()].some(other => other > nonce);
+      if (!later) {
+        if (this.nextNonce !== null) this.nextNonce = nonce;
+        return;
+      }
+
+      const filler = { to: await this.signer.getAddress(), value: 0, data: "0x", gasLimit: 21000, nonce, ...this._bumpFees(tx) };
+      try {
+        const entry = await this._track(filler, request => this.signer.sendTransaction(request));
+        entry.cancelHashes.add(entry.hashes[0]);
+        this.log.warn("Filling unused nonce behind later transactions", { nonce, txHash: entry.hashes[0] });
+      } catch (error) {
+        this.log.error("Error filling unused nonce", { nonce, error: error.message });
+        this.nextNonce = null;
+      }
+    });
+  }
+
+  /**
+   * Settle mined nonces and speed up or cancel transactions stuck for too long
+   * @param {number} blockNumber - Newest block number
+   */
+  async onBlock(blockNumber) {
+    if (this.checking || this.pending.size === 0) return;
+    this.checking = true;
+
+    try {
+      const minedNonce = await this.signer.getTransactionCount("latest");
+      const entries = [...this.pending.values()].sort((a, b) => a.nonce - b.nonce);
+
+      for (const entry of entries) {
+        if (entry.nonce < minedNonce) {
+          await this._settle(entry);
+        } else if (blockNumber - entry.sentBlock >= this.stuckBlocks) {
+          await this._replace(entry, blockNumber);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Resolve a mined nonce with the receipt of whichever of its transactions landed
+   * @param {Object} entry - Tracked transaction
+   */
+  async _settle(entry) {
+    let receipt = null;
+    for (const hash of [...entry.hashes].reverse()) {
+      receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) break;
+    }
+
+    this.pending.delete(entry.nonce);
+    entry.resolve({
+      receipt,
+      hash: receipt ? receipt.transactionHash : null,
+      replaced: Boolean(receipt) && receipt.transactionHash !== entry.hashes[0],
+      cancelled: Boolean(receipt) && entry.cancelHashes.has(receipt.transactionHash)
+    });
+  }
+
+  /**
+   * Re-send a stuck nonce with bumped fees, as the original call or as a zero-value self-transfer
+   * @param {Object} entry - Tracked transaction
+   * @param {number} blockNumber - Newest block number
+   */
+  _replace(entry, blockNumber) {
+    return this._lock(async () => {
+      const cancel = entry.replacements >= this.maxReplacements;
+      const base = cancel
+        ? { to: await this.signer.getAddress(), value: 0, data: "0x", gasLimit: 21000 }
+        : entry.tx;
+      const replacement = { ...base, nonce: entry.nonce, ...this._bumpFees(entry.tx) };
+
+      try {
+        const response = await entry.send(replacement);
+        entry.hashes.push(response.hash);
+        entry.tx = replacement;
+        entry.sentBlock = blockNumber;
+        entry.replacements++;
+        if (cancel) entry.cancelHashes.add(response.hash);
+        this.log.warn(cancel ? "Cancelling stuck transaction" : "Speeding up stuck transaction", { nonce: entry.nonce, txHash: response.hash });
+      } catch (error) {
+        // Usually the original was mined meanwhile, the next block settles it
+        this.log.error("Error replacing stuck transaction", { nonce: entry.nonce, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Fee fields raised by feeBumpBps, and at least to the current market fees
+   * @param {Object} tx - Transaction being replaced
+   * @returns {Object} Fee overrides
+   */
+  _bumpFees(tx) {
+    const bump = value => ethers.BigNumber.from(value).mul(BASIS_POINTS + this.feeBumpBps).div(BASIS_POINTS);
+    const max = (a, b) => (b && b.gt(a) ? b : a);
+    const current = this.getFees ? this.getFees() || {} : {};
+
+    if (tx.gasPrice) {
+      return { gasPrice: max(bump(tx.gasPrice), current.gasPrice) };
+    }
+    return {
+      type: 2,
+      maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+      maxFeePerGas: max(bump(tx.maxFeePerGas), current.maxFeePerGas)
+    };
+  }
+
+  /**
+   * Run a task once every earlier task has finished
+   * @param {Function} task - Async task
+   * @returns {Promise} Result of the task
+   */
+  _lock(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  NonceManager
+};
@@ -0,0 +1,293 @@
+const http = require("http");
+const https = require("https");
+const { ethers } = require("ethers");
+const { Logger } = require("./logger");
+
+const WEBHOOK = "webhook";
+const SLACK = "slack";
+const TELEGRAM = "telegram";
+
+const SEVERITY_ICONS = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+
+/**
+ * POST a JSON body
+ * @param {string} url - Endpoint
+ * @param {Object} payload - Body
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<number>} Status code
+ * @throws When the request fails or answers with a non-2xx status
+ */
+function postJson(url, payload, timeoutMs = 5000) {
+  const body = JSON.stringify(payload);
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+      timeout: timeoutMs
+    }, res => {
+      res.resume();
+      res.on("end", () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+        else reject(new Error(`HTTP ${res.statusCode}`));
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Request body for an alert in a channel's format
+ * @param {Object} channel - { type, url, chatId }
+ * @param {Object} alert - { key, severity, title, message, details, time }
+ * @returns {Object} Payload
+ */
+function formatAlert(channel, alert) {
+  const text = `${SEVERITY_ICONS[alert.severity] || ""} [${alert.severity.toUpperCase()}] ${alert.title}\n${alert.message}`;
+  switch (channel.type) {
+    case SLACK:
+      return { text };
+    case TELEGRAM:
+      return { chat_id: channel.chatId, text, disable_web_page_preview: true };
+    default:
+      return { alert: alert.key, severity: alert.severity, title: alert.title, message: alert.message, details: alert.details || {}, time: alert.time };
+  }
+}
+
+/**
+ * Channels for the URLs set in the alerts config section
+ * @param {Object} alerts - { webhookUrl, slackUrl, telegramUrl, telegramChatId }
+ * @returns {Array<Object>} { type, url, chatId }
+ */
+function channelsFromConfig(alerts) {
+  const channels = [];
+  if (alerts.webhookUrl) channels.push({ type: WEBHOOK, url: alerts.webhookUrl });
+  if (alerts.slackUrl) channels.push({ type: SLACK, url: alerts.slackUrl });
+  if (alerts.telegramUrl) channels.push({ type: TELEGRAM, url: alerts.telegramUrl, chatId: alerts.telegramChatId });
+  return channels;
+}
+
+/**
+ * Sends alerts to every configured channel. Repeats of the same alert key are dropped for
+ * a cooldown, and at most maxPerHour alerts go out per hour; suppressed alerts are
+ * counted and reported with the next one that is sent.
+ */
+class Notifier {
+  /**
+   * @param {Array<Object>} channels - { type: webhook|slack|telegram, url, chatId }
+   * @param {Object} options - Delivery settings
+   * @param {number} options.cooldownMs - Minimum time between two alerts with the same key
+   * @param {number} options.maxPerHour - Alerts sent per rolling hour
+   * @param {Function} options.post - Sender, (url, payload) => Promise
+   * @param {Function} options.now - Clock in ms, for tests
+   * @param {Logger} options.logger - Logger for alerts and delivery failures
+   */
+  constructor(channels, options = {}) {
+    this.channels = channels;
+    this.cooldownMs = options.cooldownMs === undefined ? 15 * 60 * 1000 : options.cooldownMs;
+    this.maxPerHour = options.maxPerHour || 20;
+    this.post = options.post || postJson;
+    this.now = options.now || Date.now;
+    this.log = options.logger || new Logger();
+
+    this.lastSent = new Map(); // alert key => ms
+    this.sentTimes = []; // ms of alerts sent in the last hour
+    this.suppressed = 0;
+  }
+
+  /**
+   * Send an alert unless it is a recent duplicate or over the rate limit
+   * @param {Object} alert - Alert
+   * @param {string} alert.key - Identity for deduplication, e.g. "low-balance"
+   * @param {string} alert.severity - info, warning or critical
+   * @param {string} alert.title - One-line summary
+   * @param {string} alert.message - Details for humans
+   * @param {Object} alert.details - Machine-readable details, webhook only
+   * @returns {Promise<Object>} { sent, reason } where reason says why it was not sent
+   */
+  async notify(alert) {
+    const now = this.now();
+    const last = this.lastSent.get(alert.key);
+    if (last !== undefined && now - last < this.cooldownMs) {
+      return { sent: false, reason: "duplicate" };
+    }
+
+    this.sentTimes = this.sentTimes.filter(time => now - time < 60 * 60 * 1000);
+    if (this.sentTimes.length >= this.maxPerHour) {
+      this.suppressed++;
+      this.log.warn("Alert rate limited", { alert: alert.key, title: alert.title });
+      return { sent: false, reason: "rate-limited" };
+    }
+
+    this.lastSent.set(alert.key, now);
+    this.sentTimes.push(now);
+    const message = this.suppressed > 0 ? `${alert.message}\n(${this.suppressed} earlier alerts were rate limited)` : alert.message;
+    this.suppressed = 0;
+
+    const full = { ...alert, message, time: new Date(now).toISOString() };
+    this.log.warn("Alert", { alert: alert.key, severity: alert.severity, title: alert.title });
+    await Promise.all(this.channels.map(channel =>
+      this.post(channel.url, formatAlert(channel, full)).catch(error => {
+        this.log.error("Alert delivery failed", { channel: channel.type, error: error.message });
+      })
+    ));
+    return { sent: true };
+  }
+
+  /**
+   * Let the next alert with this key through immediately, once its condition has cleared
+   * @param {string} key - Alert key
+   */
+  reset(key) {
+    this.lastSent.delete(key);
+  }
+}
+
+/**
+ * Watches bot state for the conditions on-call needs to hear about and raises alerts
+ * through a Notifier. Each check is fed the latest value and fires on the transition
+ * into a bad state; a condition that persists repeats after the notifier's cooldown.
+ */
+class AlertRules {
+  /**
+   * @param {Notifier} notifier - Where alerts go
+   * @param {Object} thresholds - Alert thresholds
+   * @param {number} thresholds.consecutiveFailures - Failed trades in a row before alerting
+   * @param {ethers.BigNumber} thresholds.minBalance - Wallet balance (wei) below which to alert
+   * @param {number} thresholds.volumeUsageBps - Share of the daily volume limit that triggers an alert
+   * @param {number} thresholds.staleBlockSeconds - Seconds without a block before alerting
+   */
+  constructor(notifier, thresholds) {
+    this.notifier = notifier;
+    this.thresholds = thresholds;
+
+    this.circuitBreakerActive = null; // Unknown until the first read
+    this.failureStreak = 0;
+    this.lastBlockAt = null;
+    this.stalled = false;
+  }
+
+  /**
+   * @param {boolean} active - circuitBreakerActive as read from the contract
+   */
+  async circuitBreaker(active) {
+    const previous = this.circuitBreakerActive;
+    this.circuitBreakerActive = active;
+    if (previous === active || (previous === null && !active)) return;
+
+    // Every flip is news, however soon after the last one
+    this.notifier.reset(active ? "circuit-breaker" : "circuit-breaker-cleared");
+    await this.notifier.notify(active
+      ? { key: "circuit-breaker", severity: "critical", title: "Circuit breaker tripped", message: "FlashLoanPolygon circuitBreakerActive is set; the bot has stopped trading." }
+      : { key: "circuit-breaker-cleared", severity: "info", title: "Circuit breaker cleared", message: "FlashLoanPolygon circuitBreakerActive is off again; trading resumes." });
+  }
+
+  /**
+   * @param {boolean} succeeded - Whether a submitted trade completed
+   * @param {string} reason - Failure or revert reason
+   */
+  async tradeResult(succeeded, reason = "") {
+    if (succeeded) {
+      this.failureStreak = 0;
+      this.notifier.reset("trade-failures");
+      return;
+    }
+
+    this.failureStreak++;
+    if (this.failureStreak < this.thresholds.consecutiveFailures) return;
+    await this.notifier.notify({
+      key: "trade-failures",
+      severity: "critical",
+      title: `${this.failureStreak} trades failed in a row`,
+      message: `Last failure: ${reason || "unknown"}`,
+      details: { streak: this.failureStreak, reason }
+    });
+  }
+
+  /**
+   * @param {ethers.BigNumber} balance - Wallet MATIC balance in wei
+   */
+  async walletBalance(balance) {
+    const { minBalance } = this.thresholds;
+    if (balance.gte(minBalance)) {
+      this.notifier.reset("low-balance");
+      return;
+    }
+    await this.notifier.notify({
+      key: "low-balance",
+      severity: "warning",
+      title: "Wallet gas balance is low",
+      message: `Balance ${ethers.utils.formatEther(balance)} MATIC is below ${ethers.utils.formatEther(minBalance)} MATIC`,
+      details: { balance: balance.toString(), minBalance: minBalance.toString() }
+    });
+  }
+
+  /**
+   * @param {ethers.BigNumber} used - Volume used today, from getDailyVolumeUsage
+   * @param {ethers.BigNumber} max - Daily volume limit
+   */
+  async volumeUsage(used, max) {
+    if (max.isZero()) return;
+    const usedBps = used.mul(10000).div(max).toNumber();
+    if (usedBps < this.thresholds.volumeUsageBps) {
+      this.notifier.reset("daily-volume");
+      return;
+    }
+    await this.notifier.notify({
+      key: "daily-volume",
+      severity: "warning",
+      title: "Daily volume limit nearly exhausted",
+      message: `${(usedBps / 100).toFixed(2)}% of the daily volume limit is used`,
+      details: { used: used.toString(), max: max.toString(), usedBps }
+    });
+  }
+
+  /**
+   * Record that a block arrived
+   * @param {number} blockNumber - Block number
+   * @param {number} now - Arrival time in ms
+   */
+  async blockSeen(blockNumber, now = Date.now()) {
+    this.lastBlockAt = now;
+    if (!this.stalled) return;
+
+    this.stalled = false;
+    this.notifier.reset("no-blocks");
+    this.notifier.reset("blocks-resumed");
+    await this.notifier.notify({ key: "blocks-resumed", severity: "info", title: "Blocks are arriving again", message: `Processing block ${blockNumber}` });
+  }
+
+  /**
+   * Alert when no block has arrived for staleBlockSeconds; call periodically
+   * @param {number} now - Current time in ms
+   */
+  async checkBlocks(now = Date.now()) {
+    if (this.lastBlockAt === null) return;
+    const seconds = Math.round((now - this.lastBlockAt) / 1000);
+    if (seconds < this.thresholds.staleBlockSeconds) return;
+
+    this.stalled = true;
+    await this.notifier.notify({
+      key: "no-blocks",
+      severity: "critical",
+      title: "Bot stopped seeing blocks",
+      message: `No new block for ${seconds}s`,
+      details: { secondsSinceBlock: seconds }
+    });
+  }
+}
+
+module.exports = {
+  WEBHOOK,
+  SLACK,
+  TELEGRAM,
+  postJson,
+  formatAlert,
+  channelsFromConfig,
+  Notifier,
+  AlertRules
+};
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const DATASET_VERSION = 1;
+
+/**
+ * Pair datasets are JSON lines, one record per line, in block order:
+ *
+ *   {"type":"dataset","version":1,"chainId":137}
+ *   {"type":"pool","id":0,"dex":"QuickSwap","address":"0x…","token0":"0x…","token1":"0x…"}
+ *   {"type":"block","number":50000000,"hash":"0x…","syncs":[[0,"reserve0","reserve1"]]}
+ *
+ * The header comes first. A pool is declared once, before the first block that syncs it,
+ * and is referred to by its id. A block lists the last Sync of each pool that changed in
+ * it, so replaying blocks in order rebuilds every pool's reserves; it may also carry its
+ * "timestamp" and the "gasPrice" (wei) paid in it. Reserves and gas prices are decimal strings.
+ */
+
+/**
+ * Check one parsed record
+ * @param {Object} record - Parsed line
+ * @param {Object} state - { header, pools: Set of ids, lastBlock }, updated as records are read
+ * @returns {string|null} Problem with the record, null when valid
+ */
+function checkRecord(record, state) {
+  if (!state.header) {
+    if (record.type !== "dataset") return "first record must be the dataset header";
+    if (record.version !== DATASET_VERSION) return `unsupported dataset version ${record.version}`;
+    state.header = record;
+    return null;
+  }
+
+  switch (record.type) {
+    case "pool":
+      if (!Number.isInteger(record.id) || state.pools.has(record.id)) return `pool id ${record.id} is missing or reused`;
+      if (!record.dex || !record.address || !record.token0 || !record.token1) return "pool needs dex, address, token0 and token1";
+      state.pools.add(record.id);
+      return null;
+    case "block":
+      if (!Number.isInteger(record.number) || record.number <= state.lastBlock) return `block ${record.number} is out of order`;
+      if (!Array.isArray(record.syncs)) return "block needs a syncs list";
+      for (const sync of record.syncs) {
+        if (!Array.isArray(sync) || sync.length !== 3) return "syncs must be [poolId, reserve0, reserve1]";
+        if (!state.pools.has(sync[0])) return `sync for undeclared pool ${sync[0]}`;
+      }
+      state.lastBlock = record.number;
+      return null;
+    default:
+      return `unknown record type ${JSON.stringify(record.type)}`;
+  }
+}
+
+/**
+ * Read a pair dataset record by record, without loading the whole file
+ * @param {string} filePath - Dataset file
+ * @yields {Object} Records, header first
+ * @throws When the file is missing or a line is not a valid record, naming the line
+ */
+async function* readDataset(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  const state = { header: null, pools: new Set(), lastBlock: -1 };
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === "") continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+    }
+    const problem = checkRecord(record, state);
+    if (problem) throw new Error(`${filePath}:${lineNumber}: ${problem}`);
+    yield record;
+  }
+
+  if (!state.header) throw new Error(`${filePath}: empty dataset`);
+}
+
+/**
+ * Appends to a pair dataset, creating it with its header when missing. Keeps the byte
+ * offsets of the most recent blocks so a reorg can be undone by truncating the file.
+ */
+class DatasetWriter {
+  /**
+   * @param {string} filePath - Dataset file
+   * @param {Object} options - Writer settings
+   * @param {number} options.keepBlocks - Recent blocks that can be rewound
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.keepBlocks = options.keepBlocks || 256;
+
+    this.size = 0; // Bytes written
+    this.pools = new Map(); // lowercase address => { id, offset }
+    this.nextPoolId = 0;
+    this.blocks = []; // Most recent blocks as { number, hash, offset }, oldest first
+    this.blockCount = 0;
+  }
+
+  /**
+   * Open a dataset for appending, indexing what it already holds. A torn last line,
+   * left by a crash mid-write, is cut off.
+   * @param {string} filePath - Dataset file
+   * @param {number} chainId - Chain the dataset records
+   * @param {Object} options - Writer settings, see the constructor
+   * @returns {Promise<DatasetWriter>} Writer positioned at the end of the file
+   * @throws When the file is a dataset of another chain or is not valid
+   */
+  static async open(filePath, chainId, options = {}) {
+    const writer = new DatasetWriter(filePath, options);
+    if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, "");
+      writer._append({ type: "dataset", version: DATASET_VERSION, chainId });
+      return writer;
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    const state = { header: null, pools: new Set(), lastBlock: -1 };
+    let offset = 0;
+    let torn = null;
+
+    for await (const line of lines) {
+      const end = offset + Buffer.byteLength(line) + 1;
+      // Every complete record ends in a newline, so only an unterminated last line can be torn
+      if (end > fileSize) {
+        torn = offset;
+        break;
+      }
+      if (line.trim() === "") {
+        offset = end;
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+      }
+      const problem = checkRecord(record, state);
+      if (problem) throw new Error(`${filePath}: ${problem}`);
+      writer._index(record, offset);
+      offset = end;
+    }
+    lines.close();
+
+    if (torn !== null) fs.truncateSync(filePath, torn);
+    writer.size = torn === null ? fileSize : torn;
+    if (!state.header) throw new Error(`${filePath}: not a pair dataset`);
+    if (state.header.chainId !== chainId) throw new Error(`${filePath} records chain ${state.header.chainId}, not ${chainId}`);
+    return writer;
+  }
+
+  /**
+   * Last block written, null before the first
+   * @returns {Object|null} { number, hash, offset }
+   */
+  get lastBlock() {
+    return this.blocks.length > 0 ? this.blocks[this.blocks.length - 1] : null;
+  }
+
+  /**
+   * Dataset id of a declared pool
+   * @param {string} address - Pair address
+   * @returns {number|undefined} Pool id, undefined when not declared
+   */
+  poolId(address) {
+    const pool = this.pools.get(address.toLowerCase());
+    return pool ? pool.id : undefined;
+  }
+
+  /**
+   * Declare a pool
+   * @param {Object} pool - { dexName, address, token0, token1 }
+   * @returns {number} Pool id
+   */
+  addPool(pool) {
+    const id = this.nextPoolId;
+    this._append({ type: "pool", id, dex: pool.dexName, address: pool.address, token0: pool.token0, token1: pool.token1 });
+    return id;
+  }
+
+  /**
+   * Append a block
+   * @param {Object} block - { number, hash, timestamp, syncs: [[poolId, reserve0, reserve1]] }
+   * @throws When the block is not after the last one
+   */
+  appendBlock(block) {
+    if (this.lastBlock && block.number <= this.lastBlock.number) {
+      throw new Error(`Block ${block.number} is not after the last recorded block ${this.lastBlock.number}`);
+    }
+    const record = { type: "block", number: block.number, hash: block.hash };
+    if (block.timestamp !== undefined) record.timestamp = block.timestamp;
+    record.syncs = block.syncs.map(([id, reserve0, reserve1]) => [id, reserve0.toString(), reserve1.toString()]);
+    this._append(record);
+  }
+
+  /**
+   * Drop every block after the given one, and pools declared after it
+   * @param {number} blockNumber - Last block to keep
+   * @throws When that would drop blocks older than the kept history or the first block
+   */
+  rewind(blockNumber) {
+    const index = this.blocks.findIndex(block => block.number > blockNumber);
+    if (index === -1) return;
+    if (index === 0 && this.blocks.length === this.blockCount) {
+      throw new Error(`Cannot rewind to block ${blockNumber}, the dataset starts at ${this.blocks[0].number}`);
+    }
+    if (index === 0) {
+      throw new Error(`Cannot rewind to block ${blockNumber}, only the last ${this.blocks.length} blocks can be rewound`);
+    }
+
+    const cut = this.blocks[index].offset;
+    fs.truncateSync(this.filePath, cut);
+    this.size = cut;
+    this.blockCount -= this.blocks.length - index;
+    this.blocks = this.blocks.slice(0, index);
+    for (const [address, pool] of this.pools) {
+      if (pool.offset >= cut) this.pools.delete(address);
+    }
+    this.nextPoolId = Math.max(-1, ...[...this.pools.values()].map(pool => pool.id)) + 1;
+  }
+
+  _append(record) {
+    const line = JSON.stringify(record) + "\n";
+    fs.appendFileSync(this.filePath, line);
+    this._index(record, this.size);
+    this.size += Buffer.byteLength(line);
+  }
+
+  _index(record, offset) {
+    if (record.type === "pool") {
+      this.pools.set(record.address.toLowerCase(), { id: record.id, offset });
+      this.nextPoolId = Math.max(this.nextPoolId, record.id + 1);
+    } else if (record.type === "block") {
+      this.blocks.push({ number: record.number, hash: record.hash, offset });
+      if (this.blocks.length > this.keepBlocks) this.blocks.shift();
+      this.blockCount++;
+    }
+  }
+}
+
+module.exports = {
+  DATASET_VERSION,
+  readDataset,
+  DatasetWriter
+};
@@ -0,0 +1,182 @@
+const { ethers } = require("ethers");
+const { Logger } = require("./logger");
+
+// Sync(uint112 reserve0, uint112 reserve1), as declared in IUniswapV2Pair
+const SYNC_TOPIC = ethers.utils.id("Sync(uint112,uint112)");
+
+const PAIR_INTERFACE = new ethers.utils.Interface([
+  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+]);
+
+/**
+ * Records the Sync events of tracked pairs into a pair dataset. Ranges are fetched with
+ * eth_getLogs in chunks, so backfilling history and following the head are the same
+ * operation; recording resumes after the last block in the dataset. Before each run the
+ * last recorded block hash is checked against the chain and, after a reorg, the last few
+ * blocks are rewound and fetched again.
+ */
+class PairRecorder {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider with eth_getLogs (through send) and archive reads
+   * @param {DatasetWriter} writer - Dataset to append to
+   * @param {Object} options - Recorder settings
+   * @param {number} options.chunkSize - Blocks per eth_getLogs request, halved when a node refuses a range
+   * @param {number} options.rewindBlocks - Blocks dropped per step when the last recorded block was reorged out
+   * @param {Logger} options.logger - Logger for progress and reorgs
+   */
+  constructor(provider, writer, options = {}) {
+    this.provider = provider;
+    this.writer = writer;
+    this.chunkSize = options.chunkSize || 2000;
+    this.rewindBlocks = options.rewindBlocks || 12;
+    this.log = options.logger || new Logger();
+
+    this.pools = []; // Tracked pools as { dexName, address, token0, token1 }
+    this.pending = new Map(); // pool id => [reserve0, reserve1] snapshots not written yet
+  }
+
+  /**
+   * Track pools and make sure the dataset has a starting point. A new dataset starts with
+   * a snapshot of every pool's reserves at fromBlock - 1; pools new to an existing dataset
+   * are snapshotted at its last block, so recording resumes where it stopped.
+   * @param {Array<Object>} pools - { dexName, address, token0, token1 }
+   * @param {number} fromBlock - First block to record, for a new dataset
+   */
+  async start(pools, fromBlock) {
+    this.pools = pools;
+    const last = this.writer.lastBlock;
+    if (last && fromBlock !== undefined && fromBlock !== last.number + 1) {
+      this.log.warn("Dataset already has blocks, resuming after its last block", { lastBlock: last.number });
+    }
+
+    const at = last ? last.number : fromBlock - 1;
+    await this.snapshotNewPools(at);
+    if (!last) {
+      const block = await this.provider.getBlock(at);
+      this.writer.appendBlock({ number: at, hash: block.hash, timestamp: block.timestamp, syncs: this.takePending(new Map()) });
+    }
+  }
+
+  /**
+   * Record every block up to and including toBlock
+   * @param {number} toBlock - Last block to record
+   * @returns {Promise<number>} Blocks recorded
+   */
+  async recordTo(toBlock) {
+    await this.handleReorg();
+    let from = this.writer.lastBlock.number + 1;
+    let recorded = 0;
+
+    while (from <= toBlock) {
+      const to = Math.min(toBlock, from + this.chunkSize - 1);
+      let blocks;
+      try {
+        blocks = await this.fetchBlocks(from, to);
+      } catch (error) {
+        // Nodes cap the range or the number of logs per request
+        if (to === from) throw error;
+        this.chunkSize = Math.max(1, Math.floor((to - from + 1) / 2));
+        this.log.warn("eth_getLogs failed, retrying with smaller chunks", { fromBlock: from, toBlock: to, chunkSize: this.chunkSize, error: error.message });
+        continue;
+      }
+
+      for (const block of blocks) {
+        this.writer.appendBlock({ ...block, syncs: this.takePending(block.syncs) });
+      }
+      recorded += to - from + 1;
+      this.log.debug("Recorded blocks", { fromBlock: from, toBlock: to, withSyncs: blocks.filter(block => block.syncs.size > 0).length });
+      from = to + 1;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Rewind while the last recorded block is no longer on the chain, then snapshot pools
+   * whose declarations were rewound with it
+   */
+  async handleReorg() {
+    for (;;) {
+      const last = this.writer.lastBlock;
+      const block = await this.provider.getBlock(last.number);
+      if (block && block.hash === last.hash) break;
+
+      const to = last.number - this.rewindBlocks;
+      this.log.warn("Reorg detected, rewinding the dataset", { lastBlock: last.number, recordedHash: last.hash, rewindTo: to });
+      this.writer.rewind(to);
+      this.pending.clear();
+    }
+    await this.snapshotNewPools(this.writer.lastBlock.number);
+  }
+
+  /**
+   * Declare tracked pools the dataset does not have yet, holding their reserves at a block
+   * for the next block written
+   * @param {number} blockTag - Block the reserves are read at
+   */
+  async snapshotNewPools(blockTag) {
+    const fresh = this.pools.filter(pool => this.writer.poolId(pool.address) === undefined);
+    const reserves = await Promise.all(fresh.map(async pool => {
+      const data = await this.provider.call({ to: pool.address, data: PAIR_INTERFACE.encodeFunctionData("getReserves") }, blockTag);
+      return PAIR_INTERFACE.decodeFunctionResult("getReserves", data);
+    }));
+
+    fresh.forEach((pool, i) => {
+      this.pending.set(this.writer.addPool(pool), [reserves[i].reserve0, reserves[i].reserve1]);
+    });
+    if (fresh.length > 0) this.log.info("Tracking new pools", { pools: fresh.length, blockNumber: blockTag });
+  }
+
+  /**
+   * Fetch the Sync logs of every tracked pool in a block range
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Promise<Array<Object>>} { number, hash, syncs: Map of pool id => [reserve0, reserve1] } per
+   *   block with logs, plus toBlock itself so the dataset always records how far it got
+   */
+  async fetchBlocks(fromBlock, toBlock) {
+    const logs = await this.provider.send("eth_getLogs", [{
+      address: this.pools.map(pool => pool.address),
+      topics: [SYNC_TOPIC],
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock)
+    }]);
+
+    const blocks = new Map(); // number => block
+    const ordered = logs
+      .filter(log => !log.removed)
+      .sort((a, b) => parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) || parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
+    for (const log of ordered) {
+      const id = this.writer.poolId(log.address);
+      if (id === undefined) continue;
+      const number = parseInt(log.blockNumber, 16);
+      if (!blocks.has(number)) blocks.set(number, { number, hash: log.blockHash, syncs: new Map() });
+      const [reserve0, reserve1] = ethers.utils.defaultAbiCoder.decode(["uint112", "uint112"], log.data);
+      // Later Syncs in the block overwrite earlier ones
+      blocks.get(number).syncs.set(id, [reserve0, reserve1]);
+    }
+
+    if (!blocks.has(toBlock)) {
+      const block = await this.provider.getBlock(toBlock);
+      if (!block) throw new Error(`Block ${toBlock} is not available yet`);
+      blocks.set(toBlock, { number: toBlock, hash: block.hash, timestamp: block.timestamp, syncs: new Map() });
+    }
+    return [...blocks.values()];
+  }
+
+  /**
+   * Merge pending snapshots under a block's own Syncs, as [poolId, reserve0, reserve1] entries
+   * @param {Map} syncs - Pool id => [reserve0, reserve1] from the block
+   * @returns {Array<Array>} Syncs to write
+   */
+  takePending(syncs) {
+    const merged = new Map([...this.pending, ...syncs]);
+    this.pending.clear();
+    return [...merged].map(([id, [reserve0, reserve1]]) => [id, reserve0, reserve1]);
+  }
+}
+
+module.exports = {
+  SYNC_TOPIC,
+  PairRecorder
+};
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Append-only JSONL ledger of simulated (paper) trades with running totals
+ */
+class PaperLedger {
+  /**
+   * @param {string} filePath - Ledger file, created on first write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.trades = 0;
+    this.succeeded = 0;
+    this.reverted = 0;
+    this.profitByToken = new Map(); // token => BigNumber of simulated profit
+    this.gasUsed = ethers.BigNumber.from(0);
+    this.gasCost = ethers.BigNumber.from(0);
+    this.revertReasons = new Map(); // reason => count
+  }
+
+  /**
+   * Record a simulated trade
+   * @param {Object} entry - Trade details
+   * @param {string} entry.token - Borrowed token
+   * @param {boolean} entry.success - Whether the simulation succeeded
+   * @param {ethers.BigNumber} [entry.profit] - Simulated profit in token units
+   * @param {ethers.BigNumber} [entry.gasEstimate] - Estimated gas units
+   * @param {ethers.BigNumber} [entry.gasCost] - Estimated gas cost in wei
+   * @param {string} [entry.revertReason] - Revert reason when the simulation failed
+   */
+  record(entry) {
+    this.trades++;
+
+    if (entry.success) {
+      this.succeeded++;
+      const current = this.profitByToken.get(entry.token) || ethers.BigNumber.from(0);
+      this.profitByToken.set(entry.token, current.add(entry.profit || 0));
+      this.gasUsed = this.gasUsed.add(entry.gasEstimate || 0);
+      this.gasCost = this.gasCost.add(entry.gasCost || 0);
+    } else {
+      this.reverted++;
+      const reason = entry.revertReason || "unknown";
+      this.revertReasons.set(reason, (this.revertReasons.get(reason) || 0) + 1);
+    }
+
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }, (key, value) =>
+      value && value.type === "BigNumber" ? ethers.BigNumber.from(value.hex).toString() : value
+    );
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, line + "\n");
+  }
+
+  /**
+   * Running profit and loss since the ledger was opened
+   * @returns {Object} Summary totals
+   */
+  summary() {
+    return {
+      trades: this.trades,
+      succeeded: this.succeeded,
+      reverted: this.reverted,
+      profitByToken: Object.fromEntries(
+        [...this.profitByToken.entries()].map(([token, profit]) => [token, profit.toString()])
+      ),
+      gasUsed: this.gasUsed.toString(),
+      gasCost: this.gasCost.toString(),
+      revertReasons: Object.fromEntries(this.revertReasons)
+    };
+  }
+}
+
+module.exports = {
+  PaperLedger
+};
@@ -0,0 +1,340 @@
+const { ethers } = require("ethers");
+const { getAmountOut, getAmountIn } = require("./amm");
+
+const FACTORY_ABI = [
+  "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+  "function allPairs(uint256 index) external view returns (address pair)",
+  "function allPairsLength() external view returns (uint256)"
+];
+
+const PAIR_ABI = [
+  "function token0() external view returns (address)",
+  "function token1() external view returns (address)",
+  "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+/**
+ * Build an order-independent key for a token pair
+ * @param {string} tokenA - First token address
+ * @param {string} tokenB - Second token address
+ * @returns {string} Pair key
+ */
+function pairKey(tokenA, tokenB) {
+  const a = tokenA.toLowerCase();
+  const b = tokenB.toLowerCase();
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+/**
+ * Tracks UniswapV2 pair reserves across DEXs and quotes multi-hop routes locally
+ */
+class ReserveScanner {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider used for pair reads
+   * @param {Object} dexes - DEX name => { factory, router }
+   */
+  constructor(provider, dexes) {
+    this.provider = provider;
+    this.dexes = dexes;
+    this.pools = new Map(); // pairKey => [{ dexName, address, token0, token1, reserve0, reserve1 }]
+    this.factoryCursors = {}; // DEX name => next allPairs index to inspect
+    this.lastRefreshBlock = null;
+  }
+
+  /**
+   * Track the pair for two tokens on a DEX, if the factory has one
+   * @param {string} dexName - DEX name
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<Object|null>} Tracked pool, or null when no pair exists
+   */
+  async trackPair(dexName, tokenA, tokenB) {
+    const key = pairKey(tokenA, tokenB);
+    const existing = (this.pools.get(key) || []).find(pool => pool.dexName === dexName);
+    if (existing) return existing;
+
+    const factory = new ethers.Contract(this.dexes[dexName].factory, FACTORY_ABI, this.provider);
+    const address = await factory.getPair(tokenA, tokenB);
+    if (address === ethers.constants.AddressZero) return null;
+
+    const pair = new ethers.Contract(address, PAIR_ABI, this.provider);
+    const token0 = await pair.token0();
+    return this._addPool(dexName, pair, token0, token0.toLowerCase() === tokenA.toLowerCase() ? tokenB : tokenA);
+  }
+
+  /**
+   * Track a pair whose tokens are already known, without reading the chain
+   * @param {string} dexName - DEX name
+   * @param {string} address - Pair address
+   * @param {string} token0 - Pair token0
+   * @param {string} token1 - Pair token1
+   * @returns {Object} Tracked pool
+   */
+  trackPool(dexName, address, token0, token1) {
+    const existing = (this.pools.get(pairKey(token0, token1)) || []).find(pool => pool.dexName === dexName);
+    if (existing) return existing;
+    return this._addPool(dexName, new ethers.Contract(address, PAIR_ABI, this.provider), token0, token1);
+  }
+
+  /**
+   * Track every pair between the given tokens on every DEX
+   * @param {Array<string>} tokens - Token addresses
+   */
+  async loadPairs(tokens) {
+    const lookups = [];
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        for (const dexName of Object.keys(this.dexes)) {
+          lookups.push(this.trackPair(dexName, tokens[i], tokens[j]));
+        }
+      }
+    }
+    await Promise.all(lookups);
+  }
+
+  /**
+   * Walk each factory's allPairs list from where the last call stopped and track
+   * every new pair that trades against one of the anchor tokens
+   * @param {Array<string>} anchorTokens - Tokens a pair must include to be tracked
+   * @param {number} limit - Maximum pairs to inspect per DEX in this call
+   * @returns {Promise<number>} Number of newly tracked pools
+   */
+  async discoverFactoryPairs(anchorTokens, limit = 500) {
+    const anchors = new Set(anchorTokens.map(token => token.toLowerCase()));
+    let added = 0;
+
+    for (const [dexName, dex] of Object.entries(this.dexes)) {
+      const factory = new ethers.Contract(dex.factory, FACTORY_ABI, this.provider);
+      const length = (await factory.allPairsLength()).toNumber();
+      const start = this.factoryCursors[dexName] || 0;
+      const end = Math.min(length, start + limit);
+
+      const indices = [];
+      for (let i = start; i < end; i++) indices.push(i);
+      const addresses = await Promise.all(indices.map(i => factory.allPairs(i)));
+
+      const pairs = await Promise.all(addresses.map(async address => {
+        const pair = new ethers.Contract(address, PAIR_ABI, this.provider);
+        const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+        return { pair, token0, token1 };
+      }));
+
+      for (const { pair, token0, token1 } of pairs) {
+        if (!anchors.has(token0.toLowerCase()) && !anchors.has(token1.toLowerCase())) continue;
+        const existing = (this.pools.get(pairKey(token0, token1)) || []).find(pool => pool.dexName === dexName);
+        if (existing) continue;
+        this._addPool(dexName, pair, token0, token1);
+        added++;
+      }
+
+      this.factoryCursors[dexName] = end;
+    }
+
+    return added;
+  }
+
+  /**
+   * Get every token that appears in a tracked pool
+   * @returns {Array<string>} Token addresses
+   */
+  getTokens() {
+    const tokens = new Map();
+    for (const pool of [...this.pools.values()].flat()) {
+      tokens.set(pool.token0.toLowerCase(), pool.token0);
+      tokens.set(pool.token1.toLowerCase(), pool.token1);
+    }
+    return [...tokens.values()];
+  }
+
+  /**
+   * Refresh reserves of every tracked pool at a single block.
+   * All reads are issued together so a batching provider sends them as one request.
+   * @param {number|string} blockTag - Block to read reserves at
+   */
+  async refresh(blockTag = "latest") {
+    const pools = [...this.pools.values()].flat();
+    const results = await Promise.all(
+      pools.map(pool => pool.contract.getReserves({ blockTag }))
+    );
+
+    results.forEach((result, i) => {
+      pools[i].reserve0 = result.reserve0;
+      pools[i].reserve1 = result.reserve1;
+    });
+    this.lastRefreshBlock = blockTag;
+  }
+
+  /**
+   * Forget every tracked reserve, after a reorg orphaned the block they were read at.
+   * Pools quote nothing until the next refresh.
+   */
+  invalidate() {
+    for (const pool of [...this.pools.values()].flat()) {
+      pool.reserve0 = ethers.BigNumber.from(0);
+      pool.reserve1 = ethers.BigNumber.from(0);
+    }
+    this.lastRefreshBlock = null;
+  }
+
+  /**
+   * Get every tracked pool trading tokenIn for tokenOut, oriented by direction
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Array<Object>} Pools with reserveIn and reserveOut
+   */
+  getPools(tokenIn, tokenOut) {
+    const pools = this.pools.get(pairKey(tokenIn, tokenOut)) || [];
+    return pools.map(pool => {
+      const zeroForOne = pool.token0.toLowerCase() === tokenIn.toLowerCase();
+      return {
+        dexName: pool.dexName,
+        address: pool.address,
+        reserveIn: zeroForOne ? pool.reserve0 : pool.reserve1,
+        reserveOut: zeroForOne ? pool.reserve1 : pool.reserve0
+      };
+    });
+  }
+
+  /**
+   * Get the pools a route trades through on the given DEXs
+   * @param {Array<string>} path - Token addresses, first to last
+   * @param {Array<string>} dexNames - DEX used for each hop
+   * @returns {Array<Object>|null} Oriented pools, or null when one is not tracked
+   */
+  getRoutePools(path, dexNames) {
+    const pools = [];
+    for (let i = 0; i < path.length - 1; i++) {
+      const pool = this.getPools(path[i], path[i + 1]).find(p => p.dexName === dexNames[i]);
+      if (!pool) return null;
+      pools.push(pool);
+    }
+    return pools;
+  }
+
+  /**
+   * Quote a single hop on whichever DEX returns the most
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {ethers.BigNumber} amountIn - Input amount
+   * @returns {Object|null} Best hop, or null when no pool has liquidity
+   */
+  quoteHop(tokenIn, tokenOut, amountIn) {
+    let best = null;
+    for (const pool of this.getPools(tokenIn, tokenOut)) {
+      const amountOut = getAmountOut(amountIn, pool.reserveIn, pool.reserveOut);
+      if (amountOut.gt(0) && (!best || amountOut.gt(best.amountOut))) {
+        best = { ...pool, tokenIn, tokenOut, amountIn, amountOut };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Quote a multi-hop path, pricing each hop on its best DEX
+   * @param {Array<string>} path - Token addresses, first to last
+   * @param {ethers.BigNumber} amountIn - Input amount of path[0]
+   * @returns {Object|null} { amountOut, hops }, or null when a hop cannot be filled
+   */
+  quotePath(path, amountIn) {
+    const hops = [];
+    let amount = ethers.BigNumber.from(amountIn);
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const hop = this.quoteHop(path[i], path[i + 1], amount);
+      if (!hop) return null;
+      hops.push(hop);
+      amount = hop.amountOut;
+    }
+
+    return { amountOut: amount, hops };
+  }
+
+  /**
+   * Copy of the scanner whose reserves can be changed without touching this one
+   * @returns {ReserveScanner} Fork sharing DEXs and pair contracts, with its own reserves
+   */
+  fork() {
+    const fork = new ReserveScanner(this.provider, this.dexes);
+    for (const [key, pools] of this.pools) {
+      fork.pools.set(key, pools.map(pool => ({ ...pool })));
+    }
+    fork.factoryCursors = { ...this.factoryCursors };
+    fork.lastRefreshBlock = this.lastRefreshBlock;
+    return fork;
+  }
+
+  /**
+   * Apply a router swap to the tracked reserves, as if it had been mined
+   * @param {string} dexName - DEX the swap goes through
+   * @param {Array<string>} path - Token addresses, first to last
+   * @param {ethers.BigNumber} amount - Exact input, or exact output when exactIn is false
+   * @param {boolean} exactIn - Whether amount is the input (swapExact*) or the output (*ForExact*)
+   * @returns {Object|null} { amounts, pools } per hop, or null when a hop is not tracked or cannot fill
+   */
+  applySwap(dexName, path, amount, exactIn = true) {
+    const pools = [];
+    for (let i = 0; i < path.length - 1; i++) {
+      const key = pairKey(path[i], path[i + 1]);
+      const pool = (this.pools.get(key) || []).find(p => p.dexName === dexName);
+      if (!pool || pool.reserve0.isZero()) return null;
+      pools.push(pool);
+    }
+
+    const reservesOf = (pool, tokenIn) =>
+      pool.token0.toLowerCase() === tokenIn.toLowerCase() ? [pool.reserve0, pool.reserve1] : [pool.reserve1, pool.reserve0];
+
+    // Amounts for every hop, computed the way the router does before it swaps
+    const amounts = new Array(path.length);
+    if (exactIn) {
+      amounts[0] = ethers.BigNumber.from(amount);
+      for (let i = 0; i < pools.length; i++) {
+        amounts[i + 1] = getAmountOut(amounts[i], ...reservesOf(pools[i], path[i]));
+        if (amounts[i + 1].isZero()) return null;
+      }
+    } else {
+      amounts[path.length - 1] = ethers.BigNumber.from(amount);
+      for (let i = pools.length - 1; i >= 0; i--) {
+        amounts[i] = getAmountIn(amounts[i + 1], ...reservesOf(pools[i], path[i]));
+        if (!amounts[i]) return null;
+      }
+    }
+
+    pools.forEach((pool, i) => {
+      const zeroForOne = pool.token0.toLowerCase() === path[i].toLowerCase();
+      pool.reserve0 = zeroForOne ? pool.reserve0.add(amounts[i]) : pool.reserve0.sub(amounts[i + 1]);
+      pool.reserve1 = zeroForOne ? pool.reserve1.sub(amounts[i + 1]) : pool.reserve1.add(amounts[i]);
+    });
+
+    return { amounts, pools };
+  }
+
+  /**
+   * Register a pool with empty reserves
+   * @param {string} dexName - DEX name
+   * @param {ethers.Contract} pair - Pair contract
+   * @param {string} token0 - Pair token0
+   * @param {string} token1 - Pair token1
+   * @returns {Object} Tracked pool
+   */
+  _addPool(dexName, pair, token0, token1) {
+    const key = pairKey(token0, token1);
+    const pool = {
+      dexName,
+      address: pair.address,
+      contract: pair,
+      token0,
+      token1,
+      reserve0: ethers.BigNumber.from(0),
+      reserve1: ethers.BigNumber.from(0)
+    };
+
+    if (!this.pools.has(key)) this.pools.set(key, []);
+    this.pools.get(key).push(pool);
+    return pool;
+  }
+}
+
+module.exports = {
+  ReserveScanner,
+  pairKey
+};
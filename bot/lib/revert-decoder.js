@@ -0,0 +1,177 @@
+const { ethers } = require("ethers");
+
+// Custom errors FlashLoanPolygon and its OpenZeppelin bases can revert with
+const ERRORS_ABI = [
+  "error InvalidToken()",
+  "error InvalidAmount()",
+  "error SlippageTooHigh()",
+  "error PairNotFound()",
+  "error ArbitrageNotProfitable()",
+  "error DailyLimitExceeded()",
+  "error UnauthorizedCallback()",
+  "error CircuitBreakerActive()",
+  "error RecursionDepthExceeded()",
+  "error InsufficientLiquidity()",
+  "error RouterNotSupported()",
+  "error EnforcedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error SafeERC20FailedOperation(address token)"
+];
+
+const errorsInterface = new ethers.utils.Interface(ERRORS_ABI);
+
+// Built-in revert selectors ethers will not let us declare as custom errors
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+const TRANSIENT = "transient";
+const PERMANENT = "permanent";
+const UNKNOWN = "unknown";
+
+// Market conditions that may clear on a later block
+const TRANSIENT_ERRORS = new Set([
+  "ArbitrageNotProfitable",
+  "InsufficientLiquidity",
+  "DailyLimitExceeded",
+  "CircuitBreakerActive",
+  "RecursionDepthExceeded",
+  "EnforcedPause",
+  "ReentrancyGuardReentrantCall"
+]);
+
+// Configuration problems that will fail the same way until someone changes it
+const PERMANENT_ERRORS = new Set([
+  "InvalidToken",
+  "InvalidAmount",
+  "SlippageTooHigh",
+  "PairNotFound",
+  "UnauthorizedCallback",
+  "RouterNotSupported",
+  "OwnableUnauthorizedAccount",
+  "SafeERC20FailedOperation"
+]);
+
+const TRANSIENT_REASONS = [
+  "INSUFFICIENT_OUTPUT_AMOUNT",
+  "INSUFFICIENT_INPUT_AMOUNT",
+  "INSUFFICIENT_LIQUIDITY",
+  "EXCESSIVE_INPUT_AMOUNT",
+  "EXPIRED",
+  "UniswapV2: K",
+  "Price anomaly detected"
+];
+
+const PERMANENT_REASONS = [
+  "Invalid path",
+  "Router and path length mismatch",
+  "DEX not active",
+  "Pair does not exist",
+  "Oracle not set",
+  "Oracle call failed",
+  "Invalid oracle data",
+  "TRANSFER_FROM_FAILED",
+  "IDENTICAL_ADDRESSES",
+  "ZERO_ADDRESS"
+];
+
+/**
+ * Find the revert data hidden somewhere in a (possibly nested) provider error
+ * @param {Error} error - Error thrown by callStatic, estimateGas or a send
+ * @returns {string|null} Hex revert data
+ */
+function extractRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) continue;
+    seen.add(current);
+
+    if (typeof current.data === "string" && /^0x[0-9a-fA-F]*$/.test(current.data) && current.data.length >= 10) {
+      return current.data;
+    }
+
+    // JSON-RPC error bodies arrive as strings
+    if (typeof current.body === "string") {
+      try {
+        queue.push(JSON.parse(current.body).error);
+      } catch (parseError) {
+        // Not JSON, nothing to dig into
+      }
+    }
+
+    queue.push(current.error, current.data);
+  }
+
+  return null;
+}
+
+/**
+ * Classify a decoded revert as transient (retry later) or permanent (fix config)
+ * @param {string} name - Custom error name, or "Error" for revert strings
+ * @param {string} reason - Revert string, when there is one
+ * @returns {string} "transient", "permanent" or "unknown"
+ */
+function classifyRevert(name, reason) {
+  if (TRANSIENT_ERRORS.has(name)) return TRANSIENT;
+  if (PERMANENT_ERRORS.has(name)) return PERMANENT;
+  if (reason) {
+    if (TRANSIENT_REASONS.some(match => reason.includes(match))) return TRANSIENT;
+    if (PERMANENT_REASONS.some(match => reason.includes(match))) return PERMANENT;
+  }
+  return UNKNOWN;
+}
+
+/**
+ * Decode why a call reverted
+ * @param {Error} error - Error thrown by callStatic, estimateGas or a send
+ * @returns {Object} { name, reason, kind }
+ */
+function decodeRevert(error) {
+  const data = extractRevertData(error);
+
+  if (data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    const payload = ethers.utils.hexDataSlice(data, 4);
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], payload);
+        return { name: "Error", reason, kind: classifyRevert("Error", reason) };
+      }
+      if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], payload);
+        return { name: "Panic", reason: `0x${code.toNumber().toString(16)}`, kind: UNKNOWN };
+      }
+
+      const parsed = errorsInterface.parseError(data);
+      return { name: parsed.name, reason: null, kind: classifyRevert(parsed.name, null) };
+    } catch (parseError) {
+      // Selector we do not know, fall through to what ethers could tell
+    }
+  }
+
+  const reason = (error && (error.reason || error.message)) || "unknown error";
+  return { name: (error && error.errorName) || "Unknown", reason, kind: classifyRevert(error && error.errorName, reason) };
+}
+
+/**
+ * One-line description of a decoded revert
+ * @param {Object} revert - Result of decodeRevert
+ * @returns {string} Description
+ */
+function describeRevert(revert) {
+  if (revert.name === "Error" || revert.name === "Unknown") return `${revert.reason} (${revert.kind})`;
+  return `${revert.name}${revert.reason ? `: ${revert.reason}` : ""} (${revert.kind})`;
+}
+
+module.exports = {
+  TRANSIENT,
+  PERMANENT,
+  UNKNOWN,
+  extractRevertData,
+  classifyRevert,
+  decodeRevert,
+  describeRevert
+};
@@ -0,0 +1,42 @@
+/**
+ * Keeps routes that failed for permanent reasons out of execution for a cooling-off period
+ */
+class RouteBlacklist {
+  /**
+   * @param {number} cooldownMs - How long a route stays blacklisted
+   */
+  constructor(cooldownMs = 30 * 60 * 1000) {
+    this.cooldownMs = cooldownMs;
+    this.entries = new Map(); // route key => { reason, expiresAt }
+  }
+
+  /**
+   * Blacklist a route
+   * @param {string} key - Route key
+   * @param {string} reason - Why the route was blacklisted
+   * @param {number} now - Current time in milliseconds
+   */
+  add(key, reason, now = Date.now()) {
+    this.entries.set(key, { reason, expiresAt: now + this.cooldownMs });
+  }
+
+  /**
+   * Get the active blacklist entry for a route, dropping it once expired
+   * @param {string} key - Route key
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} { reason, expiresAt }, or null when the route may run
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+}
+
+module.exports = {
+  RouteBlacklist
+};
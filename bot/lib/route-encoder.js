@@ -0,0 +1,45 @@
+/**
+ * Turn a priced route into executeMultiDexArbitrage arguments.
+ * Consecutive hops on the same DEX share one router call with a longer path.
+ * @param {Array<Object>} hops - Route hops as { dexName, tokenIn, tokenOut }
+ * @param {Object} dexes - DEX name => { factory, router }
+ * @returns {Object} { routers, paths } aligned by index
+ */
+function encodeRoute(hops, dexes) {
+  const routers = [];
+  const paths = [];
+  let currentDex = null;
+
+  for (const hop of hops) {
+    const dex = dexes[hop.dexName];
+    if (!dex || !dex.router) {
+      throw new Error(`No router configured for DEX ${hop.dexName}`);
+    }
+
+    if (hop.dexName === currentDex) {
+      paths[paths.length - 1].push(hop.tokenOut);
+    } else {
+      routers.push(dex.router);
+      paths.push([hop.tokenIn, hop.tokenOut]);
+      currentDex = hop.dexName;
+    }
+  }
+
+  return { routers, paths };
+}
+
+/**
+ * Stable identifier for an encoded route
+ * @param {string} token - Borrowed token
+ * @param {Object} route - Result of encodeRoute
+ * @returns {string} Route key
+ */
+function routeKey(token, route) {
+  const legs = route.routers.map((router, i) => `${router}:${route.paths[i].join(">")}`);
+  return [token, ...legs].join("|").toLowerCase();
+}
+
+module.exports = {
+  encodeRoute,
+  routeKey
+};
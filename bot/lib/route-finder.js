@@ -0,0 +1,95 @@
+const { FEE_NUMERATOR, FEE_DENOMINATOR } = require("./amm");
+
+const LOG_FEE = Math.log(FEE_NUMERATOR / FEE_DENOMINATOR);
+
+/**
+ * Build a directed token graph from tracked pools.
+ * Each edge keeps the best marginal rate across DEXs, stored as a negative log
+ * so that a cycle whose weights sum below zero returns more than it started with.
+ * @param {ReserveScanner} scanner - Scanner holding pool reserves
+ * @returns {Map<string, Map<string, Object>>} token => (token => { token, dexName, weight })
+ */
+function buildTokenGraph(scanner) {
+  const graph = new Map();
+
+  const addEdge = (tokenIn, tokenOut, dexName, reserveIn, reserveOut) => {
+    if (reserveIn.isZero() || reserveOut.isZero()) return;
+
+    // Reserves can exceed 2^53, float precision is plenty for ranking rates
+    const weight = -(LOG_FEE + Math.log(Number(reserveOut.toString())) - Math.log(Number(reserveIn.toString())));
+    const from = tokenIn.toLowerCase();
+    const to = tokenOut.toLowerCase();
+
+    if (!graph.has(from)) graph.set(from, new Map());
+    const current = graph.get(from).get(to);
+    if (!current || weight < current.weight) {
+      graph.get(from).set(to, { token: tokenOut, dexName, weight });
+    }
+  };
+
+  for (const pool of [...scanner.pools.values()].flat()) {
+    addEdge(pool.token0, pool.token1, pool.dexName, pool.reserve0, pool.reserve1);
+    addEdge(pool.token1, pool.token0, pool.dexName, pool.reserve1, pool.reserve0);
+  }
+
+  return graph;
+}
+
+/**
+ * Enumerate every cycle up to maxHops whose negative-log weight is below zero.
+ * Cycles start and end at one of the start tokens, and never revisit a token midway.
+ * @param {Map} graph - Graph from buildTokenGraph
+ * @param {Array<string>} startTokens - Tokens a cycle may start and end at
+ * @param {number} maxHops - Maximum number of swaps in a cycle
+ * @returns {Array<Object>} Cycles as { path, dexNames, weight, rate }, most profitable first
+ */
+function findProfitableCycles(graph, startTokens, maxHops = 3) {
+  const cycles = [];
+
+  for (const startToken of startTokens) {
+    const start = startToken.toLowerCase();
+    if (!graph.has(start)) continue;
+
+    const path = [startToken];
+    const dexNames = [];
+    const visited = new Set([start]);
+
+    const visit = (node, weight) => {
+      const hops = path.length - 1;
+      for (const [next, edge] of graph.get(node) || []) {
+        if (next === start) {
+          if (hops >= 1 && weight + edge.weight < 0) {
+            const total = weight + edge.weight;
+            cycles.push({
+              path: [...path, startToken],
+              dexNames: [...dexNames, edge.dexName],
+              weight: total,
+              rate: Math.exp(-total)
+            });
+          }
+          continue;
+        }
+
+        // Leave room for the hop that closes the cycle
+        if (visited.has(next) || hops + 2 > maxHops) continue;
+
+        visited.add(next);
+        path.push(edge.token);
+        dexNames.push(edge.dexName);
+        visit(next, weight + edge.weight);
+        dexNames.pop();
+        path.pop();
+        visited.delete(next);
+      }
+    };
+
+    visit(start, 0);
+  }
+
+  return cycles.sort((a, b) => a.weight - b.weight);
+}
+
+module.exports = {
+  buildTokenGraph,
+  findProfitableCycles
+};
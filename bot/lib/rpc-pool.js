@@ -0,0 +1,273 @@
+const { ethers } = require("ethers");
+const { Logger } = require("./logger");
+
+const { errors } = ethers.utils.Logger;
+
+// Errors about the request itself: every endpoint would answer the same, so they are not retried
+const REQUEST_ERRORS = new Set([
+  errors.CALL_EXCEPTION,
+  errors.INSUFFICIENT_FUNDS,
+  errors.NONCE_EXPIRED,
+  errors.REPLACEMENT_UNDERPRICED,
+  errors.UNPREDICTABLE_GAS_LIMIT,
+  errors.INVALID_ARGUMENT
+]);
+
+const LATENCY_WEIGHT = 0.3; // Weight of the newest sample in the latency average
+
+/**
+ * Reject when a call takes longer than the timeout
+ * @param {Promise} promise - Call in flight
+ * @param {number} timeoutMs - Timeout in ms
+ * @returns {Promise} The call's result
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`timed out after ${timeoutMs}ms`), { code: errors.TIMEOUT })), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Provider over several RPC endpoints of one chain. Calls go to the fastest healthy
+ * endpoint and fail over to the next on connection errors, timeouts or node errors;
+ * periodic health checks take lagging endpoints out of rotation until they catch up.
+ */
+class RpcPool extends ethers.providers.BaseProvider {
+  /**
+   * @param {Array<string|Object>} endpoints - RPC URLs in priority order, or providers
+   * @param {Object} network - { chainId, name }
+   * @param {Object} options - Pool settings
+   * @param {number} options.timeoutMs - Per-call timeout before failing over
+   * @param {number} options.maxBlockLag - Blocks an endpoint may trail the best head and stay healthy
+   * @param {number} options.healthCheckInterval - ms between health checks once started
+   * @param {string} options.wsUrl - WebSocket endpoint for block subscriptions
+   * @param {Logger} options.logger - Logger for failovers and subscription changes
+   */
+  constructor(endpoints, network, options = {}) {
+    super(network);
+    this.endpoints = endpoints.map((endpoint, index) => {
+      const provider = typeof endpoint === "string" ? new ethers.providers.JsonRpcBatchProvider(endpoint, network) : endpoint;
+      return {
+        url: typeof endpoint === "string" ? endpoint : provider.connection.url,
+        index,
+        provider,
+        healthy: true,
+        latencyMs: null,
+        blockNumber: null,
+        lastError: null
+      };
+    });
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.maxBlockLag = options.maxBlockLag === undefined ? 3 : options.maxBlockLag;
+    this.healthCheckInterval = options.healthCheckInterval || 15000;
+    this.wsUrl = options.wsUrl || "";
+    this.log = options.logger || new Logger();
+
+    this.healthTimer = null;
+    this.ws = null;
+    this.blockListener = null;
+  }
+
+  async detectNetwork() {
+    return this.network;
+  }
+
+  async perform(method, params) {
+    return this._failover(provider => provider.perform(method, params));
+  }
+
+  /**
+   * Raw JSON-RPC call, for methods the Provider API does not cover (e.g. eth_feeHistory)
+   */
+  async send(method, params) {
+    return this._failover(provider => provider.send(method, params));
+  }
+
+  /**
+   * Endpoints in the order calls try them: healthy before unhealthy, then fastest first
+   * @returns {Array<Object>} Endpoints
+   */
+  ranked() {
+    return [...this.endpoints].sort((a, b) => {
+      if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+      if (a.latencyMs !== null && b.latencyMs !== null && a.latencyMs !== b.latencyMs) return a.latencyMs - b.latencyMs;
+      return a.index - b.index;
+    });
+  }
+
+  /**
+   * Run a call on one endpoint, tracking its latency and marking it unhealthy when it fails
+   * @param {Object} endpoint - Endpoint
+   * @param {Function} call - Called with the endpoint's provider
+   * @returns {Promise<*>} Result
+   */
+  async call(endpoint, call) {
+    const started = Date.now();
+    try {
+      const result = await withTimeout(call(endpoint.provider), this.timeoutMs);
+      const elapsed = Date.now() - started;
+      endpoint.latencyMs = endpoint.latencyMs === null ? elapsed : Math.round(endpoint.latencyMs * (1 - LATENCY_WEIGHT) + elapsed * LATENCY_WEIGHT);
+      return result;
+    } catch (error) {
+      if (!REQUEST_ERRORS.has(error.code)) {
+        endpoint.healthy = false;
+        endpoint.lastError = error.message;
+      }
+      throw error;
+    }
+  }
+
+  async _failover(call) {
+    let lastError;
+    for (const endpoint of this.ranked()) {
+      try {
+        return await this.call(endpoint, call);
+      } catch (error) {
+        if (REQUEST_ERRORS.has(error.code)) throw error;
+        this.log.warn("RPC endpoint failed, failing over", { endpoint: endpoint.url, error: error.reason || error.message });
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Poll every endpoint's head. Endpoints that fail or trail the best head by more than
+   * maxBlockLag are unhealthy until a later check finds them caught up.
+   * @returns {Promise<Array<Object>>} { url, healthy, latencyMs, blockNumber, lastError } per endpoint
+   */
+  async checkHealth() {
+    const heads = await Promise.all(this.endpoints.map(endpoint =>
+      this.call(endpoint, provider => provider.getBlockNumber()).catch(() => null)
+    ));
+    const best = Math.max(...heads.filter(head => head !== null));
+
+    this.endpoints.forEach((endpoint, i) => {
+      if (heads[i] === null) return;
+      endpoint.blockNumber = heads[i];
+      endpoint.healthy = best - heads[i] <= this.maxBlockLag;
+      endpoint.lastError = endpoint.healthy ? null : `${best - heads[i]} blocks behind`;
+    });
+
+    return this.endpoints.map(({ url, healthy, latencyMs, blockNumber, lastError }) => ({ url, healthy, latencyMs, blockNumber, lastError }));
+  }
+
+  /**
+   * Start periodic health checks
+   */
+  start() {
+    if (this.healthTimer) return;
+    const check = () => this.checkHealth().catch(error => this.log.error("RPC health check failed", { error: error.message }));
+    check();
+    this.healthTimer = setInterval(check, this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Subscribe to new blocks over the WebSocket endpoint when there is one, falling back
+   * to polling through the pool if it is missing or its connection drops
+   * @param {Function} listener - Called with each block number
+   */
+  watchBlocks(listener) {
+    this.blockListener = listener;
+    if (!this.wsUrl) {
+      this.on("block", listener);
+      return;
+    }
+
+    this.ws = new ethers.providers.WebSocketProvider(this.wsUrl, this.network);
+    this.ws.on("block", listener);
+    this.ws.websocket.onerror = error => this.log.error("WebSocket error", { error: error.message });
+    this.ws.websocket.onclose = () => {
+      if (!this.blockListener) return; // Closed by stop()
+      this.log.warn("WebSocket closed, polling for blocks instead");
+      this.ws.removeAllListeners();
+      this.ws = null;
+      this.on("block", listener);
+    };
+  }
+
+  /**
+   * Stop health checks and block subscriptions
+   */
+  stop() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    this.blockListener = null;
+    this.removeAllListeners("block");
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.destroy();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * View of the pool whose reads must be answered identically by a quorum of endpoints
+   * @param {number} quorum - Matching answers required, 1 reads through the pool as usual
+   * @returns {QuorumProvider} Provider for critical reads
+   */
+  withQuorum(quorum) {
+    return new QuorumProvider(this, quorum);
+  }
+}
+
+/**
+ * Provider for reads that must not come from a single faulty or lagging node. Each read
+ * goes to every healthy endpoint and succeeds when `quorum` of them return the same result.
+ * Reads should pin a block number, since endpoints may be at different heads.
+ */
+class QuorumProvider extends ethers.providers.BaseProvider {
+  /**
+   * @param {RpcPool} pool - Endpoints to read from
+   * @param {number} quorum - Matching answers required
+   */
+  constructor(pool, quorum) {
+    super(pool.network);
+    this.pool = pool;
+    this.quorum = quorum;
+  }
+
+  async detectNetwork() {
+    return this.network;
+  }
+
+  async perform(method, params) {
+    if (this.quorum <= 1) return this.pool.perform(method, params);
+
+    const healthy = this.pool.endpoints.filter(endpoint => endpoint.healthy);
+    const candidates = healthy.length >= this.quorum ? healthy : this.pool.ranked().slice(0, this.quorum);
+    const answers = await Promise.all(candidates.map(endpoint =>
+      this.pool.call(endpoint, provider => provider.perform(method, params)).then(
+        result => ({ result }),
+        error => ({ error })
+      )
+    ));
+
+    const votes = new Map(); // serialized result => { result, count }
+    for (const answer of answers) {
+      if (answer.error) {
+        if (REQUEST_ERRORS.has(answer.error.code)) throw answer.error;
+        continue;
+      }
+      const key = JSON.stringify(answer.result);
+      const vote = votes.get(key) || { result: answer.result, count: 0 };
+      vote.count++;
+      votes.set(key, vote);
+    }
+
+    const agreed = [...votes.values()].find(vote => vote.count >= this.quorum);
+    if (!agreed) {
+      const counts = [...votes.values()].map(vote => vote.count).join("/") || "0";
+      throw new Error(`No quorum for ${method}: ${this.quorum} matching answers needed, got ${counts} from ${candidates.length} endpoints`);
+    }
+    return agreed.result;
+  }
+}
+
+module.exports = {
+  RpcPool,
+  QuorumProvider
+};
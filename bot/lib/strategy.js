@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+const { buildTokenGraph, findProfitableCycles } = require("./route-finder");
+const { sizeTrade, getNetProfit } = require("./trade-sizer");
+const { Logger, correlationId } = require("./logger");
+
+/**
+ * Finds, sizes and prices arbitrage cycles on a set of reserves. The live bot and the
+ * backtester both run this, so a backtest trades exactly the way the bot would; they
+ * differ only in where reserves and market state come from.
+ */
+class ArbitrageStrategy {
+  /**
+   * @param {TokenRegistry} tokenRegistry - Decimals and symbols of every token in the pools
+   * @param {GasConverter} gasConverter - Gas cost in profit-token units, updated per block
+   * @param {Object} options - Strategy settings
+   * @param {number} options.maxHops - Maximum swaps in a cycle
+   * @param {number} options.gasEstimate - Gas a flash loan is expected to use
+   * @param {Logger} options.logger - Logger for skipped cycles
+   */
+  constructor(tokenRegistry, gasConverter, options = {}) {
+    this.tokenRegistry = tokenRegistry;
+    this.gasConverter = gasConverter;
+    this.maxHops = options.maxHops || 3;
+    this.gasEstimate = options.gasEstimate || 500000;
+    this.log = options.logger || new Logger();
+
+    this.startTokens = []; // Tokens cycles may start at, i.e. that can be flash borrowed
+    this.riskConfigs = new Map(); // lowercase token => { maxLoanAmount, ... }
+  }
+
+  /**
+   * Set the tokens cycles may start at and how much of each may be borrowed
+   * @param {Array<string>} tokens - Token addresses
+   * @param {Array<Object>} riskConfigs - Risk config per token, at least { maxLoanAmount }
+   */
+  setStartTokens(tokens, riskConfigs) {
+    this.startTokens = tokens;
+    this.riskConfigs = new Map(tokens.map((token, i) => [token.toLowerCase(), riskConfigs[i]]));
+  }
+
+  /**
+   * Size and price every profitable cycle on a set of reserves, optionally only the
+   * cycles that trade through one of the given pools
+   * @param {ReserveScanner} scanner - Reserves to trade against
+   * @param {Object} market - Market state at the same block
+   * @param {ethers.BigNumber} market.gasPrice - Gas price in wei
+   * @param {number} market.protocolFeeBps - Contract protocol fee
+   * @param {ethers.BigNumber} market.volumeHeadroom - Daily volume still allowed
+   * @param {Set<string>} poolFilter - Pool addresses a cycle must touch, null for all
+   * @returns {Array<Object>} Opportunities, profitable or not
+   */
+  evaluate(scanner, market, poolFilter = null) {
+    const opportunities = [];
+    const { gasPrice, protocolFeeBps, volumeHeadroom } = market;
+
+    // Estimated gas cost for a flash loan, in MATIC until converted per profit token
+    const nativeGasCost = this.tokenRegistry.amount(this.gasConverter.nativeToken, ethers.BigNumber.from(gasPrice).mul(this.gasEstimate));
+
+    // Cycles whose marginal rates compound above 1, up to maxHops swaps
+    const cycles = findProfitableCycles(buildTokenGraph(scanner), this.startTokens, this.maxHops);
+
+    for (const { path, dexNames } of cycles) {
+      const pools = scanner.getRoutePools(path, dexNames);
+      const riskConfig = this.riskConfigs.get(path[0].toLowerCase());
+      if (!pools || !riskConfig) continue;
+      if (poolFilter && !pools.some(pool => poolFilter.has(pool.address))) continue;
+
+      // Gas is weighed against profit in the borrowed token's own units
+      const gasCost = this.gasConverter.toToken(nativeGasCost, path[0]);
+      if (!gasCost) {
+        this.log.debug("Skipping cycle: no oracle or pool price against MATIC to cost gas", { token: this.tokenRegistry.symbol(path[0]) });
+        continue;
+      }
+
+      // Size the trade for maximum net profit within the asset and daily limits
+      const maxAmount = riskConfig.maxLoanAmount.lt(volumeHeadroom) ? riskConfig.maxLoanAmount : volumeHeadroom;
+      const { amountIn } = sizeTrade(pools, { maxAmount, protocolFeeBps, gasCost: gasCost.raw });
+      if (amountIn.isZero()) continue;
+
+      // Price every hop on the DEX that pays the most at that size
+      const quote = scanner.quotePath(path, amountIn);
+      if (!quote) continue;
+
+      // Calculate profit
+      const expectedProfit = this.tokenRegistry.amount(path[0], getNetProfit(amountIn, quote.amountOut, protocolFeeBps));
+      const netProfit = expectedProfit.sub(gasCost);
+
+      opportunities.push({
+        id: correlationId(), // Follows the opportunity through simulation, submission and receipt
+        dexName: [...new Set(quote.hops.map(hop => hop.dexName))].join("+"),
+        token: path[0],
+        amountIn: this.tokenRegistry.amount(path[0], amountIn),
+        tokenPath: path.map(addr => this.tokenRegistry.symbol(addr)),
+        hops: quote.hops.map(hop => ({
+          dexName: hop.dexName,
+          pool: hop.address,
+          tokenIn: hop.tokenIn,
+          tokenOut: hop.tokenOut,
+          amountOut: hop.amountOut.toString()
+        })),
+        expectedProfit, // After flash and protocol fees, before gas
+        gasCost,
+        nativeGasCost,
+        netProfit,
+        isProfitable: netProfit.raw.gt(0),
+        protocolFeeBps
+      });
+    }
+
+    return opportunities;
+  }
+}
+
+module.exports = {
+  ArbitrageStrategy
+};
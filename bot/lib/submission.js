@@ -0,0 +1,224 @@
+const { ethers } = require("ethers");
+
+const PUBLIC = "public";
+const PRIVATE = "private";
+const BUNDLE = "bundle";
+
+/**
+ * JSON-RPC client for a Flashbots-style relay. Every request carries an
+ * X-Flashbots-Signature header: the signer's address and its signature of the body hash.
+ */
+class RelayClient {
+  /**
+   * @param {string} url - Relay endpoint
+   * @param {ethers.Signer} authSigner - Key identifying the searcher to the relay
+   */
+  constructor(url, authSigner) {
+    this.url = url;
+    this.authSigner = authSigner;
+    this.nextId = 1;
+  }
+
+  /**
+   * Call a relay method
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Parameters
+   * @returns {Promise<*>} Result
+   * @throws When the relay answers with a JSON-RPC error
+   */
+  async call(method, params) {
+    const body = JSON.stringify({ jsonrpc: "2.0", id: this.nextId++, method, params });
+    const signature = await this.authSigner.signMessage(ethers.utils.id(body));
+    const address = await this.authSigner.getAddress();
+
+    const response = await ethers.utils.fetchJson(
+      { url: this.url, headers: { "Content-Type": "application/json", "X-Flashbots-Signature": `${address}:${signature}` } },
+      body
+    );
+    if (response.error) {
+      throw new Error(`Relay ${method} failed: ${response.error.message || JSON.stringify(response.error)}`);
+    }
+    return response.result;
+  }
+}
+
+/**
+ * Sign a transaction locally
+ * @param {ethers.Signer} signer - Signer holding the key
+ * @param {Object} tx - Transaction with its nonce, gas limit and fees set
+ * @returns {Promise<Object>} { raw, hash }
+ */
+async function signLocally(signer, tx) {
+  const raw = await signer.signTransaction(await signer.populateTransaction(tx));
+  return { raw, hash: ethers.utils.keccak256(raw) };
+}
+
+/**
+ * Raw signed bytes of a transaction seen in the mempool, so it can lead a bundle
+ * @param {Object} tx - Transaction as returned by getTransaction
+ * @returns {string|null} Serialized transaction, null when the signature is missing
+ */
+function serializeSigned(tx) {
+  if (!tx || !tx.r || !tx.s || tx.v === undefined) return null;
+  const unsigned = {
+    type: tx.type || 0,
+    chainId: tx.chainId,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    gasLimit: tx.gasLimit,
+    accessList: tx.accessList || undefined
+  };
+  if (tx.type === 2) {
+    unsigned.maxFeePerGas = tx.maxFeePerGas;
+    unsigned.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+  } else {
+    unsigned.gasPrice = tx.gasPrice;
+  }
+  if (!unsigned.type) delete unsigned.type;
+
+  const raw = ethers.utils.serializeTransaction(unsigned, { r: tx.r, s: tx.s, v: tx.v });
+  return ethers.utils.keccak256(raw) === tx.hash ? raw : null;
+}
+
+/**
+ * Broadcast through the public RPC, with local nonces and stuck-transaction replacement
+ */
+class PublicSubmitter {
+  /**
+   * @param {NonceManager} nonceManager - Nonce manager of the trading signer
+   */
+  constructor(nonceManager) {
+    this.name = PUBLIC;
+    this.nonceManager = nonceManager;
+  }
+
+  /**
+   * @param {Object} tx - Populated transaction without a nonce
+   * @returns {Promise<Object>} { response, nonce, confirmation } as from NonceManager
+   */
+  submit(tx) {
+    return this.nonceManager.sendTransaction(tx);
+  }
+}
+
+/**
+ * Send single transactions to a private relay, which forwards them to block builders
+ * without exposing them in the public mempool. Speed-ups and cancels stay private too.
+ */
+class PrivateRelaySubmitter {
+  /**
+   * @param {NonceManager} nonceManager - Nonce manager of the trading signer
+   * @param {RelayClient} relay - Relay client
+   * @param {Object} options - Submission settings
+   * @param {number} options.maxBlocks - Blocks the relay keeps trying before dropping the transaction
+   */
+  constructor(nonceManager, relay, options = {}) {
+    this.name = PRIVATE;
+    this.nonceManager = nonceManager;
+    this.signer = nonceManager.signer;
+    this.provider = options.provider || nonceManager.provider;
+    this.relay = relay;
+    this.maxBlocks = options.maxBlocks || 25;
+  }
+
+  /**
+   * @param {Object} tx - Populated transaction without a nonce
+   * @returns {Promise<Object>} { response, nonce, confirmation } as from NonceManager
+   */
+  submit(tx) {
+    return this.nonceManager.sendTransaction(tx, async request => {
+      const { raw, hash } = await signLocally(this.signer, request);
+      const blockNumber = await this.provider.getBlockNumber();
+      await this.relay.call("eth_sendPrivateTransaction", [
+        { tx: raw, maxBlockNumber: ethers.utils.hexValue(blockNumber + this.maxBlocks) }
+      ]);
+      return { hash };
+    });
+  }
+}
+
+/**
+ * Submit a bundle for a range of target blocks. The relay includes it atomically and
+ * only if none of its transactions revert, so a failed trade costs no gas. A backrun
+ * puts its target transaction first so it lands directly behind it.
+ */
+class BundleSubmitter {
+  /**
+   * @param {NonceManager} nonceManager - Nonce manager of the trading signer
+   * @param {RelayClient} relay - Relay client
+   * @param {Object} options - Submission settings
+   * @param {number} options.blocks - Consecutive target blocks, starting at the next one
+   * @param {boolean} options.simulate - Simulate with eth_callBundle first and drop reverting bundles
+   * @param {number} options.pollInterval - ms between inclusion checks
+   */
+  constructor(nonceManager, relay, options = {}) {
+    this.name = BUNDLE;
+    this.nonceManager = nonceManager;
+    this.signer = nonceManager.signer;
+    this.provider = options.provider || nonceManager.provider;
+    this.relay = relay;
+    this.blocks = options.blocks || 3;
+    this.simulate = options.simulate !== false;
+    this.pollInterval = options.pollInterval || 1000;
+  }
+
+  /**
+   * @param {Object} tx - Populated transaction without a nonce
+   * @param {Object} context - Trade context
+   * @param {string} [context.leadingTx] - Raw signed transaction to place before ours (backrun target)
+   * @returns {Promise<Object>} { response, nonce, confirmation } where confirmation resolves to
+   *   { receipt, hash, replaced, cancelled, included }, with a null receipt when no target block included it
+   */
+  submit(tx, context = {}) {
+    return this.nonceManager.reserveNonce(tx, async request => {
+      const { raw, hash } = await signLocally(this.signer, request);
+      const txs = context.leadingTx ? [context.leadingTx, raw] : [raw];
+      const blockNumber = await this.provider.getBlockNumber();
+      const lastBlock = blockNumber + this.blocks;
+
+      if (this.simulate) {
+        const simulation = await this.relay.call("eth_callBundle", [
+          { txs, blockNumber: ethers.utils.hexValue(blockNumber + 1), stateBlockNumber: "latest" }
+        ]);
+        const failed = (simulation.results || []).find(result => result.error || result.revert);
+        if (failed) {
+          throw new Error(`Bundle simulation reverted: ${failed.revert || failed.error}`);
+        }
+      }
+
+      for (let target = blockNumber + 1; target <= lastBlock; target++) {
+        await this.relay.call("eth_sendBundle", [{ txs, blockNumber: ethers.utils.hexValue(target) }]);
+      }
+
+      // Bundles either land whole in a target block or not at all; the nonce is only used if they land.
+      // Inclusion is followed after submit returns, so the caller is not held for the target blocks.
+      const confirmation = this._waitForInclusion(hash, lastBlock)
+        .then(receipt => ({ receipt, hash, replaced: false, cancelled: false, included: Boolean(receipt) }));
+      return { hash, confirmation };
+    });
+  }
+
+  async _waitForInclusion(hash, lastBlock) {
+    for (;;) {
+      // Read the head first: once it is past the last target, the receipt check covers every target
+      const head = await this.provider.getBlockNumber();
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+      if (head > lastBlock) return null;
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+}
+
+module.exports = {
+  PUBLIC,
+  PRIVATE,
+  BUNDLE,
+  RelayClient,
+  PublicSubmitter,
+  PrivateRelaySubmitter,
+  BundleSubmitter,
+  serializeSigned
+};
@@ -0,0 +1,84 @@
+const { ethers } = require("ethers");
+
+// IUniswapV2Router02 swap functions
+const ROUTER_ABI = [
+  "function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+  "function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)",
+  "function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline) payable",
+  "function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)",
+  "function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable",
+  "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)"
+];
+
+const routerInterface = new ethers.utils.Interface(ROUTER_ABI);
+
+/**
+ * Decode a pending transaction into a router swap, if it is one
+ * @param {Object} tx - Transaction as returned by getTransaction
+ * @param {Map} routers - Lowercase router address => DEX name
+ * @returns {Object|null} Swap as { hash, dexName, method, path, exactIn, amountIn, amountOut, limit, deadline, fees }
+ *   where amountIn is set for exact-input swaps, amountOut for exact-output ones, and limit is the
+ *   minimum output or maximum input the sender accepts
+ */
+function decodeSwap(tx, routers) {
+  if (!tx.to || !tx.data) return null;
+  const dexName = routers.get(tx.to.toLowerCase());
+  if (!dexName) return null;
+
+  let parsed;
+  try {
+    parsed = routerInterface.parseTransaction({ data: tx.data, value: tx.value });
+  } catch (error) {
+    return null; // Liquidity or other non-swap router call
+  }
+
+  const { args, name } = parsed;
+  const exactIn = name.startsWith("swapExact");
+  const payable = name.startsWith("swapExactETH") || name.startsWith("swapETH");
+
+  let amountIn = null;
+  let amountOut = null;
+  let limit;
+  if (exactIn) {
+    amountIn = payable ? ethers.BigNumber.from(tx.value) : args.amountIn;
+    limit = args.amountOutMin;
+  } else {
+    amountOut = args.amountOut;
+    limit = payable ? ethers.BigNumber.from(tx.value) : args.amountInMax;
+  }
+
+  return {
+    hash: tx.hash,
+    from: tx.from,
+    dexName,
+    method: name,
+    path: args.path,
+    exactIn,
+    amountIn,
+    amountOut,
+    limit,
+    deadline: args.deadline.toNumber(),
+    fees: tx.maxFeePerGas
+      ? { type: 2, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+      : { gasPrice: tx.gasPrice }
+  };
+}
+
+/**
+ * Whether a simulated swap would pass the router's own slippage check
+ * @param {Object} swap - Result of decodeSwap
+ * @param {Array<ethers.BigNumber>} amounts - Per-hop amounts from ReserveScanner.applySwap
+ * @returns {boolean} True when the router would not revert
+ */
+function withinLimit(swap, amounts) {
+  return swap.exactIn ? amounts[amounts.length - 1].gte(swap.limit) : amounts[0].lte(swap.limit);
+}
+
+module.exports = {
+  ROUTER_ABI,
+  decodeSwap,
+  withinLimit
+};
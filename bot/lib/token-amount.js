@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+
+/**
+ * An amount of a specific token. Arithmetic refuses to mix tokens, so a MATIC gas
+ * cost can never be subtracted from a USDC profit by accident.
+ */
+class TokenAmount {
+  /**
+   * @param {Object} token - Registry token as { address, symbol, decimals }
+   * @param {ethers.BigNumberish} raw - Amount in the token's smallest unit
+   */
+  constructor(token, raw) {
+    this.token = token;
+    this.raw = ethers.BigNumber.from(raw);
+  }
+
+  /**
+   * Amount from a human-readable decimal string
+   * @param {Object} token - Registry token
+   * @param {string} value - Decimal value, e.g. "1.5"
+   * @returns {TokenAmount} Amount
+   */
+  static parse(token, value) {
+    return new TokenAmount(token, ethers.utils.parseUnits(value, token.decimals));
+  }
+
+  /**
+   * Zero of a token
+   * @param {Object} token - Registry token
+   * @returns {TokenAmount} Zero amount
+   */
+  static zero(token) {
+    return new TokenAmount(token, 0);
+  }
+
+  _check(other) {
+    if (!(other instanceof TokenAmount)) {
+      throw new TypeError(`Expected a TokenAmount of ${this.token.symbol}, got ${other}`);
+    }
+    if (other.token.address.toLowerCase() !== this.token.address.toLowerCase()) {
+      throw new TypeError(`Cannot combine ${this.token.symbol} with ${other.token.symbol}`);
+    }
+    return other.raw;
+  }
+
+  add(other) {
+    return new TokenAmount(this.token, this.raw.add(this._check(other)));
+  }
+
+  sub(other) {
+    return new TokenAmount(this.token, this.raw.sub(this._check(other)));
+  }
+
+  gt(other) {
+    return this.raw.gt(this._check(other));
+  }
+
+  lt(other) {
+    return this.raw.lt(this._check(other));
+  }
+
+  isZero() {
+    return this.raw.isZero();
+  }
+
+  isNegative() {
+    return this.raw.isNegative();
+  }
+
+  /**
+   * Decimal string in whole token units
+   * @returns {string} e.g. "1.5"
+   */
+  format() {
+    return ethers.utils.formatUnits(this.raw, this.token.decimals);
+  }
+
+  toString() {
+    return `${this.format()} ${this.token.symbol}`;
+  }
+
+  /**
+   * Serialized as the raw integer string, like BigNumbers in the ledgers
+   * @returns {string} Raw amount
+   */
+  toJSON() {
+    return this.raw.toString();
+  }
+}
+
+module.exports = {
+  TokenAmount
+};
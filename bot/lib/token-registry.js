@@ -0,0 +1,131 @@
+const { ethers } = require("ethers");
+const { TokenAmount } = require("./token-amount");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+// Older tokens (e.g. MKR) return symbol as bytes32
+const BYTES32_SYMBOL_ABI = ["function symbol() view returns (bytes32)"];
+
+/**
+ * Decimals and symbols of every token the bot touches, read on-chain once and cached
+ */
+class TokenRegistry {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider for token reads
+   * @param {Object} configured - Symbol => { address, decimals } from the config, used without a read
+   */
+  constructor(provider, configured = {}) {
+    this.provider = provider;
+    this.tokens = new Map(); // lowercase address => { address, symbol, decimals }
+    this.loading = new Map(); // lowercase address => pending load
+    this.configure(configured);
+  }
+
+  /**
+   * Seed the cache with configured tokens, replacing earlier entries for the same address
+   * @param {Object} configured - Symbol => { address, decimals }
+   */
+  configure(configured) {
+    for (const [symbol, token] of Object.entries(configured)) {
+      this.tokens.set(token.address.toLowerCase(), { address: token.address, symbol, decimals: token.decimals });
+    }
+  }
+
+  /**
+   * Load a token's decimals and symbol, reading the chain only the first time
+   * @param {string} address - Token address
+   * @returns {Promise<Object>} Token as { address, symbol, decimals }
+   * @throws When decimals() cannot be read, the token cannot be priced
+   */
+  async load(address) {
+    const key = address.toLowerCase();
+    if (this.tokens.has(key)) return this.tokens.get(key);
+    if (!this.loading.has(key)) {
+      const pending = this._read(address).then(
+        token => {
+          this.tokens.set(key, token);
+          this.loading.delete(key);
+          return token;
+        },
+        error => {
+          this.loading.delete(key);
+          throw error;
+        }
+      );
+      this.loading.set(key, pending);
+    }
+    return this.loading.get(key);
+  }
+
+  /**
+   * Load many tokens together so a batching provider sends one request
+   * @param {Array<string>} addresses - Token addresses
+   * @returns {Promise<Array<string>>} Addresses that could not be loaded
+   */
+  async loadAll(addresses) {
+    const results = await Promise.all(addresses.map(address => this.load(address).then(() => null, () => address)));
+    return results.filter(Boolean);
+  }
+
+  async _read(address) {
+    const contract = new ethers.Contract(address, ERC20_ABI, this.provider);
+    const [decimals, symbol] = await Promise.all([
+      contract.decimals(),
+      contract.symbol().catch(() =>
+        new ethers.Contract(address, BYTES32_SYMBOL_ABI, this.provider)
+          .symbol()
+          .then(raw => ethers.utils.parseBytes32String(raw))
+          .catch(() => null)
+      )
+    ]);
+    return { address, symbol: symbol || shortAddress(address), decimals };
+  }
+
+  /**
+   * Cached token
+   * @param {string} address - Token address
+   * @returns {Object|null} Token, null when not loaded yet
+   */
+  get(address) {
+    return this.tokens.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Symbol of a loaded token, or its shortened address
+   * @param {string} address - Token address
+   * @returns {string} Symbol
+   */
+  symbol(address) {
+    const token = this.get(address);
+    return token ? token.symbol : shortAddress(address);
+  }
+
+  /**
+   * Typed amount of a loaded token
+   * @param {string} address - Token address
+   * @param {ethers.BigNumberish} raw - Amount in the token's smallest unit
+   * @returns {TokenAmount} Amount
+   * @throws When the token has not been loaded
+   */
+  amount(address, raw) {
+    const token = this.get(address);
+    if (!token) throw new Error(`Token ${address} is not loaded`);
+    return new TokenAmount(token, raw);
+  }
+}
+
+/**
+ * Shortened address for display
+ * @param {string} address - Address
+ * @returns {string} e.g. "0x2791…4174"
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+module.exports = {
+  TokenRegistry
+};
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Append-only JSONL journal of executed trades, queryable by token, route and day
+ */
+class TradeJournal {
+  /**
+   * @param {string} filePath - Journal file, created on first write
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a trade. `day` is derived from the timestamp (UTC) so queries need not parse dates.
+   * @param {Object} entry - Trade details, BigNumbers are written as decimal strings
+   * @param {string} entry.token - Borrowed token address
+   * @param {string} entry.route - Route key from routeKey
+   * @returns {Object} The entry as written
+   */
+  record(entry) {
+    const timestamp = entry.timestamp || new Date().toISOString();
+    const written = { timestamp, day: timestamp.slice(0, 10), ...entry };
+
+    const line = JSON.stringify(written, (key, value) =>
+      value && value.type === "BigNumber" ? ethers.BigNumber.from(value.hex).toString() : value
+    );
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, line + "\n");
+    return JSON.parse(line);
+  }
+
+  /**
+   * Every journal entry, oldest first
+   * @returns {Array<Object>} Entries
+   */
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter(line => line.trim() !== "")
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Entries matching every given filter
+   * @param {Object} filters - Filters, all optional
+   * @param {string} filters.token - Token address or symbol
+   * @param {string} filters.route - Route key, or a substring of it or of the token path
+   * @param {string} filters.day - UTC day as YYYY-MM-DD
+   * @returns {Array<Object>} Matching entries
+   */
+  query(filters = {}) {
+    const token = filters.token && filters.token.toLowerCase();
+    const route = filters.route && filters.route.toLowerCase();
+
+    return this.readAll().filter(entry => {
+      if (token && entry.token.toLowerCase() !== token && (entry.symbol || "").toLowerCase() !== token) return false;
+      if (route && !entry.route.includes(route) && !(entry.tokenPath || []).join(">").toLowerCase().includes(route)) return false;
+      if (filters.day && entry.day !== filters.day) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Totals per group of entries
+   * @param {Array<Object>} entries - Entries, usually from query
+   * @param {string} groupBy - "token", "route" or "day"
+   * @returns {Object} Group => { trades, completed, failed, profitUsd, gasCostUsd, netUsd }
+   */
+  static summarize(entries, groupBy = "day") {
+    const groups = {};
+
+    for (const entry of entries) {
+      const key = groupBy === "token" ? entry.symbol || entry.token : entry[groupBy];
+      const group = groups[key] || (groups[key] = { trades: 0, completed: 0, failed: 0, profitUsd: 0, gasCostUsd: 0, netUsd: 0 });
+
+      group.trades++;
+      if (entry.status === "completed") group.completed++;
+      else group.failed++;
+      group.profitUsd += entry.profitUsd || 0;
+      group.gasCostUsd += entry.gasCostUsd || 0;
+      group.netUsd += entry.netUsd || 0;
+    }
+
+    return groups;
+  }
+}
+
+module.exports = {
+  TradeJournal
+};
@@ -0,0 +1,132 @@
+const { ethers } = require("ethers");
+
+const BASIS_POINTS = 10000;
+const USD_PRICE_DECIMALS = 8; // getValidatedPrice returns Chainlink USD prices
+
+// Events FlashLoanPolygon emits while executing a trade. initiateFlashLoan reports its
+// result in FlashLoanCompleted; executeMultiDexArbitrage only emits one
+// MultiDexTradeExecuted per leg, so its result comes from the receipt status and the legs.
+const EVENTS_ABI = [
+  "event FlashLoanInitiated(address indexed token, uint256 amount, address indexed initiator, uint256 slippageBps)",
+  "event FlashLoanCompleted(address indexed token, uint256 amount, uint256 fee, uint256 profit, address indexed initiator)",
+  "event FlashLoanFailed(address indexed token, uint256 amount, address indexed initiator, string reason)",
+  "event MultiDexTradeExecuted(address[] path, uint256[] amounts, address router)"
+];
+
+const eventsInterface = new ethers.utils.Interface(EVENTS_ABI);
+
+/**
+ * Decode the FlashLoanPolygon events in a transaction receipt
+ * @param {Object} receipt - Transaction receipt
+ * @param {string} contractAddress - FlashLoanPolygon address, logs from other contracts are ignored
+ * @returns {Object} { success, initiated, completed, failed, legs, token, amountIn, amountOut } with
+ *   null for events not emitted and null amounts when neither a flash loan nor a leg was executed
+ */
+function decodeTradeReceipt(receipt, contractAddress) {
+  const decoded = { success: receipt.status === 1, initiated: null, completed: null, failed: null, legs: [] };
+
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = eventsInterface.parseLog(log);
+    } catch (error) {
+      continue; // Admin or risk events, not part of a trade
+    }
+
+    const { args } = parsed;
+    switch (parsed.name) {
+      case "FlashLoanInitiated":
+        decoded.initiated = { token: args.token, amount: args.amount, initiator: args.initiator, slippageBps: args.slippageBps.toNumber() };
+        break;
+      case "FlashLoanCompleted":
+        decoded.completed = { token: args.token, amount: args.amount, fee: args.fee, profit: args.profit };
+        break;
+      case "FlashLoanFailed":
+        decoded.failed = { token: args.token, amount: args.amount, reason: args.reason };
+        break;
+      case "MultiDexTradeExecuted":
+        decoded.legs.push({ router: args.router, path: args.path, amounts: args.amounts });
+        break;
+    }
+  }
+
+  const loan = decoded.completed || decoded.failed || decoded.initiated;
+  const first = decoded.legs[0];
+  const last = decoded.legs[decoded.legs.length - 1];
+  if (loan) {
+    decoded.token = loan.token;
+    decoded.amountIn = loan.amount;
+    decoded.amountOut = decoded.completed ? loan.amount.add(decoded.completed.fee).add(decoded.completed.profit) : null;
+  } else {
+    decoded.token = first ? first.path[0] : null;
+    decoded.amountIn = first ? first.amounts[0] : null;
+    decoded.amountOut = last ? last.amounts[last.amounts.length - 1] : null;
+  }
+  return decoded;
+}
+
+/**
+ * Convert a token amount to USD
+ * @param {ethers.BigNumber} amount - Amount in token units
+ * @param {number} decimals - Token decimals
+ * @param {ethers.BigNumber} price - USD price with 8 decimals
+ * @returns {number} USD value
+ */
+function toUsd(amount, decimals, price) {
+  return parseFloat(ethers.utils.formatUnits(ethers.BigNumber.from(amount).mul(price), decimals + USD_PRICE_DECIMALS));
+}
+
+/**
+ * Realized result of a confirmed trade. A flash loan's FlashLoanCompleted reports profit
+ * before the protocol fee, so the fee is taken off here to get what the bot received.
+ * A multi-DEX trade is what its last leg returned minus what its first leg spent; that
+ * path takes no protocol fee, and each leg's amounts are quoted against the same
+ * reserves the swap then trades on.
+ * @param {Object} decoded - Result of decodeTradeReceipt
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} pricing - Conversion inputs
+ * @param {number} pricing.protocolFeeBps - Protocol fee on flash loan profit
+ * @param {number} pricing.tokenDecimals - Decimals of the traded token
+ * @param {ethers.BigNumber} [pricing.tokenPrice] - USD price of the traded token, 8 decimals
+ * @param {ethers.BigNumber} [pricing.nativePrice] - USD price of MATIC, 8 decimals
+ * @returns {Object} Profit and gas in token units, wei and USD (USD fields null without prices)
+ */
+function realizedProfit(decoded, receipt, pricing) {
+  const zero = ethers.BigNumber.from(0);
+  let grossProfit = zero;
+  let protocolFee = zero;
+  if (decoded.completed) {
+    grossProfit = decoded.completed.profit;
+    protocolFee = grossProfit.mul(pricing.protocolFeeBps || 0).div(BASIS_POINTS);
+  } else if (decoded.success && decoded.legs.length > 0) {
+    // A route that does not end in the token it started with has no profit in that token
+    const last = decoded.legs[decoded.legs.length - 1];
+    const closed = last.path[last.path.length - 1].toLowerCase() === decoded.token.toLowerCase();
+    if (closed) grossProfit = decoded.amountOut.sub(decoded.amountIn);
+  }
+  const netProfit = grossProfit.sub(protocolFee);
+  const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice || zero);
+
+  const profitUsd = pricing.tokenPrice ? toUsd(netProfit, pricing.tokenDecimals, pricing.tokenPrice) : null;
+  const gasCostUsd = pricing.nativePrice ? toUsd(gasCost, 18, pricing.nativePrice) : null;
+
+  return {
+    flashLoanFee: decoded.completed ? decoded.completed.fee : zero,
+    grossProfit,
+    protocolFee,
+    netProfit,
+    gasCost,
+    profitUsd,
+    gasCostUsd,
+    netUsd: profitUsd !== null && gasCostUsd !== null ? profitUsd - gasCostUsd : null
+  };
+}
+
+module.exports = {
+  EVENTS_ABI,
+  decodeTradeReceipt,
+  toUsd,
+  realizedProfit
+};
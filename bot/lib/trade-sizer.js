@@ -0,0 +1,147 @@
+const { ethers } = require("ethers");
+const { FEE_NUMERATOR, FEE_DENOMINATOR, getAmountOut } = require("./amm");
+
+const FLASH_LOAN_FEE_BPS = 30; // 0.3%, matches FlashLoanPolygon
+const BASIS_POINTS = 10000;
+
+const ZERO = ethers.BigNumber.from(0);
+
+/**
+ * Integer square root (floor)
+ * @param {ethers.BigNumber} value - Non-negative value
+ * @returns {ethers.BigNumber} floor(sqrt(value))
+ */
+function sqrt(value) {
+  value = ethers.BigNumber.from(value);
+  if (value.lt(2)) return value;
+
+  let x = value;
+  let y = x.add(1).div(2);
+  while (y.lt(x)) {
+    x = y;
+    y = x.add(value.div(x)).div(2);
+  }
+  return x;
+}
+
+/**
+ * Output of a route for a given input, hop by hop
+ * @param {Array<Object>} pools - Route pools as { reserveIn, reserveOut }
+ * @param {ethers.BigNumber} amountIn - Input amount
+ * @returns {ethers.BigNumber} Final output amount
+ */
+function getRouteOutput(pools, amountIn) {
+  return pools.reduce((amount, pool) => getAmountOut(amount, pool.reserveIn, pool.reserveOut), amountIn);
+}
+
+/**
+ * Net profit of a trade after the flash fee, protocol fee and gas
+ * @param {ethers.BigNumber} amountIn - Borrowed amount
+ * @param {ethers.BigNumber} amountOut - Amount returned by the route
+ * @param {number} protocolFeeBps - Protocol cut of the profit
+ * @param {ethers.BigNumber} gasCost - Gas cost in units of the borrowed token
+ * @returns {ethers.BigNumber} Net profit, negative when the trade loses
+ */
+function getNetProfit(amountIn, amountOut, protocolFeeBps, gasCost = ZERO) {
+  const repayAmount = amountIn.add(amountIn.mul(FLASH_LOAN_FEE_BPS).div(BASIS_POINTS));
+  const profit = amountOut.sub(repayAmount);
+  const protocolFee = profit.gt(0) ? profit.mul(protocolFeeBps).div(BASIS_POINTS) : ZERO;
+  return profit.sub(protocolFee).sub(gasCost);
+}
+
+/**
+ * Closed-form optimal input for a two-pool cycle.
+ * Collapses both pools into one virtual pool and solves d(out - repay)/dx = 0.
+ * @param {Array<Object>} pools - Exactly two pools as { reserveIn, reserveOut }
+ * @returns {ethers.BigNumber} Optimal input, zero when no size is profitable
+ */
+function optimalTwoPoolInput([first, second]) {
+  const f = FEE_NUMERATOR;
+  const d = FEE_DENOMINATOR;
+  const repayNumerator = BASIS_POINTS + FLASH_LOAN_FEE_BPS;
+
+  // x* = (sqrt(f^2 d^2 r1in r1out r2in r2out / repay) - d^2 r1in r2in) / (f (d r2in + f r1out))
+  const root = sqrt(
+    first.reserveIn.mul(first.reserveOut).mul(second.reserveIn).mul(second.reserveOut)
+      .mul(f * f).mul(d * d).mul(BASIS_POINTS).div(repayNumerator)
+  );
+  const offset = first.reserveIn.mul(second.reserveIn).mul(d * d);
+  if (root.lte(offset)) return ZERO;
+
+  const denominator = second.reserveIn.mul(d).add(first.reserveOut.mul(f)).mul(f);
+  return root.sub(offset).div(denominator);
+}
+
+/**
+ * Ternary search for the input with the highest output minus repayment.
+ * The route output is concave in its input, so the objective is unimodal.
+ * @param {Array<Object>} pools - Route pools as { reserveIn, reserveOut }
+ * @param {ethers.BigNumber} upper - Largest input to consider
+ * @returns {ethers.BigNumber} Best input found
+ */
+function searchOptimalInput(pools, upper) {
+  const objective = amount => getNetProfit(amount, getRouteOutput(pools, amount), 0);
+
+  let lo = ZERO;
+  let hi = upper;
+  while (hi.sub(lo).gt(2)) {
+    const third = hi.sub(lo).div(3);
+    const m1 = lo.add(third);
+    const m2 = hi.sub(third);
+    if (objective(m1).lt(objective(m2))) {
+      lo = m1;
+    } else {
+      hi = m2;
+    }
+  }
+
+  let best = lo;
+  for (let amount = lo.add(1); amount.lte(hi); amount = amount.add(1)) {
+    if (objective(amount).gt(objective(best))) best = amount;
+  }
+  return best;
+}
+
+/**
+ * Find the input amount with the highest net profit for a route
+ * @param {Array<Object>} pools - Route pools as { reserveIn, reserveOut }
+ * @param {Object} options - Sizing constraints
+ * @param {ethers.BigNumber} options.maxAmount - Cap from maxLoanAmount and remaining daily volume
+ * @param {number} options.protocolFeeBps - Protocol cut of the profit
+ * @param {ethers.BigNumber} options.gasCost - Gas cost in units of the borrowed token
+ * @returns {Object} { amountIn, amountOut, netProfit }
+ */
+function sizeTrade(pools, { maxAmount, protocolFeeBps = 100, gasCost = ZERO }) {
+  maxAmount = ethers.BigNumber.from(maxAmount);
+  if (pools.length === 0 || maxAmount.lte(0)) {
+    return { amountIn: ZERO, amountOut: ZERO, netProfit: ZERO.sub(gasCost) };
+  }
+
+  let amountIn;
+  if (pools.length === 2) {
+    amountIn = optimalTwoPoolInput(pools);
+  } else {
+    // No route can usefully take more than its first pool holds
+    const bound = pools[0].reserveIn.lt(maxAmount) ? pools[0].reserveIn : maxAmount;
+    amountIn = searchOptimalInput(pools, bound);
+  }
+
+  // The objective is concave, so the best feasible size is the clamped optimum
+  if (amountIn.gt(maxAmount)) amountIn = maxAmount;
+
+  const amountOut = getRouteOutput(pools, amountIn);
+  return {
+    amountIn,
+    amountOut,
+    netProfit: getNetProfit(amountIn, amountOut, protocolFeeBps, gasCost)
+  };
+}
+
+module.exports = {
+  FLASH_LOAN_FEE_BPS,
+  getRouteOutput,
+  getNetProfit,
+  optimalTwoPoolInput,
+  searchOptimalInput,
+  sizeTrade
+};
@@ -0,0 +1,135 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+/**
+ * Local stand-in for a Flashbots-style relay, for exercising the private and bundle
+ * submission paths offline. It checks the X-Flashbots-Signature header, records every
+ * request and, when given an upstream node (e.g. `npx hardhat node`), forwards the raw
+ * transactions there so they actually get mined.
+ *
+ * Usage: node mock-relay.js [--port 8550] [--upstream http://127.0.0.1:8545]
+ */
+
+/**
+ * Create a mock relay
+ * @param {Object} options - Relay behaviour
+ * @param {ethers.providers.JsonRpcProvider} [options.upstream] - Node to forward raw transactions to
+ * @param {Function} [options.simulate] - Called with the bundle's raw transactions, returns
+ *   per-transaction results; a result with `revert` makes eth_callBundle report a revert
+ * @returns {Object} { server, requests, listen(port), close() }
+ */
+function createMockRelay(options = {}) {
+  const requests = [];
+  const forwarded = new Set();
+
+  const forward = async txs => {
+    if (!options.upstream) return;
+    for (const raw of txs) {
+      const hash = ethers.utils.keccak256(raw);
+      if (forwarded.has(hash)) continue; // Bundles are resent for every target block
+      forwarded.add(hash);
+      await options.upstream.send("eth_sendRawTransaction", [raw]);
+    }
+  };
+
+  const handlers = {
+    eth_sendPrivateTransaction: async ([{ tx }]) => {
+      await forward([tx]);
+      return ethers.utils.keccak256(tx);
+    },
+    eth_sendBundle: async ([{ txs }]) => {
+      await forward(txs);
+      return { bundleHash: ethers.utils.keccak256(ethers.utils.concat(txs.map(raw => ethers.utils.keccak256(raw)))) };
+    },
+    eth_callBundle: async ([{ txs }]) => {
+      const results = options.simulate
+        ? options.simulate(txs)
+        : txs.map(raw => ({ txHash: ethers.utils.keccak256(raw), gasUsed: 0 }));
+      return { results };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+    });
+    req.on("end", async () => {
+      const reply = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        return reply(400, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+      }
+
+      // Same check a real relay does: the header must be signed by the address it names
+      const [address, signature] = (req.headers["x-flashbots-signature"] || "").split(":");
+      let signer = null;
+      try {
+        signer = ethers.utils.verifyMessage(ethers.utils.id(body), signature);
+      } catch (error) {
+        // Malformed signature, rejected below
+      }
+      if (!address || !signer || signer.toLowerCase() !== address.toLowerCase()) {
+        return reply(403, { jsonrpc: "2.0", id: request.id, error: { code: -32600, message: "invalid flashbots signature" } });
+      }
+
+      requests.push({ method: request.method, params: request.params, signer });
+      const handler = handlers[request.method];
+      if (!handler) {
+        return reply(200, { jsonrpc: "2.0", id: request.id, error: { code: -32601, message: `Method ${request.method} not found` } });
+      }
+
+      try {
+        reply(200, { jsonrpc: "2.0", id: request.id, result: await handler(request.params) });
+      } catch (error) {
+        reply(200, { jsonrpc: "2.0", id: request.id, error: { code: -32000, message: error.message } });
+      }
+    });
+  });
+
+  return {
+    server,
+    requests,
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const upstreamUrl = option("--upstream");
+  const relay = createMockRelay({
+    upstream: upstreamUrl ? new ethers.providers.StaticJsonRpcProvider(upstreamUrl) : undefined
+  });
+  const url = await relay.listen(parseInt(option("--port") || "8550", 10));
+  console.log(`Mock relay listening on ${url}${upstreamUrl ? `, forwarding to ${upstreamUrl}` : ""}`);
+
+  relay.server.on("request", req => console.log(`${new Date().toISOString()} ${req.method} ${req.url}`));
+  process.on("SIGINT", () => relay.close().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockRelay };
@@ -0,0 +1,97 @@
+const { DEFAULT_CONFIG_FILE, loadConfig, activeNetwork } = require("./lib/config");
+const { RpcPool } = require("./lib/rpc-pool");
+const { ReserveScanner } = require("./lib/reserve-scanner");
+const { DatasetWriter } = require("./lib/pair-dataset");
+const { PairRecorder } = require("./lib/pair-recorder");
+const { Logger } = require("./lib/logger");
+require("dotenv").config();
+
+/**
+ * Record the Sync events of every pair the bot tracks into a pair dataset for backtests.
+ * Without --to it keeps following new blocks until interrupted.
+ *
+ * Usage: node record-pairs.js [--out data/pairs.jsonl] [--from 50000000] [--to 50100000]
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === "--out") {
+      args.out = argv[++i];
+    } else if (flag === "--from" || flag === "--to") {
+      const block = Number(argv[++i]);
+      if (!Number.isInteger(block) || block < 1) throw new Error(`${flag} needs a block number`);
+      args[flag.slice(2)] = block;
+    } else {
+      throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = loadConfig(process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE, process.env, { requireContracts: false });
+  const network = activeNetwork(config);
+  const log = new Logger({ ...config.logging, file: "" });
+
+  const provider = new RpcPool([network.rpcUrl, ...network.fallbackRpcUrls], { chainId: network.chainId, name: config.network }, {
+    ...config.rpc,
+    wsUrl: network.wsUrl,
+    logger: log
+  });
+
+  // The same pairs the bot would track: configured tokens, then factory discovery around them
+  const scanner = new ReserveScanner(provider, network.dexes);
+  const knownTokens = Object.values(network.tokens).map(token => token.address);
+  await scanner.loadPairs(knownTokens);
+  await scanner.discoverFactoryPairs(knownTokens, config.strategy.pairScanLimit);
+  const pools = [...scanner.pools.values()].flat().map(({ dexName, address, token0, token1 }) => ({ dexName, address, token0, token1 }));
+
+  const file = args.out || config.backtest.dataset;
+  const writer = await DatasetWriter.open(file, network.chainId, { keepBlocks: config.recorder.rewindBlocks * 8 });
+  const recorder = new PairRecorder(provider, writer, { ...config.recorder, logger: log });
+
+  const head = await provider.getBlockNumber();
+  await recorder.start(pools, args.from || head);
+  log.info("Recording pairs", { file, pools: pools.length, fromBlock: writer.lastBlock.number + 1, toBlock: args.to || "follow" });
+
+  if (args.to) {
+    await recorder.recordTo(args.to);
+    log.info("Recorded", { lastBlock: writer.lastBlock.number });
+    return;
+  }
+
+  // Follow the head; blocks that arrive while a range is being recorded are folded into the next run
+  let target = head;
+  let running = false;
+  const catchUp = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while (writer.lastBlock.number < target) await recorder.recordTo(target);
+    } catch (error) {
+      log.error("Recording failed, retrying on the next block", { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  process.on("SIGINT", () => {
+    provider.stop();
+    log.info("Stopped recording", { lastBlock: writer.lastBlock.number });
+    process.exit(0);
+  });
+
+  provider.start();
+  provider.watchBlocks(blockNumber => {
+    target = Math.max(target, blockNumber);
+    catchUp();
+  });
+  await catchUp();
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { ArbitrageBot } = require("../arbitrage-bot");
+const { DEFAULT_CONFIG_FILE, loadConfig } = require("../lib/config");
+const { NEW } = require("../lib/block-tracker");
+const { NonceManager } = require("../lib/nonce-manager");
+const { PUBLIC, PublicSubmitter } = require("../lib/submission");
+const { Logger } = require("../lib/logger");
+const { TokenAmount } = require("../lib/token-amount");
+
+describe("ArbitrageBot", function () {
+  const KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+  const FLASH_LOAN = "0x00000000000000000000000000000000000000f1";
+  const ENV = { FLASH_LOAN_ADDRESS: FLASH_LOAN, PRICE_ORACLE_ADDRESS: "0x00000000000000000000000000000000000000f2" };
+  const USDC = { address: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174", symbol: "USDC", decimals: 6 };
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+
+  let bot;
+  let chain;
+  let errors;
+  let journaled;
+
+  // The head loop with every RPC-backed step stubbed: one trade is found on block 101 and
+  // sent publicly; the chain mines it when chain.minedNonce moves past its nonce
+  beforeEach(function () {
+    bot = new ArbitrageBot(loadConfig(DEFAULT_CONFIG_FILE, ENV), KEY);
+    errors = [];
+    bot.log = new Logger({ streams: { out: { write: () => {} }, err: { write: line => errors.push(line) } } });
+
+    chain = { minedNonce: 0, sent: [], processed: [] };
+    const provider = {
+      getBlockNumber: async () => 100,
+      getTransactionReceipt: async hash => ({ transactionHash: hash, status: 1, blockNumber: 102, gasUsed: 300000, effectiveGasPrice: 1 })
+    };
+    const signer = {
+      provider,
+      getAddress: async () => bot.wallet.address,
+      getTransactionCount: async tag => (tag === "pending" ? chain.sent.length : chain.minedNonce),
+      sendTransaction: async tx => {
+        const hash = ethers.utils.id(`trade:${tx.nonce}`);
+        chain.sent.push({ ...tx, hash });
+        return { hash };
+      }
+    };
+    bot.nonceManager = new NonceManager(signer, { logger: bot.log });
+    bot.submitters[PUBLIC] = new PublicSubmitter(bot.nonceManager);
+
+    const opportunity = {
+      id: "opp-1",
+      token: USDC.address,
+      tokenPath: ["USDC", "WETH", "USDC"],
+      dexName: "QuickSwap",
+      hops: [
+        { dexName: "QuickSwap", tokenIn: USDC.address, tokenOut: WETH },
+        { dexName: "SushiSwap", tokenIn: WETH, tokenOut: USDC.address }
+      ],
+      amountIn: new TokenAmount(USDC, ethers.BigNumber.from(1000e6)),
+      expectedProfit: new TokenAmount(USDC, ethers.BigNumber.from(5e6)),
+      netProfit: new TokenAmount(USDC, ethers.BigNumber.from(4e6)),
+      gasCost: new TokenAmount(USDC, ethers.BigNumber.from(1e6)),
+      nativeGasCost: new TokenAmount({ address: WETH, symbol: "MATIC", decimals: 18 }, ethers.utils.parseEther("1")),
+      isProfitable: true
+    };
+
+    bot.blockTracker.advance = async head => ({ status: NEW, block: { number: head }, skipped: 0 });
+    bot.updateGasPrice = async () => {};
+    bot.discoverRoutes = async () => {};
+    bot.provider.getBalance = async () => ethers.utils.parseEther("100");
+    bot.circuitBreakerReader = { circuitBreakerActive: async () => false };
+    bot.findArbitrageOpportunities = async head => {
+      chain.processed.push(head);
+      return head === 101 ? [{ ...opportunity, chainEpoch: bot.chainEpoch }] : [];
+    };
+    bot.flashLoanContract = {
+      address: FLASH_LOAN,
+      getAssetRiskConfig: async () => ({ isActive: true }),
+      populateTransaction: { executeMultiDexArbitrage: async () => ({ to: FLASH_LOAN, data: "0x" }) }
+    };
+    bot.getUnsupportedRouters = async () => [];
+    bot.simulateRoute = async () => ({ success: true, gasEstimate: ethers.BigNumber.from(300000) });
+    bot.gasConverter.toNative = () => ({ raw: ethers.utils.parseEther("1") });
+    bot.feeStrategy.getFees = () => ({ maxFeePerGas: 2, maxPriorityFeePerGas: 1 });
+
+    journaled = [];
+    bot.journalTrade = async (trade, route, receipt) => journaled.push({ id: trade.id, txHash: receipt.transactionHash });
+  });
+
+  it("Should keep processing heads while a public trade is pending, and journal it once mined", async function () {
+    await bot.onNewHead(101);
+    expect(chain.sent).to.have.length(1);
+
+    // Not mined yet: the next head still runs, and the trade stays pending
+    await bot.onNewHead(102);
+    expect(bot.nonceManager.pending.size).to.equal(1);
+    expect(journaled).to.deep.equal([]);
+
+    // Mined: the next head settles the nonce and the receipt is journaled off the head loop
+    chain.minedNonce = 1;
+    await bot.onNewHead(103);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(chain.processed).to.deep.equal([101, 102, 103]);
+    expect(bot.nonceManager.pending.size).to.equal(0);
+    expect(journaled).to.deep.equal([{ id: "opp-1", txHash: chain.sent[0].hash }]);
+    expect(errors).to.deep.equal([]);
+  });
+
+  it("Should log an alert that fails instead of leaving its rejection unhandled", async function () {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on("unhandledRejection", onUnhandled);
+    bot.alerts.blockSeen = async () => {
+      throw new Error("alert endpoint down");
+    };
+
+    try {
+      await bot.onNewHead(102);
+      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      process.removeListener("unhandledRejection", onUnhandled);
+    }
+
+    expect(unhandled).to.deep.equal([]);
+    expect(chain.processed).to.deep.equal([102]);
+    expect(errors).to.have.length(1);
+    expect(JSON.parse(errors[0])).to.include({ msg: "Error sending alert", rule: "blockSeen" });
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TokenRegistry } = require("../lib/token-registry");
+const { GasConverter } = require("../lib/gas-converter");
+const { ReserveScanner } = require("../lib/reserve-scanner");
+const { ArbitrageStrategy } = require("../lib/strategy");
+const { Backtester } = require("../lib/backtester");
+const { readDataset } = require("../lib/pair-dataset");
+const { Logger } = require("../lib/logger");
+
+const { parseUnits } = ethers.utils;
+
+describe("Backtester", function () {
+  // Blocks 100-103: balanced pools, SushiSwap WETH 5% dearer at 101, a gas spike at 103
+  const DATASET = path.join(__dirname, "fixtures", "pairs.jsonl");
+  const TOKENS = {
+    USDC: { address: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174", decimals: 6 },
+    WMATIC: { address: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270", decimals: 18 },
+    WETH: { address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619", decimals: 18 }
+  };
+  const ROUTE = "USDC -> WETH -> USDC [QuickSwap, SushiSwap]";
+  const logger = new Logger({ level: "error" });
+
+  const backtest = (options = {}) => {
+    const registry = new TokenRegistry(null, TOKENS);
+    const strategy = new ArbitrageStrategy(registry, new GasConverter(registry, TOKENS.WMATIC.address), { maxHops: 3, gasEstimate: 500000, logger });
+    strategy.setStartTokens([TOKENS.USDC.address], [{ maxLoanAmount: parseUnits("100000", 6) }]);
+    return new Backtester(strategy, new ReserveScanner(null, {}), {
+      gasPrice: parseUnits("50", "gwei"),
+      protocolFeeBps: 100,
+      chainId: 137,
+      logger,
+      ...options
+    });
+  };
+
+  it("Should report the trades the strategy would have made, per route", async function () {
+    const report = await backtest().run(readDataset(DATASET));
+
+    expect(report).to.include({ fromBlock: 100, toBlock: 103, blocks: 4, skippedPools: 1 });
+    expect(report.trades).to.have.length(1);
+    const [trade] = report.trades;
+    expect(trade).to.include({ blockNumber: 101, route: ROUTE });
+    expect(trade.netProfit.raw.gt(parseUnits("400", 6))).to.equal(true);
+    // 500k gas at 50 gwei
+    expect(trade.nativeGasCost.format()).to.equal("0.025");
+
+    // Traded away at 101; at 103 the same gap is back but gas costs more than it pays
+    const [route] = report.routes;
+    expect(route).to.include({ route: ROUTE, evaluated: 2, profitable: 1, trades: 1, hitRate: 0.5 });
+    expect(route.netProfit.raw).to.deep.equal(trade.netProfit.raw);
+    expect(report.totals.trades).to.equal(1);
+    expect(report.totals.netProfit.USDC.raw).to.deep.equal(trade.netProfit.raw);
+    expect(report.totals.gasCost.format()).to.equal("0.025");
+  });
+
+  it("Should only build reserves before the first block and stop after the last", async function () {
+    const report = await backtest({ fromBlock: 102, toBlock: 102 }).run(readDataset(DATASET));
+
+    // The gap opened at 101 is still there when trading starts
+    expect(report).to.include({ fromBlock: 102, toBlock: 102, blocks: 1 });
+    expect(report.trades.map(trade => trade.blockNumber)).to.deep.equal([102]);
+  });
+
+  it("Should refuse a dataset from another chain", async function () {
+    try {
+      await backtest({ chainId: 80001 }).run(readDataset(DATASET));
+      expect.fail("run should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal("Dataset is from chain 137, the config is for chain 80001");
+    }
+  });
+
+  describe("readDataset", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-dataset-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const problemIn = async lines => {
+      const file = path.join(dir, "pairs.jsonl");
+      fs.writeFileSync(file, lines.map(line => (typeof line === "string" ? line : JSON.stringify(line))).join("\n"));
+      try {
+        for await (const record of readDataset(file)) void record;
+      } catch (error) {
+        return error.message.replace(file, "pairs.jsonl");
+      }
+      return null;
+    };
+
+    it("Should name the line of an invalid record", async function () {
+      const header = { type: "dataset", version: 1, chainId: 137 };
+      const pool = { type: "pool", id: 0, dex: "QuickSwap", address: "0xa1", token0: "0x01", token1: "0x02" };
+      const block = number => ({ type: "block", number, hash: "0x01", timestamp: 0, syncs: [[0, "1", "1"]] });
+
+      expect(await problemIn([header, pool, block(5), block(6)])).to.equal(null);
+      expect(await problemIn([pool])).to.equal("pairs.jsonl:1: first record must be the dataset header");
+      expect(await problemIn([{ ...header, version: 2 }])).to.equal("pairs.jsonl:1: unsupported dataset version 2");
+      expect(await problemIn([header, block(5)])).to.equal("pairs.jsonl:2: sync for undeclared pool 0");
+      expect(await problemIn([header, pool, block(5), block(5)])).to.equal("pairs.jsonl:4: block 5 is out of order");
+      expect(await problemIn([header, "{ not json"])).to.match(/^pairs\.jsonl:2: /);
+      expect(await problemIn([])).to.equal("pairs.jsonl: empty dataset");
+    });
+  });
+});
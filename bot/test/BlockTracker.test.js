@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { NEW, STALE, REORG, BlockTracker } = require("../lib/block-tracker");
+
+const { hexZeroPad } = ethers.utils;
+
+/**
+ * Chain stand-in whose blocks can be replaced to simulate reorgs
+ */
+class FakeChain {
+  constructor() {
+    this.blocks = new Map(); // number => { number, hash, parentHash }
+    this.reads = 0;
+  }
+
+  hash(number, fork) {
+    return hexZeroPad(`0x${fork}${number.toString(16).padStart(4, "0")}`, 32);
+  }
+
+  // Mine blocks from..to on a fork, each the child of the block below it
+  mine(from, to, fork = "a") {
+    for (let number = from; number <= to; number++) {
+      const parent = this.blocks.get(number - 1);
+      this.blocks.set(number, { number, hash: this.hash(number, fork), parentHash: parent ? parent.hash : this.hash(0, "0") });
+    }
+    for (const number of [...this.blocks.keys()]) {
+      if (number > to) this.blocks.delete(number);
+    }
+  }
+
+  async getBlock(number) {
+    this.reads++;
+    return this.blocks.get(number) || null;
+  }
+}
+
+describe("BlockTracker", function () {
+  let chain;
+  let tracker;
+
+  beforeEach(function () {
+    chain = new FakeChain();
+    chain.mine(1, 10);
+    tracker = new BlockTracker(chain, { depth: 8 });
+  });
+
+  it("Should accept each child of the head and ignore heads already seen", async function () {
+    expect(await tracker.advance(9)).to.deep.include({ status: NEW, skipped: 0 });
+    expect(await tracker.advance(10)).to.deep.include({ status: NEW, skipped: 0 });
+    expect((await tracker.advance(10)).status).to.equal(STALE);
+    expect((await tracker.advance(9)).status).to.equal(STALE);
+    expect((await tracker.advance(11)).status).to.equal(STALE); // Not mined yet
+    expect(tracker.head).to.deep.equal(chain.blocks.get(10));
+  });
+
+  it("Should count skipped blocks when the last head is still canonical", async function () {
+    await tracker.advance(5);
+    const result = await tracker.advance(9);
+
+    expect(result).to.deep.include({ status: NEW, skipped: 3 });
+    expect(result.block.number).to.equal(9);
+  });
+
+  it("Should find the common ancestor of a reorg at the same height", async function () {
+    for (let number = 5; number <= 10; number++) await tracker.advance(number);
+
+    chain.mine(8, 10, "b");
+    const result = await tracker.advance(10);
+
+    expect(result).to.deep.include({ status: REORG, ancestor: 7, depth: 3 });
+    expect(result.block.hash).to.equal(chain.blocks.get(10).hash);
+    // The new branch is followed from here, and orphaned hashes no longer count as seen
+    expect(tracker.hashes.has(9)).to.equal(false);
+    chain.mine(11, 11, "b");
+    expect((await tracker.advance(11)).status).to.equal(NEW);
+  });
+
+  it("Should detect a reorg that happened inside skipped blocks", async function () {
+    for (let number = 4; number <= 6; number++) await tracker.advance(number);
+    chain.mine(6, 12, "b");
+
+    expect(await tracker.advance(12)).to.deep.include({ status: REORG, ancestor: 5, depth: 1 });
+  });
+
+  it("Should treat a head that replaces the last one with a shorter chain as a reorg", async function () {
+    for (let number = 6; number <= 10; number++) await tracker.advance(number);
+    chain.mine(9, 9, "b");
+
+    expect(await tracker.advance(9)).to.deep.include({ status: REORG, ancestor: 8, depth: 2 });
+    expect(tracker.head.number).to.equal(9);
+  });
+
+  it("Should give up on the ancestor past its depth and keep only recent hashes", async function () {
+    for (let number = 1; number <= 10; number++) await tracker.advance(number);
+    expect([...tracker.hashes.keys()]).to.deep.equal([3, 4, 5, 6, 7, 8, 9, 10]);
+
+    chain.mine(2, 10, "b");
+    chain.reads = 0;
+    expect(await tracker.advance(10)).to.deep.include({ status: REORG, ancestor: null, depth: 8 });
+    expect(chain.reads).to.equal(8); // The head, then every tracked block below it
+    expect([...tracker.hashes.keys()]).to.deep.equal([10]);
+  });
+});
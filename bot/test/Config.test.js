@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_CONFIG_FILE, ConfigError, loadConfig, activeNetwork, watchConfig } = require("../lib/config");
+
+describe("Config", function () {
+  const FLASH_LOAN = "0x00000000000000000000000000000000000000f1";
+  const ORACLE = "0x00000000000000000000000000000000000000f2";
+  const ENV = { FLASH_LOAN_ADDRESS: FLASH_LOAN, PRICE_ORACLE_ADDRESS: ORACLE };
+  let dir;
+  let file;
+
+  const base = () => JSON.parse(fs.readFileSync(DEFAULT_CONFIG_FILE, "utf8"));
+  const write = config => fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+  const errorsOf = (env = ENV) => {
+    try {
+      loadConfig(file, env);
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigError);
+      return error.errors;
+    }
+    return [];
+  };
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-config-"));
+    file = path.join(dir, "config.json");
+    write(base());
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should load the shipped config once the contract addresses are set", function () {
+    const config = loadConfig(file, ENV);
+    const network = activeNetwork(config);
+
+    expect(network.contracts.flashLoan).to.equal(FLASH_LOAN);
+    expect(network.tokens.USDC.decimals).to.equal(6);
+    expect(config.strategy.slippageBps).to.equal(50);
+  });
+
+  it("Should point at the env var for missing contract addresses", function () {
+    expect(errorsOf({})).to.deep.equal([
+      "networks.polygon.contracts.flashLoan is required (or set FLASH_LOAN_ADDRESS)",
+      "networks.polygon.contracts.priceOracle is required (or set PRICE_ORACLE_ADDRESS)"
+    ]);
+  });
+
+  it("Should report every schema problem with its path", function () {
+    const config = base();
+    config.strategy.slippageBps = 20000;
+    config.strategy.maxHop = 3;
+    delete config.fees.historyBlocks;
+    config.networks.polygon.tokens.USDC.decimals = "6";
+    config.networks.polygon.dexes.QuickSwap.router = "0x1234";
+    write(config);
+
+    expect(errorsOf()).to.have.members([
+      "networks.polygon.tokens.USDC.decimals must be an integer (got \"6\")",
+      "networks.polygon.dexes.QuickSwap.router must be an address (got \"0x1234\")",
+      "strategy.slippageBps must be between 0 and 10000 (got 20000)",
+      "strategy.maxHop is not a known setting",
+      "fees.historyBlocks is required"
+    ]);
+  });
+
+  it("Should check the selected network and its native token", function () {
+    const config = base();
+    config.networks.polygon.nativeToken = "MATIC";
+    write(config);
+    expect(errorsOf()).to.deep.equal(["networks.polygon.nativeToken \"MATIC\" is not listed in networks.polygon.tokens"]);
+
+    expect(errorsOf({ ...ENV, NETWORK: "base" })).to.deep.equal(["network \"base\" is not one of: polygon, mumbai"]);
+  });
+
+  it("Should only accept known submission backends, and relay ones with a relay URL", function () {
+    expect(errorsOf({ ...ENV, SUBMISSION_BACKEND: "flashbots", BACKRUN_SUBMISSION_BACKEND: "bundle" })).to.deep.equal([
+      "submission.default must be one of public, private, bundle (got \"flashbots\") (set by SUBMISSION_BACKEND)"
+    ]);
+    expect(errorsOf({ ...ENV, BACKRUN_SUBMISSION_BACKEND: "bundle" })).to.deep.equal([
+      "submission.backrun \"bundle\" needs submission.relayUrl (or set RELAY_URL) (set by BACKRUN_SUBMISSION_BACKEND)"
+    ]);
+    expect(loadConfig(file, { ...ENV, BACKRUN_SUBMISSION_BACKEND: "bundle", RELAY_URL: "http://127.0.0.1:8550" }).submission.backrun).to.equal("bundle");
+  });
+
+  it("Should need a chat ID for Telegram alerts and a MATIC amount for the balance alert", function () {
+    expect(errorsOf({ ...ENV, ALERT_TELEGRAM_URL: "https://api.telegram.org/bot1:abc/sendMessage", MIN_BALANCE_MATIC: "lots" })).to.deep.equal([
+      "alerts.telegramUrl needs alerts.telegramChatId (or set ALERT_TELEGRAM_CHAT_ID) (set by ALERT_TELEGRAM_URL)",
+      "alerts.minBalanceMatic must be a MATIC amount (got \"lots\") (set by MIN_BALANCE_MATIC)"
+    ]);
+    expect(loadConfig(file, { ...ENV, MIN_BALANCE_MATIC: "2.5" }).alerts.minBalanceMatic).to.equal("2.5");
+  });
+
+  it("Should load without contract addresses for offline tools and check backtest loan limits", function () {
+    expect(loadConfig(file, {}, { requireContracts: false }).backtest.dataset).to.equal("data/pairs.jsonl");
+
+    const config = base();
+    config.backtest.maxLoan = { USDC: "1e6", WBTC: "1" };
+    write(config);
+    expect(errorsOf()).to.deep.equal([
+      "backtest.maxLoan.USDC must be a USDC amount (got \"1e6\")",
+      "backtest.maxLoan.WBTC is not listed in networks.polygon.tokens"
+    ]);
+  });
+
+  it("Should read fallback RPC lists and keep the quorum within the endpoints", function () {
+    const env = { ...ENV, FALLBACK_RPC_URLS: "https://a.example, https://b.example,", RPC_QUORUM: "3" };
+    expect(activeNetwork(loadConfig(file, env)).fallbackRpcUrls).to.deep.equal(["https://a.example", "https://b.example"]);
+
+    expect(errorsOf({ ...env, RPC_QUORUM: "4" })).to.deep.equal([
+      "rpc.quorum 4 is more than the 3 RPC endpoints of polygon (set by RPC_QUORUM)"
+    ]);
+
+    const config = base();
+    config.networks.polygon.fallbackRpcUrls = "https://a.example";
+    write(config);
+    expect(errorsOf()).to.deep.equal(["networks.polygon.fallbackRpcUrls must be a list"]);
+  });
+
+  it("Should report files that are missing or not JSON", function () {
+    write("{ not json");
+    expect(errorsOf()[0]).to.match(/^cannot parse: /);
+
+    fs.rmSync(file);
+    expect(errorsOf()).to.deep.equal(["file not found"]);
+  });
+
+  it("Should apply named and generic env overrides with type coercion", function () {
+    const config = loadConfig(file, {
+      ...ENV,
+      NETWORK: "mumbai",
+      POLYGON_RPC_URL: "http://localhost:8545",
+      MAX_ROUTE_HOPS: "4",
+      DRY_RUN: "true",
+      BOT__strategy__pairScanLimit: "1000"
+    });
+
+    expect(config.network).to.equal("mumbai");
+    expect(config.networks.mumbai.rpcUrl).to.equal("http://localhost:8545");
+    expect(config.networks.mumbai.contracts.flashLoan).to.equal(FLASH_LOAN);
+    expect(config.networks.polygon.contracts.flashLoan).to.equal("");
+    expect(config.strategy.maxHops).to.equal(4);
+    expect(config.strategy.pairScanLimit).to.equal(1000);
+    expect(config.dryRun.enabled).to.equal(true);
+  });
+
+  it("Should ignore empty env vars and reject ones that do not parse", function () {
+    expect(loadConfig(file, { ...ENV, DRY_RUN_ADDRESS: "" }).dryRun.fromAddress).to.equal("");
+
+    expect(errorsOf({ ...ENV, DRY_RUN: "yes", MAX_ROUTE_HOPS: "9", BOT__strategy__nope: "1" })).to.have.members([
+      "DRY_RUN=yes must be true or false (dryRun.enabled)",
+      "BOT__strategy__nope does not name a config setting",
+      "strategy.maxHops must be between 2 and 6 (got 9) (set by MAX_ROUTE_HOPS)"
+    ]);
+  });
+
+  it("Should reload valid edits and keep the previous config on invalid ones", async function () {
+    const reloads = [];
+    const failures = [];
+    const stop = watchConfig(file, ENV, config => reloads.push(config), error => failures.push(error), 20);
+    const waitFor = async condition => {
+      for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+    };
+
+    try {
+      // Let the first stat land before editing, mtime resolution can be coarse
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const config = base();
+      config.strategy.slippageBps = 75;
+      write(config);
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+      await waitFor(() => reloads.length > 0);
+      expect(reloads[0].strategy.slippageBps).to.equal(75);
+
+      config.strategy.slippageBps = -1;
+      write(config);
+      fs.utimesSync(file, new Date(), new Date(Date.now() + 2000));
+      await waitFor(() => failures.length > 0);
+      expect(failures[0].errors).to.deep.equal(["strategy.slippageBps must be between 0 and 10000 (got -1)"]);
+      expect(reloads).to.have.length(1);
+    } finally {
+      stop();
+    }
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { FeeStrategy } = require("../lib/fee-strategy");
+
+const { parseUnits, hexValue } = ethers.utils;
+
+describe("FeeStrategy", function () {
+  const gwei = value => parseUnits(String(value), "gwei");
+
+  // Fake provider answering eth_feeHistory from fixed data
+  function feeHistoryProvider(baseFees, rewards) {
+    const calls = [];
+    return {
+      calls,
+      send: async (method, params) => {
+        calls.push({ method, params });
+        return {
+          oldestBlock: "0x1",
+          baseFeePerGas: baseFees.map(fee => hexValue(gwei(fee))),
+          gasUsedRatio: rewards.map(() => 0.5),
+          reward: rewards.map(reward => [hexValue(gwei(reward))])
+        };
+      }
+    };
+  }
+
+  it("Should request the configured percentile up to the given block", async function () {
+    const provider = feeHistoryProvider([100, 110], [40]);
+    const strategy = new FeeStrategy(provider, { blockCount: 5, rewardPercentile: 60 });
+    await strategy.update(1234);
+
+    expect(provider.calls[0]).to.deep.equal({ method: "eth_feeHistory", params: ["0x5", hexValue(1234), [60]] });
+  });
+
+  it("Should use the next block's base fee and the median tip", async function () {
+    const strategy = new FeeStrategy(feeHistoryProvider([100, 120, 150], [40, 90, 50]));
+    await strategy.update(10);
+
+    expect(strategy.baseFee).to.deep.equal(gwei(150));
+    expect(strategy.priorityFee).to.deep.equal(gwei(50));
+    expect(strategy.getGasPrice()).to.deep.equal(gwei(200));
+  });
+
+  it("Should never bid below the network minimum tip", async function () {
+    const strategy = new FeeStrategy(feeHistoryProvider([100, 100], [1, 2, 3]));
+    await strategy.update(10);
+    expect(strategy.priorityFee).to.deep.equal(gwei(30));
+  });
+
+  it("Should build type-2 fee fields with base fee headroom", async function () {
+    const strategy = new FeeStrategy(feeHistoryProvider([100, 100], [50]));
+    await strategy.update(10);
+
+    const fees = strategy.getFees(300000, parseUnits("10", 18));
+    expect(fees).to.deep.equal({ type: 2, maxPriorityFeePerGas: gwei(50), maxFeePerGas: gwei(250) });
+  });
+
+  it("Should cap the tip at the configured share of profit", async function () {
+    const strategy = new FeeStrategy(feeHistoryProvider([100, 100], [500]), { maxProfitShareBps: 5000 });
+    await strategy.update(10);
+
+    // Half of 0.024 MATIC over 300k gas = 40 gwei
+    const fees = strategy.getFees(300000, parseUnits("0.024", 18));
+    expect(fees.maxPriorityFeePerGas).to.deep.equal(gwei(40));
+  });
+
+  it("Should decline to bid when the cap is below the minimum tip", async function () {
+    const strategy = new FeeStrategy(feeHistoryProvider([100, 100], [50]));
+    await strategy.update(10);
+    expect(strategy.getFees(300000, parseUnits("0.001", 18))).to.equal(null);
+  });
+
+  describe("matchFees", function () {
+    it("Should copy a type-2 target's fees while its tip fits the profit cap", async function () {
+      const strategy = new FeeStrategy(feeHistoryProvider([100], [40]));
+      const target = { type: 2, maxFeePerGas: gwei(300), maxPriorityFeePerGas: gwei(45) };
+
+      // Cap: 50% of 0.03 MATIC over 300k gas = 50 gwei
+      expect(strategy.matchFees(target, 300000, parseUnits("0.03", 18))).to.deep.equal(target);
+      expect(strategy.matchFees(target, 300000, parseUnits("0.02", 18))).to.equal(null);
+    });
+
+    it("Should copy a legacy target's gas price and cap the tip above base fee", async function () {
+      const strategy = new FeeStrategy(feeHistoryProvider([100], [40]));
+      await strategy.update(10);
+
+      const target = { gasPrice: gwei(150) };
+      expect(strategy.matchFees(target, 300000, parseUnits("0.03", 18))).to.deep.equal(target);
+      expect(strategy.matchFees({ gasPrice: gwei(200) }, 300000, parseUnits("0.03", 18))).to.equal(null);
+    });
+  });
+});
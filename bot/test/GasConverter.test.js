@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { GasConverter } = require("../lib/gas-converter");
+const { TokenRegistry } = require("../lib/token-registry");
+const { ReserveScanner } = require("../lib/reserve-scanner");
+const { addPool } = require("./helpers/poolHelpers");
+
+const { parseUnits } = ethers.utils;
+
+describe("GasConverter", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+
+  let registry;
+  let scanner;
+  let converter;
+  let gas;
+
+  beforeEach(function () {
+    registry = new TokenRegistry(null, {
+      USDC: { address: USDC, decimals: 6 },
+      WMATIC: { address: WMATIC, decimals: 18 },
+      WETH: { address: WETH, decimals: 18 },
+      DAI: { address: DAI, decimals: 18 }
+    });
+    scanner = new ReserveScanner(null, {});
+    converter = new GasConverter(registry, WMATIC);
+    gas = registry.amount(WMATIC, parseUnits("0.2", 18));
+  });
+
+  const usd = value => parseUnits(value, 8);
+
+  it("Should convert with oracle prices, scaling by each token's decimals", function () {
+    converter.update(new Map([[WMATIC.toLowerCase(), usd("0.5")], [USDC.toLowerCase(), usd("1")], [WETH.toLowerCase(), usd("2000")]]), scanner);
+
+    expect(converter.toToken(gas, USDC).toString()).to.equal("0.1 USDC");
+    expect(converter.toToken(gas, WETH).toString()).to.equal("0.00005 WETH");
+    expect(converter.rate(USDC).source).to.equal("oracle");
+  });
+
+  it("Should fall back to the deepest native pool without an oracle price", function () {
+    addPool(scanner, "SushiSwap", WMATIC, USDC, parseUnits("10", 18), parseUnits("100", 6));
+    addPool(scanner, "QuickSwap", WMATIC, USDC, parseUnits("1000", 18), parseUnits("500", 6));
+    converter.update(new Map([[WMATIC.toLowerCase(), usd("0.5")]]), scanner);
+
+    expect(converter.rate(USDC).source).to.equal("pool");
+    expect(converter.toToken(gas, USDC).toString()).to.equal("0.1 USDC");
+  });
+
+  it("Should convert back to the native token", function () {
+    converter.update(new Map([[WMATIC.toLowerCase(), usd("0.5")], [USDC.toLowerCase(), usd("1")]]), scanner);
+
+    const profit = registry.amount(USDC, parseUnits("5", 6));
+    expect(converter.toNative(profit).toString()).to.equal("10.0 WMATIC");
+    expect(converter.toToken(gas, WMATIC).raw).to.deep.equal(gas.raw);
+  });
+
+  it("Should return null for tokens it cannot price", function () {
+    converter.update(new Map(), scanner);
+    expect(converter.toToken(gas, DAI)).to.equal(null);
+    expect(converter.toNative(registry.amount(DAI, 1))).to.equal(null);
+    expect(converter.toToken(gas, "0x00000000000000000000000000000000000000e1")).to.equal(null);
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { Logger, RotatingFile, correlationId } = require("../lib/logger");
+
+describe("Logger", function () {
+  const KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+  let out;
+  let err;
+
+  const capture = () => {
+    const lines = [];
+    return { lines, write: chunk => lines.push(chunk.replace(/\n$/, "")) };
+  };
+  const logger = (options = {}) => new Logger({ ...options, streams: { out, err } });
+  const parsed = stream => stream.lines.map(line => JSON.parse(line));
+
+  beforeEach(function () {
+    out = capture();
+    err = capture();
+  });
+
+  it("Should write one JSON object per line, warnings and errors to stderr", function () {
+    const log = logger();
+    log.info("Found profitable opportunity", { blockNumber: 100, netProfit: ethers.BigNumber.from("1500000") });
+    log.error("Error in monitoring loop", { error: Object.assign(new Error("missing response"), { code: "SERVER_ERROR" }) });
+
+    const [info] = parsed(out);
+    expect(info).to.include({ level: "info", msg: "Found profitable opportunity", blockNumber: 100, netProfit: "1500000" });
+    expect(new Date(info.time).toISOString()).to.equal(info.time);
+
+    const [error] = parsed(err);
+    expect(error.error).to.include({ name: "Error", message: "missing response", code: "SERVER_ERROR" });
+    expect(error.error.stack).to.match(/^Error: missing response/);
+  });
+
+  it("Should drop lines below the level, which children share", function () {
+    const log = logger({ level: "warn" });
+    const child = log.child({ opportunityId: "abc" });
+
+    child.info("hidden");
+    log.level = "debug";
+    child.debug("Processing block", { blockNumber: 7 });
+
+    expect(parsed(out)).to.have.length(1);
+    expect(parsed(out)[0]).to.include({ level: "debug", opportunityId: "abc", blockNumber: 7 });
+  });
+
+  it("Should carry a correlation ID through every line of a child", function () {
+    const id = correlationId();
+    const log = logger().child({ opportunityId: id, route: "USDC -> WETH -> USDC" });
+
+    log.info("Executing arbitrage");
+    log.child({ txHash: "0x01" }).info("Transaction sent");
+
+    expect(id).to.match(/^[0-9a-f]{12}$/);
+    expect(parsed(out).map(line => line.opportunityId)).to.deep.equal([id, id]);
+    expect(parsed(out)[1]).to.include({ route: "USDC -> WETH -> USDC", txHash: "0x01" });
+  });
+
+  it("Should never write secrets, by field name or by value", function () {
+    const log = logger();
+    log.addSecret(KEY);
+
+    log.info("Starting", { privateKey: KEY, config: { relay: { authSigner: "wallet" } }, note: `key ${KEY.slice(2).toUpperCase()}` });
+    log.error(`invalid private key ${KEY}`, { error: new Error(`bad key ${KEY.slice(2)}`) });
+
+    const written = out.lines.concat(err.lines).join("\n");
+    expect(written).to.not.include(KEY.slice(2).toLowerCase());
+    expect(written).to.not.include(KEY.slice(2).toUpperCase());
+    expect(parsed(out)[0]).to.deep.include({ privateKey: "[REDACTED]", config: { relay: { authSigner: "[REDACTED]" } }, note: "key [REDACTED]" });
+    expect(parsed(err)[0].msg).to.equal("invalid private key [REDACTED]");
+  });
+
+  it("Should print readable text when asked", function () {
+    logger({ format: "text" }).info("Transaction sent", { backend: "bundle", nonce: 5, routers: ["0xa", "0xb"] });
+
+    expect(out.lines[0]).to.match(/^\S+Z INFO  Transaction sent backend=bundle nonce=5 routers=\["0xa","0xb"\]$/);
+  });
+
+  describe("RotatingFile", function () {
+    let dir;
+    let file;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-logs-"));
+      file = path.join(dir, "logs", "bot.log");
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should roll over at the size limit and keep only maxFiles old files", function () {
+      const rotating = new RotatingFile(file, { maxBytes: 20, maxFiles: 2 });
+      for (const line of ["first line", "second line", "third line", "fourth line"]) rotating.write(line);
+
+      expect(fs.readFileSync(file, "utf8")).to.equal("fourth line\n");
+      expect(fs.readFileSync(`${file}.1`, "utf8")).to.equal("third line\n");
+      expect(fs.readFileSync(`${file}.2`, "utf8")).to.equal("second line\n");
+      expect(fs.existsSync(`${file}.3`)).to.equal(false);
+    });
+
+    it("Should count an existing file towards the limit and log JSON to it", function () {
+      fs.mkdirSync(path.dirname(file));
+      fs.writeFileSync(file, "x".repeat(15) + "\n");
+
+      const log = logger({ format: "text", file, maxFileBytes: 20 });
+      log.info("Rotated");
+
+      expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.include({ msg: "Rotated" });
+      expect(fs.readFileSync(`${file}.1`, "utf8")).to.equal("x".repeat(15) + "\n");
+    });
+  });
+});
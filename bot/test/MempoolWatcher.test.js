@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { MempoolWatcher } = require("../lib/mempool-watcher");
+const { decodeSwap, withinLimit } = require("../lib/swap-decoder");
+const { ReserveScanner } = require("../lib/reserve-scanner");
+const { buildTokenGraph, findProfitableCycles } = require("../lib/route-finder");
+const { addPool } = require("./helpers/poolHelpers");
+const pendingSwaps = require("./fixtures/pending-swaps.json");
+
+const { parseUnits } = ethers.utils;
+
+const DEXES = {
+  QuickSwap: { factory: "0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32", router: "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff" },
+  SushiSwap: { factory: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4", router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506" }
+};
+
+/**
+ * Provider replaying pending transactions in the shape getTransaction returns them
+ */
+class ReplayProvider extends EventEmitter {
+  constructor(txs) {
+    super();
+    this.txs = new Map(txs.map(tx => [tx.hash, tx]));
+  }
+
+  async getTransaction(hash) {
+    const tx = this.txs.get(hash);
+    if (!tx) return null;
+    const toBigNumber = value => (value === undefined ? undefined : ethers.BigNumber.from(value));
+    return {
+      ...tx,
+      value: toBigNumber(tx.value),
+      gasPrice: toBigNumber(tx.gasPrice),
+      maxFeePerGas: toBigNumber(tx.maxFeePerGas),
+      maxPriorityFeePerGas: toBigNumber(tx.maxPriorityFeePerGas),
+      blockNumber: tx.blockNumber || null
+    };
+  }
+
+  replay(hashes) {
+    for (const hash of hashes) this.emit("pending", hash);
+  }
+}
+
+describe("MempoolWatcher", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+
+  let provider;
+  let watcher;
+
+  beforeEach(function () {
+    provider = new ReplayProvider(pendingSwaps);
+    watcher = new MempoolWatcher(provider, DEXES);
+  });
+
+  afterEach(function () {
+    watcher.stop();
+  });
+
+  const replayAll = async () => {
+    const swaps = [];
+    watcher.start(swap => swaps.push(swap));
+    provider.replay(pendingSwaps.map(tx => tx.hash));
+    await new Promise(resolve => setImmediate(resolve));
+    return swaps;
+  };
+
+  it("Should decode only pending swaps sent to known routers", async function () {
+    const swaps = await replayAll();
+
+    // Liquidity calls, unknown routers and already mined transactions are skipped
+    expect(swaps.map(swap => swap.hash)).to.deep.equal([pendingSwaps[0].hash, pendingSwaps[1].hash]);
+  });
+
+  it("Should decode exact-input token swaps with their type-2 fees", async function () {
+    const [swap] = await replayAll();
+
+    expect(swap).to.include({ dexName: "QuickSwap", method: "swapExactTokensForTokens", exactIn: true, amountOut: null });
+    expect(swap.path).to.deep.equal([USDC, WETH]);
+    expect(swap.amountIn).to.deep.equal(parseUnits("200000", 6));
+    expect(swap.limit).to.deep.equal(parseUnits("90", 18));
+    expect(swap.fees.maxPriorityFeePerGas).to.deep.equal(parseUnits("45", "gwei"));
+  });
+
+  it("Should take the input limit of payable exact-output swaps from the value", async function () {
+    const [, swap] = await replayAll();
+
+    expect(swap).to.include({ dexName: "SushiSwap", method: "swapETHForExactTokens", exactIn: false, amountIn: null });
+    expect(swap.path).to.deep.equal([WMATIC, USDC]);
+    expect(swap.amountOut).to.deep.equal(parseUnits("100", 6));
+    expect(swap.limit).to.deep.equal(parseUnits("250", 18));
+    expect(swap.fees).to.deep.equal({ gasPrice: parseUnits("150", "gwei") });
+  });
+
+  it("Should handle each hash once and stop on request", async function () {
+    const swaps = await replayAll();
+    provider.replay([pendingSwaps[0].hash]);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(swaps).to.have.length(2);
+
+    watcher.stop();
+    expect(provider.listenerCount("pending")).to.equal(0);
+  });
+
+  it("Should find the backrun a replayed swap opens up", async function () {
+    const scanner = new ReserveScanner(null, DEXES);
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    expect(findProfitableCycles(buildTokenGraph(scanner), [USDC], 2)).to.have.length(0);
+
+    const swap = decodeSwap(await provider.getTransaction(pendingSwaps[0].hash), watcher.routers);
+    const fork = scanner.fork();
+    const result = fork.applySwap(swap.dexName, swap.path, swap.amountIn, swap.exactIn);
+    expect(withinLimit(swap, result.amounts)).to.equal(true);
+
+    // The live reserves are untouched; on the fork WETH is now cheaper on SushiSwap
+    expect(scanner.getPools(USDC, WETH)[0].reserveIn).to.deep.equal(parseUnits("2000000", 6));
+    const [cycle] = findProfitableCycles(buildTokenGraph(fork), [USDC], 2);
+    expect(cycle.dexNames).to.deep.equal(["SushiSwap", "QuickSwap"]);
+  });
+
+  it("Should report swaps that would fail their own slippage check", async function () {
+    const scanner = new ReserveScanner(null, DEXES);
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("900", 18));
+
+    const swap = decodeSwap(await provider.getTransaction(pendingSwaps[0].hash), watcher.routers);
+    const result = scanner.fork().applySwap(swap.dexName, swap.path, swap.amountIn, swap.exactIn);
+    expect(withinLimit(swap, result.amounts)).to.equal(false);
+  });
+});
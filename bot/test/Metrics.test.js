@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const http = require("http");
+const { MetricsRegistry, createBotMetrics, createStatusServer } = require("../lib/metrics");
+
+/**
+ * GET a path from a local server
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: "127.0.0.1", port, path }, res => {
+      let body = "";
+      res.on("data", chunk => {
+        body += chunk;
+      });
+      res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+    }).on("error", reject);
+  });
+}
+
+describe("Metrics", function () {
+  it("Should render counters and gauges in the Prometheus text format", function () {
+    const registry = new MetricsRegistry();
+    const results = registry.counter("arb_trade_results_total", "Trade outcomes", ["result", "reason"]);
+    const balance = registry.gauge("arb_wallet_balance_matic", "Wallet balance");
+
+    results.inc({ result: "failed", reason: "Insufficient \"output\"" });
+    results.inc({ reason: "Insufficient \"output\"", result: "failed" }, 2);
+    results.inc({ result: "completed", reason: "" });
+    balance.set({}, 12.5);
+
+    expect(registry.render()).to.equal([
+      "# HELP arb_trade_results_total Trade outcomes",
+      "# TYPE arb_trade_results_total counter",
+      "arb_trade_results_total{result=\"failed\",reason=\"Insufficient \\\"output\\\"\"} 3",
+      "arb_trade_results_total{result=\"completed\",reason=\"\"} 1",
+      "# HELP arb_wallet_balance_matic Wallet balance",
+      "# TYPE arb_wallet_balance_matic gauge",
+      "arb_wallet_balance_matic 12.5",
+      ""
+    ].join("\n"));
+  });
+
+  it("Should count histogram observations into cumulative buckets", function () {
+    const registry = new MetricsRegistry();
+    const scan = registry.histogram("arb_scan_duration_seconds", "Scan time", [], [0.1, 1]);
+
+    scan.observe({}, 0.05);
+    scan.observe({}, 0.5);
+    scan.observe({}, 3);
+
+    expect(registry.render().split("\n").slice(2, 7)).to.deep.equal([
+      "arb_scan_duration_seconds_bucket{le=\"0.1\"} 1",
+      "arb_scan_duration_seconds_bucket{le=\"1\"} 2",
+      "arb_scan_duration_seconds_bucket{le=\"+Inf\"} 3",
+      "arb_scan_duration_seconds_sum 3.55",
+      "arb_scan_duration_seconds_count 3"
+    ]);
+  });
+
+  it("Should reject wrong labels, decreasing counters and duplicate names", function () {
+    const { registry, tradeResults, gasSpent } = createBotMetrics();
+
+    expect(() => tradeResults.inc({ result: "failed" })).to.throw("arb_trade_results_total takes labels result, reason, got result");
+    expect(() => gasSpent.inc({}, -1)).to.throw("arb_gas_spent_matic_total can only increase");
+    expect(() => registry.gauge("arb_last_block", "again")).to.throw("Metric arb_last_block is already registered");
+  });
+
+  it("Should serve /metrics and answer /healthz with 503 when unhealthy", async function () {
+    const { registry, blocksProcessed } = createBotMetrics();
+    blocksProcessed.inc();
+    let status = { healthy: true, lastBlock: 100 };
+
+    const server = createStatusServer(registry, () => status);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    try {
+      const metrics = await get(port, "/metrics");
+      expect(metrics.status).to.equal(200);
+      expect(metrics.type).to.equal("text/plain; version=0.0.4");
+      expect(metrics.body).to.include("arb_blocks_processed_total 1\n");
+
+      expect(await get(port, "/healthz")).to.deep.include({ status: 200, body: "{\"healthy\":true,\"lastBlock\":100}" });
+      status = { healthy: false, secondsSinceBlock: 300 };
+      expect((await get(port, "/healthz")).status).to.equal(503);
+
+      expect((await get(port, "/other")).status).to.equal(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
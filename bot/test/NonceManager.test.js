@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { NonceManager } = require("../lib/nonce-manager");
+
+const { parseUnits } = ethers.utils;
+
+describe("NonceManager", function () {
+  const ADDRESS = "0x00000000000000000000000000000000000000a1";
+  const gwei = value => parseUnits(String(value), "gwei");
+
+  let chain;
+  let signer;
+
+  // Minimal signer/provider pair: records sends, mines on demand
+  beforeEach(function () {
+    chain = { block: 100, minedNonce: 0, sent: [], receipts: new Map() };
+    const provider = {
+      getBlockNumber: async () => chain.block,
+      getTransactionReceipt: async hash => chain.receipts.get(hash) || null
+    };
+    signer = {
+      provider,
+      getAddress: async () => ADDRESS,
+      getTransactionCount: async tag => (tag === "pending" ? chain.minedNonce + 5 : chain.minedNonce),
+      sendTransaction: async tx => {
+        // Yield so concurrent sends interleave if they are not serialized
+        await new Promise(resolve => setImmediate(resolve));
+        const hash = ethers.utils.id(`${tx.nonce}:${chain.sent.length}`);
+        chain.sent.push({ ...tx, hash });
+        return { hash };
+      }
+    };
+  });
+
+  const tx = { to: "0x00000000000000000000000000000000000000b2", data: "0x1234", gasLimit: 300000, type: 2, maxPriorityFeePerGas: gwei(40), maxFeePerGas: gwei(240) };
+
+  it("Should hand out sequential nonces to concurrent sends", async function () {
+    const manager = new NonceManager(signer);
+    const results = await Promise.all([manager.sendTransaction(tx), manager.sendTransaction(tx), manager.sendTransaction(tx)]);
+
+    expect(results.map(result => result.nonce)).to.deep.equal([5, 6, 7]);
+    expect(chain.sent.map(sent => sent.nonce)).to.deep.equal([5, 6, 7]);
+    expect(manager.pending.size).to.equal(3);
+  });
+
+  it("Should resync the nonce after a failed send", async function () {
+    const manager = new NonceManager(signer);
+    const send = signer.sendTransaction;
+    signer.sendTransaction = async () => { throw new Error("nonce too low"); };
+
+    try {
+      await manager.sendTransaction(tx);
+      expect.fail("send should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal("nonce too low");
+    }
+    expect(manager.nextNonce).to.equal(null);
+
+    signer.sendTransaction = send;
+    chain.minedNonce = 10;
+    const { nonce } = await manager.sendTransaction(tx);
+    expect(nonce).to.equal(15);
+  });
+
+  it("Should hand a reserved nonce back when its channel leaves it unused and nothing followed", async function () {
+    const manager = new NonceManager(signer);
+    let land;
+    const { nonce, confirmation } = await manager.reserveNonce(tx, async () => ({
+      hash: "0xb0",
+      confirmation: new Promise(resolve => { land = resolve; })
+    }));
+    expect(nonce).to.equal(5);
+    expect(manager.nextNonce).to.equal(6);
+
+    land({ receipt: null, included: false });
+    expect(await confirmation).to.include({ included: false });
+    expect(manager.nextNonce).to.equal(5);
+    expect(chain.sent).to.deep.equal([]);
+  });
+
+  it("Should let later sends through a reserved nonce and fill it if it goes unused", async function () {
+    const manager = new NonceManager(signer);
+    let land;
+    const reservation = await manager.reserveNonce(tx, async () => ({
+      hash: "0xb0",
+      confirmation: new Promise(resolve => { land = resolve; })
+    }));
+    const { nonce } = await manager.sendTransaction(tx);
+    expect(nonce).to.equal(6);
+
+    land({ receipt: null, included: false });
+    await reservation.confirmation;
+
+    const [, filler] = chain.sent;
+    expect(filler).to.include({ nonce: 5, to: ADDRESS, value: 0, data: "0x", gasLimit: 21000 });
+    expect(filler.maxFeePerGas).to.deep.equal(gwei(270));
+    expect(manager.pending.get(5).cancelHashes.has(filler.hash)).to.equal(true);
+    expect(manager.nextNonce).to.equal(7);
+  });
+
+  it("Should settle a mined nonce with its receipt", async function () {
+    const manager = new NonceManager(signer);
+    const { response, confirmation } = await manager.sendTransaction(tx);
+
+    chain.minedNonce = 6;
+    chain.receipts.set(response.hash, { transactionHash: response.hash, status: 1 });
+    await manager.onBlock(101);
+
+    const result = await confirmation;
+    expect(result.receipt.transactionHash).to.equal(response.hash);
+    expect(result.replaced).to.equal(false);
+    expect(result.cancelled).to.equal(false);
+    expect(manager.pending.size).to.equal(0);
+  });
+
+  it("Should speed up a stuck transaction with bumped fees on the same nonce", async function () {
+    const manager = new NonceManager(signer, { stuckBlocks: 3, feeBumpBps: 1250 });
+    const { confirmation } = await manager.sendTransaction(tx);
+
+    await manager.onBlock(102);
+    expect(chain.sent).to.have.length(1);
+
+    await manager.onBlock(103);
+    const speedUp = chain.sent[1];
+    expect(speedUp.nonce).to.equal(5);
+    expect(speedUp.data).to.equal("0x1234");
+    expect(speedUp.maxPriorityFeePerGas).to.deep.equal(gwei(45));
+    expect(speedUp.maxFeePerGas).to.deep.equal(gwei(270));
+
+    chain.minedNonce = 6;
+    chain.receipts.set(speedUp.hash, { transactionHash: speedUp.hash });
+    await manager.onBlock(104);
+    expect((await confirmation).replaced).to.equal(true);
+  });
+
+  it("Should bump to current market fees when they are higher", async function () {
+    const manager = new NonceManager(signer, {
+      stuckBlocks: 1,
+      getFees: () => ({ maxPriorityFeePerGas: gwei(100), maxFeePerGas: gwei(500) })
+    });
+    await manager.sendTransaction(tx);
+    await manager.onBlock(101);
+
+    expect(chain.sent[1].maxPriorityFeePerGas).to.deep.equal(gwei(100));
+    expect(chain.sent[1].maxFeePerGas).to.deep.equal(gwei(500));
+  });
+
+  it("Should cancel with a zero-value self-transfer after the last speed-up", async function () {
+    const manager = new NonceManager(signer, { stuckBlocks: 1, maxReplacements: 1 });
+    const { confirmation } = await manager.sendTransaction(tx);
+
+    await manager.onBlock(101);
+    await manager.onBlock(102);
+
+    const cancel = chain.sent[2];
+    expect(cancel).to.include({ to: ADDRESS, value: 0, data: "0x", gasLimit: 21000, nonce: 5 });
+
+    chain.minedNonce = 6;
+    chain.receipts.set(cancel.hash, { transactionHash: cancel.hash });
+    await manager.onBlock(103);
+    expect((await confirmation).cancelled).to.equal(true);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("ethers");
+const { Logger } = require("../lib/logger");
+const { Notifier, AlertRules, channelsFromConfig } = require("../lib/notifier");
+
+const { parseEther } = ethers.utils;
+
+describe("Notifier", function () {
+  const logger = new Logger({ level: "error", streams: { out: { write() {} }, err: { write() {} } } });
+  let server;
+  let base;
+  let received;
+  let clock;
+
+  // Stub standing in for the webhook, Slack and Telegram endpoints; /down always fails
+  beforeEach(async function () {
+    received = [];
+    clock = 1_000_000;
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.writeHead(req.url === "/down" ? 500 : 200);
+        res.end("ok");
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const notifier = (options = {}) => new Notifier(channelsFromConfig({
+    webhookUrl: `${base}/hook`,
+    slackUrl: `${base}/slack`,
+    telegramUrl: `${base}/bot123:abc/sendMessage`,
+    telegramChatId: "-100200"
+  }), { logger, now: () => clock, ...options });
+
+  const alert = { key: "low-balance", severity: "warning", title: "Wallet gas balance is low", message: "Balance 1.0 MATIC", details: { balance: "1" } };
+
+  it("Should post each channel's payload format", async function () {
+    expect(await notifier().notify(alert)).to.deep.equal({ sent: true });
+
+    const byPath = Object.fromEntries(received.map(({ path, body }) => [path, body]));
+    expect(byPath["/hook"]).to.deep.equal({
+      alert: "low-balance",
+      severity: "warning",
+      title: "Wallet gas balance is low",
+      message: "Balance 1.0 MATIC",
+      details: { balance: "1" },
+      time: new Date(clock).toISOString()
+    });
+    expect(byPath["/slack"]).to.deep.equal({ text: "⚠️ [WARNING] Wallet gas balance is low\nBalance 1.0 MATIC" });
+    expect(byPath["/bot123:abc/sendMessage"]).to.deep.include({ chat_id: "-100200", text: byPath["/slack"].text });
+  });
+
+  it("Should drop repeats within the cooldown and resend after it or a reset", async function () {
+    const alerts = notifier({ cooldownMs: 60000 });
+
+    await alerts.notify(alert);
+    expect(await alerts.notify(alert)).to.deep.equal({ sent: false, reason: "duplicate" });
+
+    clock += 60000;
+    expect((await alerts.notify(alert)).sent).to.equal(true);
+
+    alerts.reset("low-balance");
+    expect((await alerts.notify(alert)).sent).to.equal(true);
+    expect(received).to.have.length(9);
+  });
+
+  it("Should rate limit per hour and report what was suppressed", async function () {
+    const alerts = new Notifier([{ type: "webhook", url: `${base}/hook` }], { logger, now: () => clock, maxPerHour: 2 });
+
+    await alerts.notify({ ...alert, key: "a" });
+    await alerts.notify({ ...alert, key: "b" });
+    expect(await alerts.notify({ ...alert, key: "c" })).to.deep.equal({ sent: false, reason: "rate-limited" });
+    expect(received).to.have.length(2);
+
+    clock += 60 * 60 * 1000;
+    await alerts.notify({ ...alert, key: "d" });
+    expect(received[2].body.message).to.equal("Balance 1.0 MATIC\n(1 earlier alerts were rate limited)");
+  });
+
+  it("Should survive endpoints that fail", async function () {
+    const alerts = new Notifier([
+      { type: "webhook", url: `${base}/down` },
+      { type: "slack", url: "http://127.0.0.1:1/unreachable" },
+      { type: "webhook", url: `${base}/hook` }
+    ], { logger, now: () => clock });
+
+    expect(await alerts.notify(alert)).to.deep.equal({ sent: true });
+    expect(received.map(request => request.path)).to.have.members(["/down", "/hook"]);
+  });
+
+  describe("AlertRules", function () {
+    const thresholds = { consecutiveFailures: 3, minBalance: parseEther("5"), volumeUsageBps: 9000, staleBlockSeconds: 60 };
+    let rules;
+
+    beforeEach(function () {
+      rules = new AlertRules(new Notifier([{ type: "webhook", url: `${base}/hook` }], { logger, now: () => clock }), thresholds);
+    });
+
+    const keys = () => received.map(request => request.body.alert);
+
+    it("Should alert on every circuit-breaker flip but not on the first healthy read", async function () {
+      await rules.circuitBreaker(false);
+      await rules.circuitBreaker(true);
+      await rules.circuitBreaker(true);
+      await rules.circuitBreaker(false);
+      await rules.circuitBreaker(true);
+
+      expect(keys()).to.deep.equal(["circuit-breaker", "circuit-breaker-cleared", "circuit-breaker"]);
+      expect(received[0].body.severity).to.equal("critical");
+    });
+
+    it("Should alert once a failure streak reaches the threshold", async function () {
+      await rules.tradeResult(false, "SlippageTooHigh");
+      await rules.tradeResult(false, "SlippageTooHigh");
+      await rules.tradeResult(true);
+      await rules.tradeResult(false, "ArbitrageNotProfitable");
+      await rules.tradeResult(false, "ArbitrageNotProfitable");
+      expect(keys()).to.deep.equal([]);
+
+      await rules.tradeResult(false, "ArbitrageNotProfitable");
+      await rules.tradeResult(false, "ArbitrageNotProfitable");
+      expect(keys()).to.deep.equal(["trade-failures"]);
+      expect(received[0].body.title).to.equal("3 trades failed in a row");
+    });
+
+    it("Should alert on low balance and nearly exhausted daily volume", async function () {
+      await rules.walletBalance(parseEther("6"));
+      await rules.walletBalance(parseEther("4.5"));
+      await rules.volumeUsage(parseEther("800"), parseEther("1000"));
+      await rules.volumeUsage(parseEther("950"), parseEther("1000"));
+
+      expect(keys()).to.deep.equal(["low-balance", "daily-volume"]);
+      expect(received[0].body.message).to.equal("Balance 4.5 MATIC is below 5.0 MATIC");
+      expect(received[1].body.details.usedBps).to.equal(9500);
+    });
+
+    it("Should alert when blocks stop arriving and when they resume", async function () {
+      await rules.blockSeen(100, clock);
+      await rules.checkBlocks(clock + 30000);
+      await rules.checkBlocks(clock + 61000);
+      await rules.blockSeen(101, clock + 70000);
+
+      expect(keys()).to.deep.equal(["no-blocks", "blocks-resumed"]);
+      expect(received[0].body.message).to.equal("No new block for 61s");
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DatasetWriter, readDataset } = require("../lib/pair-dataset");
+const { PairRecorder, SYNC_TOPIC } = require("../lib/pair-recorder");
+const { Logger } = require("../lib/logger");
+
+const { defaultAbiCoder, hexValue, hexZeroPad, Interface } = ethers.utils;
+
+const PAIR = new Interface(["function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"]);
+
+/**
+ * Chain stand-in: blocks with Sync logs, answering getBlock, getReserves calls and eth_getLogs
+ */
+class FakeChain {
+  constructor() {
+    this.blocks = new Map(); // number => { hash, syncs: [[address, reserve0, reserve1]] }
+    this.maxRange = Infinity; // Larger eth_getLogs ranges are refused
+  }
+
+  mine(number, syncs = [], fork = "a") {
+    this.blocks.set(number, { hash: hexZeroPad(`0x${fork}${number.toString(16).padStart(4, "0")}`, 32), syncs });
+  }
+
+  reserves(address, blockTag) {
+    let reserves = [1000, 1000];
+    for (let number = 0; number <= blockTag; number++) {
+      for (const [pool, reserve0, reserve1] of (this.blocks.get(number) || { syncs: [] }).syncs) {
+        if (pool === address) reserves = [reserve0, reserve1];
+      }
+    }
+    return reserves;
+  }
+
+  async getBlock(number) {
+    const block = this.blocks.get(number);
+    return block ? { number, hash: block.hash, timestamp: 1700000000 + number } : null;
+  }
+
+  async call(tx, blockTag) {
+    return PAIR.encodeFunctionResult("getReserves", [...this.reserves(tx.to, blockTag), 0]);
+  }
+
+  async send(method, [filter]) {
+    expect(method).to.equal("eth_getLogs");
+    expect(filter.topics).to.deep.equal([SYNC_TOPIC]);
+    const from = parseInt(filter.fromBlock, 16);
+    const to = parseInt(filter.toBlock, 16);
+    if (to - from + 1 > this.maxRange) throw new Error("block range too large");
+
+    const logs = [];
+    for (let number = from; number <= to; number++) {
+      const block = this.blocks.get(number);
+      if (!block) continue;
+      block.syncs.forEach(([address, reserve0, reserve1], logIndex) => {
+        if (!filter.address.includes(address)) return;
+        logs.push({
+          address,
+          blockNumber: hexValue(number),
+          blockHash: block.hash,
+          logIndex: hexValue(logIndex),
+          data: defaultAbiCoder.encode(["uint112", "uint112"], [reserve0, reserve1]),
+          removed: false
+        });
+      });
+    }
+    return logs.reverse(); // Order is up to the node
+  }
+}
+
+describe("PairRecorder", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+  const POOLS = [
+    { dexName: "QuickSwap", address: "0x00000000000000000000000000000000000000a1", token0: USDC, token1: WETH },
+    { dexName: "SushiSwap", address: "0x00000000000000000000000000000000000000a2", token0: USDC, token1: WETH },
+    { dexName: "QuickSwap", address: "0x00000000000000000000000000000000000000a3", token0: WETH, token1: DAI }
+  ];
+  const [A, B, C] = POOLS.map(pool => pool.address);
+  const logger = new Logger({ level: "error" });
+
+  let dir;
+  let file;
+  let chain;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-recorder-"));
+    file = path.join(dir, "data", "pairs.jsonl");
+    chain = new FakeChain();
+    for (let number = 1; number <= 12; number++) chain.mine(number);
+    chain.mine(3, [[A, 1100, 900], [A, 1200, 800]]);
+    chain.mine(7, [[B, 2000, 500]]);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const recorder = async (options = {}) => {
+    const writer = await DatasetWriter.open(file, 137);
+    return new PairRecorder(chain, writer, { chunkSize: 8, rewindBlocks: 3, logger, ...options });
+  };
+
+  const replay = async () => {
+    const records = [];
+    for await (const record of readDataset(file)) records.push(record);
+    const pools = records.filter(record => record.type === "pool");
+    const blocks = records.filter(record => record.type === "block");
+
+    const reserves = {};
+    for (const block of blocks) {
+      for (const [id, reserve0, reserve1] of block.syncs) reserves[pools[id].address] = [Number(reserve0), Number(reserve1)];
+    }
+    return { pools, blocks, reserves };
+  };
+
+  it("Should backfill in chunks from a snapshot and keep each block's last Sync", async function () {
+    chain.maxRange = 4;
+    const pairs = await recorder();
+    await pairs.start(POOLS.slice(0, 2), 2);
+    expect(await pairs.recordTo(10)).to.equal(9);
+
+    const { pools, blocks, reserves } = await replay();
+    expect(pools.map(pool => pool.address)).to.deep.equal([A, B]);
+    // Snapshot at 1, blocks with Syncs, and the end of every chunk once 8 was halved to 4
+    expect(blocks.map(block => block.number)).to.deep.equal([1, 3, 5, 7, 9, 10]);
+    expect(blocks[0].syncs).to.deep.equal([[0, "1000", "1000"], [1, "1000", "1000"]]);
+    expect(blocks[1]).to.deep.include({ hash: chain.blocks.get(3).hash, syncs: [[0, "1200", "800"]] });
+    expect(blocks[2].timestamp).to.equal(1700000005);
+    expect(reserves).to.deep.equal({ [A]: chain.reserves(A, 10), [B]: chain.reserves(B, 10) });
+  });
+
+  it("Should resume after its last block and snapshot pools tracked since", async function () {
+    const first = await recorder();
+    await first.start(POOLS.slice(0, 2), 2);
+    await first.recordTo(6);
+
+    chain.mine(9, [[C, 3000, 3000]]);
+    const second = await recorder();
+    await second.start(POOLS, 2);
+    await second.recordTo(12);
+
+    const { pools, blocks, reserves } = await replay();
+    expect(pools.map(pool => [pool.id, pool.address])).to.deep.equal([[0, A], [1, B], [2, C]]);
+    expect(blocks.map(block => block.number)).to.deep.equal([1, 3, 6, 7, 9, 12]);
+    // C's reserves as of block 6 ride along with the next block written
+    expect(blocks[3].syncs).to.deep.equal([[2, "1000", "1000"], [1, "2000", "500"]]);
+    expect(reserves[C]).to.deep.equal([3000, 3000]);
+  });
+
+  it("Should rewind reorged blocks and record the new chain", async function () {
+    const pairs = await recorder();
+    await pairs.start(POOLS.slice(0, 2), 2);
+    await pairs.recordTo(10);
+
+    // Blocks 9 and 10 are replaced; 10 now moves pool B
+    chain.mine(9, [], "b");
+    chain.mine(10, [[B, 2500, 400]], "b");
+    await pairs.recordTo(11);
+
+    const { blocks, reserves } = await replay();
+    expect(blocks.map(block => block.number)).to.deep.equal([1, 3, 7, 10, 11]);
+    expect(blocks[3].hash).to.equal(chain.blocks.get(10).hash);
+    expect(reserves[B]).to.deep.equal([2500, 400]);
+  });
+
+  it("Should cut off a torn last line when reopened", async function () {
+    const pairs = await recorder();
+    await pairs.start(POOLS.slice(0, 2), 2);
+    await pairs.recordTo(4);
+    fs.appendFileSync(file, "{\"type\":\"block\",\"num");
+
+    const writer = await DatasetWriter.open(file, 137);
+    expect(writer.lastBlock.number).to.equal(4);
+    expect((await replay()).blocks.map(block => block.number)).to.deep.equal([1, 3, 4]);
+
+    try {
+      await DatasetWriter.open(file, 80001);
+      expect.fail("open should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal(`${file} records chain 137, not 80001`);
+    }
+  });
+});
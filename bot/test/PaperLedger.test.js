@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { PaperLedger } = require("../lib/paper-ledger");
+
+describe("PaperLedger", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  let dir;
+  let ledger;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-ledger-"));
+    ledger = new PaperLedger(path.join(dir, "nested", "trades.jsonl"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should append one JSON line per trade with BigNumbers as strings", function () {
+    ledger.record({ token: USDC, success: true, profit: ethers.BigNumber.from(1500000), gasEstimate: ethers.BigNumber.from(250000) });
+    ledger.record({ token: USDC, success: false, revertReason: "Invalid path" });
+
+    const lines = fs.readFileSync(ledger.filePath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+    expect(lines).to.have.length(2);
+    expect(lines[0].profit).to.equal("1500000");
+    expect(lines[0].gasEstimate).to.equal("250000");
+    expect(lines[1].revertReason).to.equal("Invalid path");
+    expect(lines[1].timestamp).to.be.a("string");
+  });
+
+  it("Should keep a running profit and loss summary", function () {
+    ledger.record({ token: USDC, success: true, profit: ethers.BigNumber.from(100), gasEstimate: ethers.BigNumber.from(10), gasCost: ethers.BigNumber.from(1000) });
+    ledger.record({ token: USDC, success: true, profit: ethers.BigNumber.from(-40), gasEstimate: ethers.BigNumber.from(10), gasCost: ethers.BigNumber.from(1000) });
+    ledger.record({ token: USDC, success: false, revertReason: "RouterNotSupported" });
+    ledger.record({ token: USDC, success: false, revertReason: "RouterNotSupported" });
+
+    const summary = ledger.summary();
+    expect(summary.trades).to.equal(4);
+    expect(summary.succeeded).to.equal(2);
+    expect(summary.reverted).to.equal(2);
+    expect(summary.profitByToken[USDC]).to.equal("60");
+    expect(summary.gasUsed).to.equal("20");
+    expect(summary.gasCost).to.equal("2000");
+    expect(summary.revertReasons).to.deep.equal({ RouterNotSupported: 2 });
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { getAmountOut, getAmountIn } = require("../lib/amm");
+const { ReserveScanner } = require("../lib/reserve-scanner");
+const { addPool } = require("./helpers/poolHelpers");
+
+const { parseUnits } = ethers.utils;
+
+describe("ReserveScanner", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+
+  let scanner;
+
+  beforeEach(function () {
+    scanner = new ReserveScanner(null, {});
+  });
+
+  describe("getAmountOut", function () {
+    it("Should match the 997/1000 constant-product formula", function () {
+      const out = getAmountOut(1000, 100000, 200000);
+      // 1000 * 997 * 200000 / (100000 * 1000 + 1000 * 997)
+      expect(out.toNumber()).to.equal(1974);
+    });
+
+    it("Should return zero for empty reserves", function () {
+      expect(getAmountOut(1000, 0, 200000).isZero()).to.equal(true);
+    });
+  });
+
+  describe("Quoting", function () {
+    it("Should orient reserves by trade direction", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+
+      const [forward] = scanner.getPools(USDC, WETH);
+      const [backward] = scanner.getPools(WETH, USDC);
+      expect(forward.reserveIn).to.deep.equal(parseUnits("2000000", 6));
+      expect(backward.reserveIn).to.deep.equal(parseUnits("1000", 18));
+    });
+
+    it("Should price each hop on the DEX that pays the most", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1010", 18));
+
+      const hop = scanner.quoteHop(USDC, WETH, parseUnits("1000", 6));
+      expect(hop.dexName).to.equal("SushiSwap");
+    });
+
+    it("Should compound every hop of a cyclic path", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      addPool(scanner, "QuickSwap", WETH, DAI, parseUnits("1000", 18), parseUnits("2100000", 18));
+      addPool(scanner, "SushiSwap", DAI, USDC, parseUnits("2000000", 18), parseUnits("2000000", 6));
+
+      const amountIn = parseUnits("1000", 6);
+      const quote = scanner.quotePath([USDC, WETH, DAI, USDC], amountIn);
+
+      const weth = getAmountOut(amountIn, parseUnits("2000000", 6), parseUnits("1000", 18));
+      const dai = getAmountOut(weth, parseUnits("1000", 18), parseUnits("2100000", 18));
+      const usdc = getAmountOut(dai, parseUnits("2000000", 18), parseUnits("2000000", 6));
+
+      expect(quote.hops.map(hop => hop.dexName)).to.deep.equal(["QuickSwap", "QuickSwap", "SushiSwap"]);
+      expect(quote.amountOut).to.deep.equal(usdc);
+      expect(quote.amountOut.gt(amountIn)).to.equal(true);
+    });
+
+    it("Should return null when a hop has no pool", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      expect(scanner.quotePath([USDC, WETH, DAI], parseUnits("1000", 6))).to.equal(null);
+    });
+
+    it("Should quote nothing once reserves are invalidated", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      scanner.lastRefreshBlock = 100;
+      scanner.invalidate();
+
+      expect(scanner.quoteHop(USDC, WETH, parseUnits("1000", 6))).to.equal(null);
+      expect(scanner.lastRefreshBlock).to.equal(null);
+    });
+  });
+
+  describe("applySwap", function () {
+    it("Should invert getAmountOut with getAmountIn, rounding up", function () {
+      const amountIn = getAmountIn(1974, 100000, 200000);
+      expect(amountIn.toNumber()).to.equal(1000);
+      expect(getAmountOut(amountIn, 100000, 200000).gte(1974)).to.equal(true);
+      expect(getAmountIn(200000, 100000, 200000)).to.equal(null);
+    });
+
+    it("Should move reserves along the path on a fork only", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      addPool(scanner, "QuickSwap", WETH, DAI, parseUnits("1000", 18), parseUnits("2000000", 18));
+
+      const fork = scanner.fork();
+      const { amounts } = fork.applySwap("QuickSwap", [USDC, WETH, DAI], parseUnits("1000", 6), true);
+
+      expect(amounts[2]).to.deep.equal(scanner.quotePath([USDC, WETH, DAI], parseUnits("1000", 6)).amountOut);
+      const [usdcWeth] = fork.getPools(USDC, WETH);
+      expect(usdcWeth.reserveIn).to.deep.equal(parseUnits("2001000", 6));
+      expect(usdcWeth.reserveOut).to.deep.equal(parseUnits("1000", 18).sub(amounts[1]));
+      expect(scanner.getPools(USDC, WETH)[0].reserveIn).to.deep.equal(parseUnits("2000000", 6));
+    });
+
+    it("Should work backwards from an exact output", function () {
+      addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+
+      const { amounts } = scanner.fork().applySwap("SushiSwap", [WETH, USDC], parseUnits("1000", 6), false);
+      expect(amounts[1]).to.deep.equal(parseUnits("1000", 6));
+      expect(amounts[0]).to.deep.equal(getAmountIn(parseUnits("1000", 6), parseUnits("1000", 18), parseUnits("2000000", 6)));
+    });
+
+    it("Should return null when the swap uses a pool that is not tracked", function () {
+      addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+      expect(scanner.fork().applySwap("SushiSwap", [USDC, WETH], parseUnits("1000", 6), true)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { decodeRevert, describeRevert } = require("../lib/revert-decoder");
+const { RouteBlacklist } = require("../lib/route-blacklist");
+
+describe("RevertDecoder", function () {
+  const errors = new ethers.utils.Interface([
+    "error RouterNotSupported()",
+    "error ArbitrageNotProfitable()"
+  ]);
+
+  const revertString = reason =>
+    "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], [reason]).slice(2);
+
+  describe("decodeRevert", function () {
+    it("Should decode custom errors", function () {
+      const revert = decodeRevert({ data: errors.encodeErrorResult("RouterNotSupported", []) });
+      expect(revert).to.deep.equal({ name: "RouterNotSupported", reason: null, kind: "permanent" });
+    });
+
+    it("Should decode require strings nested in provider errors", function () {
+      const revert = decodeRevert({ error: { error: { data: revertString("Invalid path") } } });
+      expect(revert.reason).to.equal("Invalid path");
+      expect(revert.kind).to.equal("permanent");
+    });
+
+    it("Should decode revert data from JSON-RPC bodies", function () {
+      const body = JSON.stringify({ error: { code: 3, data: revertString("Oracle not set") } });
+      const revert = decodeRevert({ error: { body } });
+      expect(revert.reason).to.equal("Oracle not set");
+      expect(revert.kind).to.equal("permanent");
+    });
+
+    it("Should classify market conditions as transient", function () {
+      expect(decodeRevert({ data: errors.encodeErrorResult("ArbitrageNotProfitable", []) }).kind).to.equal("transient");
+      expect(decodeRevert({ data: revertString("UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT") }).kind).to.equal("transient");
+    });
+
+    it("Should classify DEX configuration reverts as permanent", function () {
+      expect(decodeRevert({ data: revertString("DEX not active") }).kind).to.equal("permanent");
+    });
+
+    it("Should fall back to the error message without revert data", function () {
+      const revert = decodeRevert(new Error("missing response"));
+      expect(revert).to.deep.equal({ name: "Unknown", reason: "missing response", kind: "unknown" });
+      expect(describeRevert(revert)).to.equal("missing response (unknown)");
+    });
+  });
+
+  describe("RouteBlacklist", function () {
+    it("Should expire entries after the cooldown", function () {
+      const blacklist = new RouteBlacklist(1000);
+      blacklist.add("route", "RouterNotSupported (permanent)", 0);
+
+      expect(blacklist.get("route", 999).reason).to.equal("RouterNotSupported (permanent)");
+      expect(blacklist.get("route", 1000)).to.equal(null);
+      expect(blacklist.entries.size).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { encodeRoute } = require("../lib/route-encoder");
+
+describe("RouteEncoder", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+
+  const DEXES = {
+    QuickSwap: { factory: "0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32", router: "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff" },
+    SushiSwap: { factory: "0xc35DADB65012eC5796536bD9864eD8773aBc74C4", router: "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506" }
+  };
+
+  it("Should merge consecutive hops on the same DEX into one path", function () {
+    const { routers, paths } = encodeRoute([
+      { dexName: "QuickSwap", tokenIn: USDC, tokenOut: WETH },
+      { dexName: "QuickSwap", tokenIn: WETH, tokenOut: DAI },
+      { dexName: "SushiSwap", tokenIn: DAI, tokenOut: USDC }
+    ], DEXES);
+
+    expect(routers).to.deep.equal([DEXES.QuickSwap.router, DEXES.SushiSwap.router]);
+    expect(paths).to.deep.equal([[USDC, WETH, DAI], [DAI, USDC]]);
+  });
+
+  it("Should keep a router per DEX switch", function () {
+    const { routers, paths } = encodeRoute([
+      { dexName: "SushiSwap", tokenIn: USDC, tokenOut: WETH },
+      { dexName: "QuickSwap", tokenIn: WETH, tokenOut: USDC }
+    ], DEXES);
+
+    expect(routers).to.deep.equal([DEXES.SushiSwap.router, DEXES.QuickSwap.router]);
+    expect(paths).to.deep.equal([[USDC, WETH], [WETH, USDC]]);
+  });
+
+  it("Should reject DEXs without a router", function () {
+    expect(() => encodeRoute([{ dexName: "ApeSwap", tokenIn: USDC, tokenOut: WETH }], DEXES))
+      .to.throw("No router configured for DEX ApeSwap");
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { ReserveScanner } = require("../lib/reserve-scanner");
+const { addPool } = require("./helpers/poolHelpers");
+const { buildTokenGraph, findProfitableCycles } = require("../lib/route-finder");
+
+const { parseUnits } = ethers.utils;
+
+describe("RouteFinder", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+  const WMATIC = "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270";
+
+  let scanner;
+
+  beforeEach(function () {
+    scanner = new ReserveScanner(null, {});
+  });
+
+  it("Should keep the best DEX rate per edge", function () {
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1020", 18));
+
+    const graph = buildTokenGraph(scanner);
+    expect(graph.get(USDC.toLowerCase()).get(WETH.toLowerCase()).dexName).to.equal("SushiSwap");
+    expect(graph.get(WETH.toLowerCase()).get(USDC.toLowerCase()).dexName).to.equal("QuickSwap");
+  });
+
+  it("Should find a mispriced triangle and ignore fair ones", function () {
+    // USDC -> WETH -> DAI -> USDC pays ~5% before fees
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "QuickSwap", WETH, DAI, parseUnits("1000", 18), parseUnits("2100000", 18));
+    addPool(scanner, "SushiSwap", DAI, USDC, parseUnits("2000000", 18), parseUnits("2000000", 6));
+
+    const cycles = findProfitableCycles(buildTokenGraph(scanner), [USDC], 3);
+    expect(cycles).to.have.length(1);
+    expect(cycles[0].path).to.deep.equal([USDC, WETH, DAI, USDC]);
+    expect(cycles[0].weight).to.be.lessThan(0);
+    expect(cycles[0].rate).to.be.greaterThan(1);
+  });
+
+  it("Should respect the hop limit", function () {
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "QuickSwap", WETH, WMATIC, parseUnits("1000", 18), parseUnits("2000000", 18));
+    addPool(scanner, "QuickSwap", WMATIC, DAI, parseUnits("2000000", 18), parseUnits("2100000", 18));
+    addPool(scanner, "SushiSwap", DAI, USDC, parseUnits("2000000", 18), parseUnits("2000000", 6));
+
+    const graph = buildTokenGraph(scanner);
+    expect(findProfitableCycles(graph, [USDC], 3)).to.have.length(0);
+    expect(findProfitableCycles(graph, [USDC], 4)[0].path).to.deep.equal([USDC, WETH, WMATIC, DAI, USDC]);
+  });
+
+  it("Should find two-pool cycles across DEXs", function () {
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2100000", 6), parseUnits("1000", 18));
+
+    const cycles = findProfitableCycles(buildTokenGraph(scanner), [USDC], 2);
+    expect(cycles).to.have.length(1);
+    expect(cycles[0].path).to.deep.equal([USDC, WETH, USDC]);
+  });
+
+  it("Should only start at the given tokens", function () {
+    addPool(scanner, "QuickSwap", USDC, WETH, parseUnits("2000000", 6), parseUnits("1000", 18));
+    addPool(scanner, "SushiSwap", USDC, WETH, parseUnits("2100000", 6), parseUnits("1000", 18));
+
+    expect(findProfitableCycles(buildTokenGraph(scanner), [DAI], 3)).to.have.length(0);
+  });
+});
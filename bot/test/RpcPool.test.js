@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { RpcPool } = require("../lib/rpc-pool");
+const { Logger } = require("../lib/logger");
+
+const { errors } = ethers.utils.Logger;
+
+/**
+ * Endpoint stand-in: answers perform/send from a handler and counts calls
+ */
+function endpoint(url, handler) {
+  return {
+    connection: { url },
+    calls: 0,
+    head: 100,
+    async perform(method, params) {
+      this.calls++;
+      return handler.call(this, method, params);
+    },
+    async send(method, params) {
+      return this.perform(method, params);
+    },
+    async getBlockNumber() {
+      return this.perform("getBlockNumber", {});
+    }
+  };
+}
+
+const fail = (code, message = "boom") => Object.assign(new Error(message), { code });
+
+describe("RpcPool", function () {
+  const NETWORK = { chainId: 137, name: "polygon" };
+  const logger = new Logger({ level: "error" }); // Failovers are expected here
+
+  it("Should fail over on node errors and timeouts but not on reverts", async function () {
+    const down = endpoint("a", async () => { throw fail(errors.SERVER_ERROR, "missing response"); });
+    const hanging = endpoint("b", () => new Promise(() => {}));
+    const up = endpoint("c", async method => (method === "call" ? "0x01" : "0x64"));
+    const pool = new RpcPool([down, hanging, up], NETWORK, { timeoutMs: 20, logger });
+
+    expect(await pool.getBlockNumber()).to.equal(100);
+    expect(pool.endpoints.map(e => e.healthy)).to.deep.equal([false, false, true]);
+    expect(pool.ranked()[0].url).to.equal("c");
+
+    // Same request on every node would revert the same way, so it is not retried
+    up.perform = async () => { throw fail(errors.CALL_EXCEPTION, "execution reverted"); };
+    try {
+      await pool.perform("call", {});
+      expect.fail("call should have thrown");
+    } catch (error) {
+      expect(error.code).to.equal(errors.CALL_EXCEPTION);
+    }
+    expect(pool.endpoints[2].healthy).to.equal(true);
+    expect(down.calls).to.equal(1);
+  });
+
+  it("Should throw the last error when every endpoint fails", async function () {
+    const pool = new RpcPool([
+      endpoint("a", async () => { throw fail(errors.SERVER_ERROR, "first"); }),
+      endpoint("b", async () => { throw fail(errors.SERVER_ERROR, "second"); })
+    ], NETWORK, { logger });
+
+    try {
+      await pool.send("eth_feeHistory", []);
+      expect.fail("send should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal("second");
+    }
+  });
+
+  it("Should take lagging endpoints out of rotation until they catch up", async function () {
+    const head = function (method) {
+      if (method === "getBlockNumber") return this.head;
+      throw new Error(`Unexpected ${method}`);
+    };
+    const primary = endpoint("a", head);
+    const fallback = endpoint("b", head);
+    const pool = new RpcPool([primary, fallback], NETWORK, { maxBlockLag: 2 });
+
+    primary.head = 95;
+    fallback.head = 100;
+    const report = await pool.checkHealth();
+    expect(report.map(e => [e.url, e.healthy, e.blockNumber, e.lastError])).to.deep.equal([
+      ["a", false, 95, "5 blocks behind"],
+      ["b", true, 100, null]
+    ]);
+    expect(pool.ranked().map(e => e.url)).to.deep.equal(["b", "a"]);
+
+    primary.head = 99;
+    await pool.checkHealth();
+    expect(pool.endpoints[0].healthy).to.equal(true);
+  });
+
+  it("Should prefer the faster healthy endpoint", function () {
+    const pool = new RpcPool([endpoint("a", () => null), endpoint("b", () => null), endpoint("c", () => null)], NETWORK);
+    pool.endpoints[0].latencyMs = 300;
+    pool.endpoints[1].latencyMs = 40;
+
+    // Unmeasured endpoints keep their configured order
+    expect(pool.ranked().map(e => e.url)).to.deep.equal(["b", "a", "c"]);
+  });
+
+  describe("Quorum reads", function () {
+    const answering = result => endpoint("x", async () => result);
+
+    it("Should return the answer a quorum agrees on", async function () {
+      const pool = new RpcPool([answering("0x01"), answering("0x02"), answering("0x01")], NETWORK);
+      const quorum = pool.withQuorum(2);
+
+      expect(await quorum.perform("call", {})).to.equal("0x01");
+      expect(pool.endpoints.map(e => e.provider.calls)).to.deep.equal([1, 1, 1]);
+    });
+
+    it("Should refuse to answer without a quorum", async function () {
+      const pool = new RpcPool([
+        answering("0x01"),
+        answering("0x02"),
+        endpoint("down", async () => { throw fail(errors.SERVER_ERROR); })
+      ], NETWORK);
+
+      try {
+        await pool.withQuorum(2).perform("call", {});
+        expect.fail("read should have thrown");
+      } catch (error) {
+        expect(error.message).to.equal("No quorum for call: 2 matching answers needed, got 1/1 from 3 endpoints");
+      }
+    });
+
+    it("Should read through the pool alone with a quorum of one", async function () {
+      const pool = new RpcPool([answering("0x01"), answering("0x02")], NETWORK);
+
+      expect(await pool.withQuorum(1).perform("call", {})).to.equal("0x01");
+      expect(pool.endpoints[1].provider.calls).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { NonceManager } = require("../lib/nonce-manager");
+const { RelayClient, PrivateRelaySubmitter, BundleSubmitter, serializeSigned } = require("../lib/submission");
+const { createMockRelay } = require("../mock-relay");
+
+const { parseUnits, parseTransaction } = ethers.utils;
+
+/**
+ * JSON-RPC provider for a chain that sits at a fixed head, enough for a Wallet to sign
+ * and for NonceManager to read its nonce
+ */
+class ChainProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(chain) {
+    super("http://localhost:8545", { chainId: 137, name: "matic" });
+    this.chain = chain;
+  }
+
+  async send(method) {
+    if (method === "eth_blockNumber") return ethers.utils.hexValue(this.chain.block);
+    if (method === "eth_getTransactionCount") return ethers.utils.hexValue(this.chain.nonce);
+    throw new Error(`Unexpected ${method}`);
+  }
+}
+
+describe("Submission", function () {
+  const KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+  const TARGET = "0x00000000000000000000000000000000000000b2";
+  const tx = {
+    to: TARGET,
+    data: "0x1234",
+    gasLimit: 300000,
+    type: 2,
+    maxPriorityFeePerGas: parseUnits("40", "gwei"),
+    maxFeePerGas: parseUnits("240", "gwei")
+  };
+
+  let chain;
+  let wallet;
+  let relay;
+  let url;
+  let receipts;
+
+  // getBlockNumber/getTransactionReceipt for the bundle path, mining happens by editing `chain`
+  const headProvider = () => ({
+    getBlockNumber: async () => chain.block++,
+    getTransactionReceipt: async hash => receipts.get(hash) || null
+  });
+
+  beforeEach(async function () {
+    chain = { block: 100, nonce: 5 };
+    receipts = new Map();
+    wallet = new ethers.Wallet(KEY, new ChainProvider(chain));
+    relay = createMockRelay();
+    url = await relay.listen(0);
+  });
+
+  afterEach(async function () {
+    await relay.close();
+  });
+
+  it("Should sign relay requests and be rejected with the wrong key", async function () {
+    await new RelayClient(url, wallet).call("eth_callBundle", [{ txs: [] }]);
+    expect(relay.requests[0].signer).to.equal(wallet.address);
+
+    // Claims to be the trading key but signs with another
+    const impostor = ethers.Wallet.createRandom();
+    impostor.getAddress = async () => wallet.address;
+    try {
+      await new RelayClient(url, impostor).call("eth_callBundle", [{ txs: [] }]);
+      expect.fail("relay should have rejected the signature");
+    } catch (error) {
+      expect(error.message).to.include("403");
+    }
+    expect(relay.requests).to.have.length(1);
+  });
+
+  it("Should send private transactions with a block deadline under the local nonce", async function () {
+    const manager = new NonceManager(wallet);
+    const submitter = new PrivateRelaySubmitter(manager, new RelayClient(url, wallet), { maxBlocks: 10 });
+
+    const { response, nonce } = await submitter.submit(tx);
+
+    const [request] = relay.requests;
+    expect(request.method).to.equal("eth_sendPrivateTransaction");
+    expect(request.params[0].maxBlockNumber).to.equal(ethers.utils.hexValue(110));
+
+    const sent = parseTransaction(request.params[0].tx);
+    expect(nonce).to.equal(5);
+    expect(sent.nonce).to.equal(5);
+    expect(sent.from).to.equal(wallet.address);
+    expect(sent.hash).to.equal(response.hash);
+    expect(manager.pending.get(5).hashes).to.deep.equal([response.hash]);
+    expect(manager.nextNonce).to.equal(6);
+  });
+
+  it("Should bundle a backrun behind its target for each target block", async function () {
+    const manager = new NonceManager(wallet);
+    const submitter = new BundleSubmitter(manager, new RelayClient(url, wallet), { blocks: 3, pollInterval: 1, provider: headProvider() });
+
+    // The target: someone else's signed swap seen in the mempool
+    const other = new ethers.Wallet(ethers.utils.id("other"));
+    const targetRaw = await other.signTransaction({ ...tx, nonce: 40, chainId: 137 });
+    const leadingTx = serializeSigned(parseTransaction(targetRaw));
+    expect(leadingTx).to.equal(targetRaw);
+
+    // Mined as soon as the relay accepts the first bundle
+    relay.server.on("request", () => {
+      const bundle = relay.requests.find(request => request.method === "eth_sendBundle");
+      if (bundle) receipts.set(ethers.utils.keccak256(bundle.params[0].txs[1]), { status: 1, transactionHash: "mined" });
+    });
+
+    const { response, nonce, confirmation } = await submitter.submit(tx, { leadingTx });
+    const result = await confirmation;
+
+    expect(relay.requests.map(request => request.method)).to.deep.equal([
+      "eth_callBundle", "eth_sendBundle", "eth_sendBundle", "eth_sendBundle"
+    ]);
+    const bundles = relay.requests.slice(1).map(request => request.params[0]);
+    expect(bundles.map(bundle => bundle.blockNumber)).to.deep.equal(["0x65", "0x66", "0x67"]);
+    expect(bundles[0].txs[0]).to.equal(targetRaw);
+    expect(parseTransaction(bundles[0].txs[1]).hash).to.equal(response.hash);
+
+    expect(nonce).to.equal(5);
+    expect(result.included).to.equal(true);
+    expect(result.receipt.transactionHash).to.equal("mined");
+    expect(manager.nextNonce).to.equal(6);
+  });
+
+  it("Should leave the nonce unused when no target block includes the bundle", async function () {
+    const manager = new NonceManager(wallet);
+    const submitter = new BundleSubmitter(manager, new RelayClient(url, wallet), { blocks: 2, pollInterval: 1, provider: headProvider() });
+
+    const { nonce, confirmation } = await submitter.submit(tx);
+    const result = await confirmation;
+
+    expect(result).to.include({ receipt: null, included: false });
+    expect(manager.nextNonce).to.equal(nonce);
+    expect(manager.pending.size).to.equal(0);
+  });
+
+  it("Should return once a bundle is sent and not hold the next submission while it waits", async function () {
+    // A head that stays inside the target range until the test moves it
+    const head = { block: 100 };
+    const provider = { getBlockNumber: async () => head.block, getTransactionReceipt: async hash => receipts.get(hash) || null };
+    const manager = new NonceManager(wallet);
+    const submitter = new BundleSubmitter(manager, new RelayClient(url, wallet), { blocks: 2, pollInterval: 1, provider });
+
+    const first = await submitter.submit(tx);
+    const second = await submitter.submit(tx);
+    expect([first.nonce, second.nonce]).to.deep.equal([5, 6]);
+    expect([...manager.reserved.keys()]).to.deep.equal([5, 6]);
+
+    receipts.set(first.response.hash, { status: 1, transactionHash: first.response.hash });
+    receipts.set(second.response.hash, { status: 1, transactionHash: second.response.hash });
+    expect((await first.confirmation).included).to.equal(true);
+    expect((await second.confirmation).included).to.equal(true);
+    expect(manager.reserved.size).to.equal(0);
+    expect(manager.nextNonce).to.equal(7);
+  });
+
+  it("Should drop bundles whose simulation reverts", async function () {
+    await relay.close();
+    relay = createMockRelay({ simulate: txs => txs.map(() => ({ revert: "InsufficientProfit()" })) });
+    url = await relay.listen(0);
+
+    const manager = new NonceManager(wallet);
+    const submitter = new BundleSubmitter(manager, new RelayClient(url, wallet), { provider: headProvider() });
+
+    try {
+      await submitter.submit(tx);
+      expect.fail("submit should have thrown");
+    } catch (error) {
+      expect(error.message).to.equal("Bundle simulation reverted: InsufficientProfit()");
+    }
+    expect(relay.requests.map(request => request.method)).to.deep.equal(["eth_callBundle"]);
+    expect(manager.nextNonce).to.equal(null); // Resynced before the next send
+  });
+
+  it("Should only re-serialize mempool transactions that match their hash", async function () {
+    const raw = await wallet.signTransaction({ ...tx, nonce: 1, chainId: 137 });
+    const seen = parseTransaction(raw);
+
+    expect(serializeSigned(seen)).to.equal(raw);
+    expect(serializeSigned({ ...seen, data: "0x5678" })).to.equal(null);
+    expect(serializeSigned({ ...seen, r: undefined })).to.equal(null);
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { TokenRegistry } = require("../lib/token-registry");
+const { TokenAmount } = require("../lib/token-amount");
+
+const { defaultAbiCoder, parseUnits } = ethers.utils;
+
+/**
+ * JSON-RPC provider answering eth_call from a table of token contracts
+ */
+class TokenProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(tokens) {
+    super("http://localhost:8545", { chainId: 137, name: "matic" });
+    this.tokens = tokens; // lowercase address => { decimals, symbol, bytes32Symbol }
+    this.calls = 0;
+  }
+
+  async send(method, params) {
+    if (method !== "eth_call") throw new Error(`Unexpected ${method}`);
+    this.calls++;
+    const token = this.tokens[params[0].to.toLowerCase()];
+    const selector = params[0].data.slice(0, 10);
+    if (!token) throw new Error("execution reverted");
+
+    if (selector === ethers.utils.id("decimals()").slice(0, 10)) return defaultAbiCoder.encode(["uint8"], [token.decimals]);
+    if (token.bytes32Symbol) return ethers.utils.formatBytes32String(token.bytes32Symbol);
+    if (token.symbol) return defaultAbiCoder.encode(["string"], [token.symbol]);
+    throw new Error("execution reverted");
+  }
+}
+
+describe("TokenRegistry", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const MKR = "0x6f7C932e7684666C9fd1d44527765433e01fF61d";
+  const NOSYM = "0x00000000000000000000000000000000000000e1";
+  const BROKEN = "0x00000000000000000000000000000000000000e2";
+
+  let provider;
+  let registry;
+
+  beforeEach(function () {
+    provider = new TokenProvider({
+      [WETH.toLowerCase()]: { decimals: 18, symbol: "WETH" },
+      [MKR.toLowerCase()]: { decimals: 18, bytes32Symbol: "MKR" },
+      [NOSYM.toLowerCase()]: { decimals: 9 }
+    });
+    registry = new TokenRegistry(provider, { USDC: { address: USDC, decimals: 6 } });
+  });
+
+  it("Should use configured tokens without reading the chain", async function () {
+    const token = await registry.load(USDC.toLowerCase());
+    expect(token).to.deep.equal({ address: USDC, symbol: "USDC", decimals: 6 });
+    expect(provider.calls).to.equal(0);
+  });
+
+  it("Should read decimals and symbol once and cache them", async function () {
+    const [first, second] = await Promise.all([registry.load(WETH), registry.load(WETH)]);
+    expect(first).to.deep.equal({ address: WETH, symbol: "WETH", decimals: 18 });
+    expect(second).to.equal(first);
+    expect(provider.calls).to.equal(2);
+
+    await registry.load(WETH);
+    expect(provider.calls).to.equal(2);
+  });
+
+  it("Should fall back to bytes32 symbols and then to the address", async function () {
+    expect((await registry.load(MKR)).symbol).to.equal("MKR");
+    expect((await registry.load(NOSYM)).symbol).to.equal("0x0000…00e1");
+    expect(registry.get(NOSYM).decimals).to.equal(9);
+  });
+
+  it("Should report tokens whose decimals cannot be read", async function () {
+    const unreadable = await registry.loadAll([USDC, WETH, BROKEN]);
+    expect(unreadable).to.deep.equal([BROKEN]);
+    expect(registry.get(BROKEN)).to.equal(null);
+    expect(registry.symbol(BROKEN)).to.equal("0x0000…00e2");
+  });
+
+  it("Should build typed amounts only for loaded tokens", async function () {
+    expect(registry.amount(USDC, 1500000).toString()).to.equal("1.5 USDC");
+    expect(() => registry.amount(WETH, 1)).to.throw("is not loaded");
+  });
+
+  describe("TokenAmount", function () {
+    const usdc = { address: USDC, symbol: "USDC", decimals: 6 };
+    const weth = { address: WETH, symbol: "WETH", decimals: 18 };
+
+    it("Should format with the token's own decimals", function () {
+      expect(TokenAmount.parse(usdc, "12.5").raw.toNumber()).to.equal(12500000);
+      expect(new TokenAmount(weth, parseUnits("0.25", 18)).format()).to.equal("0.25");
+      expect(JSON.stringify({ profit: TokenAmount.parse(usdc, "1") })).to.equal('{"profit":"1000000"}');
+    });
+
+    it("Should do arithmetic within one token", function () {
+      const a = TokenAmount.parse(usdc, "2");
+      const b = TokenAmount.parse(usdc, "0.5");
+      expect(a.sub(b).toString()).to.equal("1.5 USDC");
+      expect(b.sub(a).isNegative()).to.equal(true);
+      expect(a.gt(b)).to.equal(true);
+      expect(TokenAmount.zero(usdc).isZero()).to.equal(true);
+    });
+
+    it("Should refuse to mix tokens or raw numbers", function () {
+      const a = TokenAmount.parse(usdc, "2");
+      expect(() => a.sub(TokenAmount.parse(weth, "1"))).to.throw("Cannot combine USDC with WETH");
+      expect(() => a.gt(parseUnits("1", 6))).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TradeJournal } = require("../lib/trade-journal");
+
+describe("TradeJournal", function () {
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  let dir;
+  let journal;
+
+  const trade = (overrides) => ({
+    token: USDC,
+    symbol: "USDC",
+    route: "0x2791|quickswap:usdc>weth>usdc",
+    tokenPath: ["USDC", "WETH", "USDC"],
+    status: "completed",
+    netProfit: ethers.BigNumber.from(19800000),
+    profitUsd: 19.8,
+    gasCostUsd: 0.02,
+    netUsd: 19.78,
+    ...overrides
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "trade-journal-"));
+    journal = new TradeJournal(path.join(dir, "nested", "trades.jsonl"));
+
+    journal.record(trade({ timestamp: "2024-01-30T23:59:00.000Z" }));
+    journal.record(trade({ timestamp: "2024-01-31T10:00:00.000Z", status: "reverted", profitUsd: 0, netUsd: -0.02 }));
+    journal.record(trade({ timestamp: "2024-01-31T11:00:00.000Z", token: WETH, symbol: "WETH", route: "0x7ceb|sushiswap:weth>dai>weth", tokenPath: ["WETH", "DAI", "WETH"], netUsd: 5 }));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should write BigNumbers as strings and stamp the UTC day", function () {
+    const [first] = journal.readAll();
+    expect(first.netProfit).to.equal("19800000");
+    expect(first.day).to.equal("2024-01-30");
+  });
+
+  it("Should query by token address or symbol", function () {
+    expect(journal.query({ token: USDC.toLowerCase() })).to.have.length(2);
+    expect(journal.query({ token: "weth" })).to.have.length(1);
+  });
+
+  it("Should query by route key or token path", function () {
+    expect(journal.query({ route: "sushiswap" })).to.have.length(1);
+    expect(journal.query({ route: "USDC>WETH" })).to.have.length(2);
+  });
+
+  it("Should combine day with other filters", function () {
+    expect(journal.query({ day: "2024-01-31" })).to.have.length(2);
+    expect(journal.query({ day: "2024-01-31", token: "USDC" })).to.have.length(1);
+  });
+
+  it("Should summarize entries per group", function () {
+    const byDay = TradeJournal.summarize(journal.readAll(), "day");
+    expect(byDay["2024-01-31"]).to.include({ trades: 2, completed: 1, failed: 1 });
+    expect(byDay["2024-01-31"].netUsd).to.be.closeTo(4.98, 1e-9);
+
+    const byToken = TradeJournal.summarize(journal.readAll(), "token");
+    expect(Object.keys(byToken)).to.deep.equal(["USDC", "WETH"]);
+  });
+
+  it("Should return nothing before the first trade", function () {
+    expect(new TradeJournal(path.join(dir, "missing.jsonl")).query({ token: "USDC" })).to.deep.equal([]);
+  });
+});
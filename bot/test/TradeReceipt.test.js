@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { EVENTS_ABI, decodeTradeReceipt, toUsd, realizedProfit } = require("../lib/trade-receipt");
+const recorded = require("./fixtures/multi-dex-receipt.json");
+const recordedFlashLoan = require("./fixtures/flash-loan-receipt.json");
+
+describe("TradeReceipt", function () {
+  const CONTRACT = "0x00000000000000000000000000000000000000c1";
+  const OTHER = "0x00000000000000000000000000000000000000c2";
+  const USDC = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+  const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+  const BOT = "0x00000000000000000000000000000000000000b0";
+  const QUICKSWAP = "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff";
+  const SUSHISWAP = "0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506";
+
+  const iface = new ethers.utils.Interface(EVENTS_ABI);
+  const log = (address, name, args) => ({ address, ...iface.encodeEventLog(iface.getEvent(name), args) });
+  const leg = (address, args) => log(address, "MultiDexTradeExecuted", args);
+  const { parseUnits } = ethers.utils;
+
+  const receipt = (logs, status = 1) => ({
+    status,
+    logs,
+    gasUsed: ethers.BigNumber.from(400000),
+    effectiveGasPrice: parseUnits("100", "gwei") // 0.04 MATIC
+  });
+
+  it("Should decode a receipt recorded from executeMultiDexArbitrage", function () {
+    // USDC -> WETH on one router and back on another, against the mock routers' 5% per hop
+    const { contracts, raw } = recorded;
+    const tx = new ethers.providers.Formatter().receipt(raw);
+    const decoded = decodeTradeReceipt(tx, contracts.flashLoan);
+
+    expect(decoded.success).to.equal(true);
+    expect(decoded.legs.map(({ router, path }) => [router, path])).to.deep.equal([
+      [contracts.QuickSwap, [contracts.USDC, contracts.WETH]],
+      [contracts.SushiSwap, [contracts.WETH, contracts.USDC]]
+    ]);
+    expect(decoded.token).to.equal(contracts.USDC);
+    expect(decoded.amountIn).to.deep.equal(parseUnits("1000", 18));
+    expect(decoded.amountOut).to.deep.equal(parseUnits("1102.5", 18));
+    expect(realizedProfit(decoded, tx, { tokenDecimals: 18 }).netProfit).to.deep.equal(parseUnits("102.5", 18));
+  });
+
+  it("Should decode a receipt recorded from initiateFlashLoan and take off the protocol fee", function () {
+    // 1000 USDC borrowed at 0.3% and run through three mock hops of 5% each
+    const { contracts, raw } = recordedFlashLoan;
+    const tx = new ethers.providers.Formatter().receipt(raw);
+    const decoded = decodeTradeReceipt(tx, contracts.flashLoan);
+
+    expect(decoded.success).to.equal(true);
+    expect(decoded.initiated).to.deep.include({ token: contracts.USDC, initiator: contracts.initiator, slippageBps: 50 });
+    expect(decoded.completed.fee.toNumber()).to.equal(3e6);
+    expect(decoded.completed.profit.toNumber()).to.equal(154625000);
+    expect(decoded.failed).to.equal(null);
+    expect(decoded.legs).to.deep.equal([]);
+    expect(decoded.amountIn.toNumber()).to.equal(1000e6);
+    expect(decoded.amountOut.toNumber()).to.equal(1157625000);
+
+    const result = realizedProfit(decoded, tx, { protocolFeeBps: contracts.protocolFeeBps, tokenDecimals: 6 });
+    expect(result.flashLoanFee.toNumber()).to.equal(3e6);
+    expect(result.protocolFee.toNumber()).to.equal(1546250);
+    expect(result.netProfit.toNumber()).to.equal(153078750);
+  });
+
+  it("Should decode the flash loan events a trade may emit", function () {
+    const decoded = decodeTradeReceipt(receipt([
+      log(CONTRACT, "FlashLoanInitiated", [USDC, 1000e6, BOT, 50]),
+      log(CONTRACT, "FlashLoanFailed", [USDC, 1000e6, BOT, "Price anomaly"])
+    ]), CONTRACT);
+
+    expect(decoded.initiated.slippageBps).to.equal(50);
+    expect(decoded.completed).to.equal(null);
+    expect(decoded.failed.reason).to.equal("Price anomaly");
+    expect(decoded.amountIn.toNumber()).to.equal(1000e6);
+    expect(decoded.amountOut).to.equal(null);
+  });
+
+  it("Should ignore logs from other contracts and events it does not know", function () {
+    const decoded = decodeTradeReceipt(receipt([
+      leg(OTHER, [[USDC, WETH], [1000e6, 5e14], QUICKSWAP]),
+      log(OTHER, "FlashLoanCompleted", [USDC, 1000e6, 3e6, 17e6, BOT]),
+      { address: CONTRACT, topics: [ethers.utils.id("CircuitBreakerTriggered(string,uint256,uint256)")], data: "0x" },
+      leg(CONTRACT, [[USDC, WETH, USDC], [1000e6, 5e14, 1020e6], QUICKSWAP])
+    ]), CONTRACT);
+
+    expect(decoded.completed).to.equal(null);
+    expect(decoded.legs).to.have.length(1);
+    expect(decoded.legs[0].router).to.equal(QUICKSWAP);
+    expect(decoded.amountIn.toNumber()).to.equal(1000e6);
+    expect(decoded.amountOut.toNumber()).to.equal(1020e6);
+  });
+
+  it("Should convert token amounts with 8-decimal USD prices", function () {
+    expect(toUsd(parseUnits("2.5", 6), 6, parseUnits("1", 8))).to.equal(2.5);
+    expect(toUsd(parseUnits("0.04", 18), 18, parseUnits("0.5", 8))).to.equal(0.02);
+  });
+
+  it("Should take realized profit from the first and last legs and subtract gas", function () {
+    const tx = receipt([
+      leg(CONTRACT, [[USDC, WETH], [1000e6, 5e14], QUICKSWAP]),
+      leg(CONTRACT, [[WETH, USDC], [5e14, 1020e6], SUSHISWAP])
+    ]);
+    const result = realizedProfit(decodeTradeReceipt(tx, CONTRACT), tx, {
+      protocolFeeBps: 100,
+      tokenDecimals: 6,
+      tokenPrice: parseUnits("1", 8),
+      nativePrice: parseUnits("0.5", 8)
+    });
+
+    expect(result.protocolFee.isZero()).to.equal(true); // executeMultiDexArbitrage charges none
+    expect(result.netProfit.toNumber()).to.equal(20e6);
+    expect(result.gasCost).to.deep.equal(parseUnits("0.04", 18));
+    expect(result.profitUsd).to.equal(20);
+    expect(result.gasCostUsd).to.equal(0.02);
+    expect(result.netUsd).to.be.closeTo(19.98, 1e-9);
+
+    // A route left in another token has no profit to report in the starting one
+    const open = receipt([leg(CONTRACT, [[USDC, WETH], [1000e6, 5e14], QUICKSWAP])]);
+    expect(realizedProfit(decodeTradeReceipt(open, CONTRACT), open, { tokenDecimals: 6 }).netProfit.isZero()).to.equal(true);
+  });
+
+  it("Should report a reverted trade as a gas loss and leave USD empty without prices", function () {
+    const tx = receipt([], 0);
+    const decoded = decodeTradeReceipt(tx, CONTRACT);
+    expect(decoded.success).to.equal(false);
+    expect(decoded.amountIn).to.equal(null);
+
+    const priced = realizedProfit(decoded, tx, { tokenDecimals: 6, tokenPrice: parseUnits("1", 8), nativePrice: parseUnits("0.5", 8) });
+    expect(priced.netProfit.isZero()).to.equal(true);
+    expect(priced.netUsd).to.equal(-0.02);
+
+    const unpriced = realizedProfit(decoded, tx, { tokenDecimals: 6 });
+    expect(unpriced.profitUsd).to.equal(null);
+    expect(unpriced.netUsd).to.equal(null);
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  getRouteOutput,
+  getNetProfit,
+  optimalTwoPoolInput,
+  searchOptimalInput,
+  sizeTrade
+} = require("../lib/trade-sizer");
+
+const { parseUnits } = ethers.utils;
+
+describe("TradeSizer", function () {
+  // USDC -> WETH on one DEX, WETH -> USDC on a DEX pricing WETH 5% higher
+  const twoPools = [
+    { reserveIn: parseUnits("2000000", 6), reserveOut: parseUnits("1000", 18) },
+    { reserveIn: parseUnits("1000", 18), reserveOut: parseUnits("2100000", 6) }
+  ];
+
+  const threePools = [
+    { reserveIn: parseUnits("2000000", 6), reserveOut: parseUnits("1000", 18) },
+    { reserveIn: parseUnits("1000", 18), reserveOut: parseUnits("2100000", 18) },
+    { reserveIn: parseUnits("2000000", 18), reserveOut: parseUnits("2000000", 6) }
+  ];
+
+  const objective = (pools, amount) => getNetProfit(amount, getRouteOutput(pools, amount), 0);
+
+  describe("getNetProfit", function () {
+    it("Should deduct the flash fee, protocol cut and gas", function () {
+      const amountIn = parseUnits("1000", 6);
+      const amountOut = parseUnits("1103", 6);
+      // repay 1003, profit 100, 1% protocol fee = 1, gas 2
+      const net = getNetProfit(amountIn, amountOut, 100, parseUnits("2", 6));
+      expect(net).to.deep.equal(parseUnits("97", 6));
+    });
+
+    it("Should not charge the protocol fee on losses", function () {
+      const net = getNetProfit(parseUnits("1000", 6), parseUnits("1000", 6), 100);
+      expect(net).to.deep.equal(parseUnits("-3", 6));
+    });
+  });
+
+  describe("Two-pool closed form", function () {
+    it("Should agree with the numeric search", function () {
+      const closedForm = optimalTwoPoolInput(twoPools);
+      const searched = searchOptimalInput(twoPools, parseUnits("1000000", 6));
+
+      // Both land on the same plateau of the objective
+      const diff = objective(twoPools, closedForm).sub(objective(twoPools, searched)).abs();
+      expect(diff.lte(1)).to.equal(true);
+      expect(closedForm.gt(0)).to.equal(true);
+    });
+
+    it("Should beat nearby sizes", function () {
+      const best = optimalTwoPoolInput(twoPools);
+      const step = best.div(100);
+      expect(objective(twoPools, best).gte(objective(twoPools, best.sub(step)))).to.equal(true);
+      expect(objective(twoPools, best).gte(objective(twoPools, best.add(step)))).to.equal(true);
+    });
+
+    it("Should return zero when no size is profitable", function () {
+      const fair = [
+        { reserveIn: parseUnits("2000000", 6), reserveOut: parseUnits("1000", 18) },
+        { reserveIn: parseUnits("1000", 18), reserveOut: parseUnits("2000000", 6) }
+      ];
+      expect(optimalTwoPoolInput(fair).isZero()).to.equal(true);
+    });
+  });
+
+  describe("sizeTrade", function () {
+    it("Should search longer routes numerically", function () {
+      const { amountIn, netProfit } = sizeTrade(threePools, { maxAmount: parseUnits("1000000", 6), protocolFeeBps: 100 });
+      const step = amountIn.div(50);
+
+      expect(netProfit.gt(0)).to.equal(true);
+      expect(objective(threePools, amountIn).gte(objective(threePools, amountIn.sub(step)))).to.equal(true);
+      expect(objective(threePools, amountIn).gte(objective(threePools, amountIn.add(step)))).to.equal(true);
+    });
+
+    it("Should clamp to the maximum amount", function () {
+      const maxAmount = parseUnits("100", 6);
+      const { amountIn, amountOut } = sizeTrade(twoPools, { maxAmount, protocolFeeBps: 100 });
+      expect(amountIn).to.deep.equal(maxAmount);
+      expect(amountOut).to.deep.equal(getRouteOutput(twoPools, maxAmount));
+    });
+
+    it("Should size nothing without headroom", function () {
+      const { amountIn } = sizeTrade(twoPools, { maxAmount: 0 });
+      expect(amountIn.isZero()).to.equal(true);
+    });
+
+    it("Should subtract gas from the net profit", function () {
+      const gasCost = parseUnits("5", 6);
+      const withoutGas = sizeTrade(twoPools, { maxAmount: parseUnits("1000000", 6) });
+      const withGas = sizeTrade(twoPools, { maxAmount: parseUnits("1000000", 6), gasCost });
+      expect(withoutGas.netProfit.sub(withGas.netProfit)).to.deep.equal(gasCost);
+    });
+  });
+});
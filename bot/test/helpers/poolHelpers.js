@@ -0,0 +1,32 @@
+const { pairKey } = require("../../lib/reserve-scanner");
+
+/**
+ * Register a pool on a scanner without touching the chain
+ * @param {ReserveScanner} scanner - Scanner to add the pool to
+ * @param {string} dexName - DEX name
+ * @param {string} tokenA - First token address
+ * @param {string} tokenB - Second token address
+ * @param {ethers.BigNumber} reserveA - Reserve of tokenA
+ * @param {ethers.BigNumber} reserveB - Reserve of tokenB
+ * @returns {Object} Tracked pool
+ */
+function addPool(scanner, dexName, tokenA, tokenB, reserveA, reserveB) {
+  const key = pairKey(tokenA, tokenB);
+  const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+  const pool = {
+    dexName,
+    address: `${dexName}:${key}`,
+    token0,
+    token1,
+    reserve0: token0 === tokenA ? reserveA : reserveB,
+    reserve1: token0 === tokenA ? reserveB : reserveA
+  };
+
+  if (!scanner.pools.has(key)) scanner.pools.set(key, []);
+  scanner.pools.get(key).push(pool);
+  return pool;
+}
+
+module.exports = {
+  addPool
+};
@@ -9,7 +9,7 @@ import "./interfaces/IAggregatorV3.sol";
 import "./libraries/UniswapV2Library.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /**
@@ -17,7 +17,7 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * @dev Polygon-optimized flash loan contract with advanced security features
  * Optimized for Polygon's lower gas costs and faster block times
  */
-contract FlashLoanPolygon is IUniswapV2Callee, ReentrancyGuard, Ownable, Pausable {
+contract FlashLoanPolygon is IUniswapV2Callee, ReentrancyGuard, Ownable2Step, Pausable {
     using SafeERC20 for IERC20;
 
     // ============ CONSTANTS ============
@@ -43,6 +43,7 @@ contract PriceOraclePolygon {
     mapping(address => mapping(address => address)) public pairAddresses; // tokenA => tokenB => pair
     
     // ============ MUTABLE STORAGE ============
+    address public pendingOwner; // Set by transferOwnership until it accepts
     mapping(string => DexInfo) public dexInfos;
     mapping(address => mapping(address => TwapObservation[])) public twapObservations; // tokenA => tokenB => observations
     mapping(address => address) public chainlinkOracles; // token => oracle
@@ -52,6 +53,8 @@ contract PriceOraclePolygon {
     event DexRemoved(string name);
     event PriceUpdated(address tokenA, address tokenB, uint256 price, uint256 twapPrice);
     event OracleAdded(address token, address oracle);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
     
     // ============ MODIFIERS ============
     modifier onlyOwner() {
@@ -244,6 +247,25 @@ contract PriceOraclePolygon {
         emit OracleAdded(token, oracle);
     }
     
+    /**
+     * @dev Start a 2-step ownership transfer; the new owner has to call acceptOwnership
+     * @param newOwner Address that may accept ownership, zero to cancel a pending transfer
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+    
+    /**
+     * @dev Complete a 2-step ownership transfer
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not pending owner");
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+    
     /**
      * @dev Update pair address
      * @param tokenA First token
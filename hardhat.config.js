@@ -1,6 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
+require("./tasks/drift");
+require("./tasks/admin");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -16,7 +18,13 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      // Disable forking for tests
+      // Forks only when FORK_URL is set (drift checks); tests run without it
+      ...(process.env.FORK_URL && {
+        forking: {
+          url: process.env.FORK_URL,
+          ...(process.env.FORK_BLOCK && { blockNumber: Number(process.env.FORK_BLOCK) }),
+        },
+      }),
     },
     bsc: {
       url: process.env.BSC_RPC_URL || "https://bsc-dataseed1.binance.org/",
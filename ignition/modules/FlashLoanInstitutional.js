@@ -0,0 +1,20 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * FlashLoanInstitutional on PancakeSwap. Parameters: factory, router, BUSD, WBNB, CROX,
+ * CAKE, chainlinkOracle (BUSD/USD) and optionally feeRecipient (the deployer by default).
+ */
+module.exports = buildModule("FlashLoanInstitutionalModule", (m) => {
+  const flashLoan = m.contract("FlashLoanInstitutional", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("BUSD"),
+    m.getParameter("WBNB"),
+    m.getParameter("CROX"),
+    m.getParameter("CAKE"),
+    m.getParameter("chainlinkOracle"),
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan };
+});
@@ -0,0 +1,23 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MockERC20Module = require("./MockERC20");
+
+/**
+ * FlashLoanInstitutional for BSC testnet: CROX has no testnet deployment, so a MockERC20
+ * takes its place. Same parameters as FlashLoanInstitutionalModule, without CROX.
+ */
+module.exports = buildModule("FlashLoanInstitutionalTestnetModule", (m) => {
+  const { mockToken } = m.useModule(MockERC20Module);
+
+  const flashLoan = m.contract("FlashLoanInstitutional", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("BUSD"),
+    m.getParameter("WBNB"),
+    mockToken,
+    m.getParameter("CAKE"),
+    m.getParameter("chainlinkOracle"),
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan, mockToken };
+});
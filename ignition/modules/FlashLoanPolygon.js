@@ -0,0 +1,24 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const PriceOraclePolygonModule = require("./PriceOraclePolygon");
+
+/**
+ * FlashLoanPolygon on the live Chainlink USDC/USD feed, with its PriceOraclePolygon.
+ * Parameters: factory, router, USDC, WMATIC, WETH, DAI, chainlinkOracle and optionally
+ * feeRecipient (the deployer by default).
+ */
+module.exports = buildModule("FlashLoanPolygonModule", (m) => {
+  const { priceOracle } = m.useModule(PriceOraclePolygonModule);
+
+  const flashLoan = m.contract("FlashLoanPolygon", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("USDC"),
+    m.getParameter("WMATIC"),
+    m.getParameter("WETH"),
+    m.getParameter("DAI"),
+    m.getParameter("chainlinkOracle"),
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan, priceOracle };
+});
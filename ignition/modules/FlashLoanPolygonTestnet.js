@@ -0,0 +1,25 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const PriceOraclePolygonModule = require("./PriceOraclePolygon");
+const MockOracleModule = require("./MockOracle");
+
+/**
+ * FlashLoanPolygon for test networks: the MockOracle is deployed first and wired in as
+ * its USDC/USD feed. Same parameters as FlashLoanPolygonModule, without chainlinkOracle.
+ */
+module.exports = buildModule("FlashLoanPolygonTestnetModule", (m) => {
+  const { mockOracle } = m.useModule(MockOracleModule);
+  const { priceOracle } = m.useModule(PriceOraclePolygonModule);
+
+  const flashLoan = m.contract("FlashLoanPolygon", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("USDC"),
+    m.getParameter("WMATIC"),
+    m.getParameter("WETH"),
+    m.getParameter("DAI"),
+    mockOracle,
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan, priceOracle, mockOracle };
+});
@@ -0,0 +1,19 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * FlashLoanSecure on PancakeSwap. Parameters: factory, router, BUSD, WBNB, CROX, CAKE and
+ * optionally feeRecipient (the deployer by default).
+ */
+module.exports = buildModule("FlashLoanSecureModule", (m) => {
+  const flashLoan = m.contract("FlashLoanSecure", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("BUSD"),
+    m.getParameter("WBNB"),
+    m.getParameter("CROX"),
+    m.getParameter("CAKE"),
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan };
+});
@@ -0,0 +1,22 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MockERC20Module = require("./MockERC20");
+
+/**
+ * FlashLoanSecure for BSC testnet, with a MockERC20 in place of CROX. Same parameters as
+ * FlashLoanSecureModule, without CROX.
+ */
+module.exports = buildModule("FlashLoanSecureTestnetModule", (m) => {
+  const { mockToken } = m.useModule(MockERC20Module);
+
+  const flashLoan = m.contract("FlashLoanSecure", [
+    m.getParameter("factory"),
+    m.getParameter("router"),
+    m.getParameter("BUSD"),
+    m.getParameter("WBNB"),
+    mockToken,
+    m.getParameter("CAKE"),
+    m.getParameter("feeRecipient", m.getAccount(0))
+  ]);
+
+  return { flashLoan, mockToken };
+});
@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * Mintable ERC20 with 18 decimals, minting 1,000,000 to the deployer. Stands in for a
+ * token with no deployment on a test network. Parameters: name and symbol.
+ */
+module.exports = buildModule("MockERC20Module", (m) => {
+  const mockToken = m.contract("MockERC20", [m.getParameter("name"), m.getParameter("symbol")]);
+
+  return { mockToken };
+});
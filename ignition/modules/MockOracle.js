@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * Chainlink-style feed answering a settable price, 1e8 until setPrice is called.
+ * Stands in for the USDC/USD feed on test networks.
+ */
+module.exports = buildModule("MockOracleModule", (m) => {
+  const mockOracle = m.contract("MockOracle");
+
+  return { mockOracle };
+});
@@ -0,0 +1,12 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * UniswapV2-style factory and router for local networks. The router quotes and pays out
+ * 5% more per hop by minting the output token, so the tokens it trades must be MockERC20.
+ */
+module.exports = buildModule("MockUniswapModule", (m) => {
+  const mockFactory = m.contract("MockUniswapV2Factory");
+  const mockRouter = m.contract("MockUniswapV2Router", [mockFactory]);
+
+  return { mockFactory, mockRouter };
+});
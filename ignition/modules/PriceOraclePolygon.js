@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * Price oracle aggregating the Polygon DEXes and Chainlink feeds. Its DEXes and feeds are
+ * configuration, applied by scripts/deploy.js after deployment.
+ */
+module.exports = buildModule("PriceOraclePolygonModule", (m) => {
+  const priceOracle = m.contract("PriceOraclePolygon");
+
+  return { priceOracle };
+});
@@ -0,0 +1,57 @@
+const path = require("path");
+const hre = require("hardhat");
+const { DEPLOYMENTS_DIR, loadParameters, Manifest, deployAll } = require("./lib/deployments");
+const { desiredState, readState, diffState, describeChange, applyChanges } = require("./lib/configurator");
+
+/**
+ * Deploy the Polygon contracts to the selected network through their Ignition module, with
+ * the constructor args in ignition/parameters/<network>.json, record them in
+ * deployments/<network>.json, then bring their configuration to the desired state in
+ * deploy/<network>.json. Safe to re-run: Ignition resumes or reuses the deployment journaled
+ * in ignition/deployments/chain-<id>, and only settings that differ are sent. With
+ * DRY_RUN=true the configuration changes are listed, not sent.
+ *
+ * Usage: npx hardhat run scripts/deploy.js --network polygon
+ */
+async function main() {
+  const { ethers, network } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const params = loadParameters(network.name, ethers.getAddress);
+
+  // The in-process network is gone when the script exits, so there is nothing to record
+  const ephemeral = network.name === "hardhat";
+  const file = ephemeral ? null : path.join(DEPLOYMENTS_DIR, `${network.name}.json`);
+  const deploymentDir = ephemeral ? undefined : path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`);
+  const manifest = Manifest.load(file, network.name, Number(chainId));
+
+  console.log(`Deploying ${params.moduleId} to ${network.name} (chain ${chainId}) from ${deployer.address}`);
+  const deployment = await deployAll(hre, params, manifest, { deploymentDir });
+
+  console.log("\n=== Deployments ===");
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    console.log(`${name}: ${entry.address} (block ${entry.blockNumber})${deployment.deployed.includes(name) ? "" : " reused"}`);
+  }
+  if (file) console.log(`Manifest: ${path.relative(process.cwd(), file)}`);
+
+  const contracts = { FlashLoanPolygon: deployment.flashLoan, PriceOraclePolygon: deployment.priceOracle };
+  const desired = desiredState(params, deployment);
+  const changes = diffState(await readState(contracts, desired, params.tokens), desired, params.tokens);
+
+  console.log("\n=== Configuration ===");
+  if (changes.length === 0) {
+    console.log("Up to date");
+  } else if (process.env.DRY_RUN === "true") {
+    changes.forEach(change => console.log(describeChange(change)));
+    console.log(`\n${changes.length} change(s) not sent (DRY_RUN)`);
+  } else {
+    await applyChanges(contracts, changes, { confirmations: params.confirmations });
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
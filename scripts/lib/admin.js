@@ -0,0 +1,363 @@
+const { Contract, formatUnits, getAddress, isAddress, parseUnits } = require("ethers");
+const { formatTable } = require("./configurator");
+
+/**
+ * Operator actions on a deployed FlashLoanPolygon: each action reads the settings it
+ * touches, returns them before and after as changes, and the calls that make the change.
+ * executePlan shows the diff, then simulates or sends the calls.
+ */
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)"
+];
+
+// Mirror the checks of FlashLoanPolygon, so a bad value fails before anything is sent
+const MAX_FEE_BPS = 1000n;
+const MAX_LTV_BPS = 10000n;
+const MAX_RISK_SCORE = 1000n;
+
+const AMOUNT_SUFFIXES = { k: 3, m: 6, b: 9 };
+
+/**
+ * Parse a token amount written for humans into base units
+ * @param {string} text - Amount such as "2500", "10,000", "0.5" or "1.5m"
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ * @throws When the amount is malformed or more precise than the token
+ */
+function parseAmount(text, decimals) {
+  const match = /^([0-9][0-9,_]*(?:\.[0-9]+)?)\s*([kmb])?$/i.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid amount ${JSON.stringify(text)}: use e.g. 2500, 10,000, 0.5 or 1.5m`);
+  const shift = match[2] ? AMOUNT_SUFFIXES[match[2].toLowerCase()] : 0;
+  try {
+    return parseUnits(match[1].replace(/[,_]/g, ""), decimals + shift);
+  } catch (error) {
+    throw new Error(`Invalid amount ${JSON.stringify(text)}: more decimals than the token's ${decimals}`);
+  }
+}
+
+/**
+ * Parse a rate written as a percentage or in basis points. A bare number is refused, since
+ * 1 could mean 1% as well as 1 bps.
+ * @param {string} text - Rate such as "1%", "0.25%" or "100bps"
+ * @returns {bigint} Basis points
+ * @throws When the unit is missing or the rate is not a whole number of basis points
+ */
+function parseBps(text) {
+  const match = /^([0-9]+(?:\.[0-9]+)?)\s*(%|bps)$/i.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid rate ${JSON.stringify(text)}: give a unit, e.g. 1% or 100bps`);
+  try {
+    return parseUnits(match[1], match[2] === "%" ? 2 : 0);
+  } catch (error) {
+    throw new Error(`Invalid rate ${JSON.stringify(text)}: not a whole number of basis points`);
+  }
+}
+
+/**
+ * @param {bigint} bps - Basis points
+ * @returns {string} e.g. "100 bps (1.0%)"
+ */
+function formatBps(bps) {
+  return `${bps} bps (${formatUnits(bps, 2)}%)`;
+}
+
+/**
+ * Check an address argument
+ * @param {string} value - Address
+ * @param {string} name - Argument name, for the error
+ * @returns {string} Checksummed address
+ */
+function parseAddress(value, name) {
+  if (!isAddress(value)) throw new Error(`--${name} must be an address, got ${JSON.stringify(value)}`);
+  return getAddress(value);
+}
+
+/**
+ * Context the actions work in
+ * @param {Object} flashLoan - FlashLoanPolygon connected to the operator
+ * @param {Object} tokens - Token symbol => address, from loadParameters
+ * @returns {Promise<Object>} { flashLoan, signer: address, token(ref) => Promise<{ address, symbol, decimals, contract }> }
+ */
+async function adminContext(flashLoan, tokens) {
+  const runner = flashLoan.runner;
+  const signer = await runner.getAddress();
+  const token = async ref => {
+    const known = Object.keys(tokens).find(symbol => symbol.toLowerCase() === String(ref).toLowerCase());
+    if (!known && !isAddress(ref)) throw new Error(`Unknown token ${ref}: use one of ${Object.keys(tokens).join(", ")} or an address`);
+    const address = known ? tokens[known] : getAddress(ref);
+    const contract = new Contract(address, ERC20_ABI, runner);
+    return { address, symbol: known || (await contract.symbol()), decimals: Number(await contract.decimals()), contract };
+  };
+  return { flashLoan, signer, token };
+}
+
+const change = (setting, current, desired) => ({ contract: "FlashLoanPolygon", setting, current, desired });
+const call = (target, label, method, args, options = {}) => ({ target, label, method, args, ...options });
+const flag = value => (value ? "on" : "off");
+
+/**
+ * Operator actions by name: { description, params: [[name, description]], ownerOnly, plan(context, args) }.
+ * plan resolves to { changes, calls }, changes formatted for reading.
+ */
+const ACTIONS = {
+  "trigger-circuit-breaker": {
+    description: "Stop new flash loans until the circuit breaker is reset",
+    params: [["reason", "Why, recorded in the CircuitBreakerTriggered event"]],
+    ownerOnly: true,
+    async plan({ flashLoan }, { reason }) {
+      if (!reason) throw new Error("--reason is required");
+      return {
+        changes: [change("circuitBreakerActive", flag(await flashLoan.circuitBreakerActive()), flag(true))],
+        calls: [call(flashLoan, "FlashLoanPolygon", "triggerCircuitBreaker", [reason])]
+      };
+    }
+  },
+
+  "reset-circuit-breaker": {
+    description: "Allow flash loans again after the circuit breaker was triggered",
+    params: [],
+    ownerOnly: true,
+    async plan({ flashLoan }) {
+      return {
+        changes: [change("circuitBreakerActive", flag(await flashLoan.circuitBreakerActive()), flag(false))],
+        calls: [call(flashLoan, "FlashLoanPolygon", "resetCircuitBreaker", [])]
+      };
+    }
+  },
+
+  pause: {
+    description: "Pause the contract (emergencyPause)",
+    params: [],
+    ownerOnly: true,
+    async plan({ flashLoan }) {
+      return {
+        changes: [change("paused", flag(await flashLoan.paused()), flag(true))],
+        calls: [call(flashLoan, "FlashLoanPolygon", "emergencyPause", [])]
+      };
+    }
+  },
+
+  unpause: {
+    description: "Lift an emergency pause (emergencyUnpause)",
+    params: [],
+    ownerOnly: true,
+    async plan({ flashLoan }) {
+      return {
+        changes: [change("paused", flag(await flashLoan.paused()), flag(false))],
+        calls: [call(flashLoan, "FlashLoanPolygon", "emergencyUnpause", [])]
+      };
+    }
+  },
+
+  "set-risk-config": {
+    description: "Set the loan limit, LTV and risk score of an asset (updateAssetRiskConfig)",
+    params: [
+      ["token", "Token symbol or address"],
+      ["maxLoan", "Largest loan in whole tokens, e.g. 250k"],
+      ["ltv", "Loan-to-value ratio, e.g. 80% or 8000bps"],
+      ["riskScore", "Risk score, 0-1000"]
+    ],
+    ownerOnly: true,
+    async plan({ flashLoan, token: resolveToken }, args) {
+      const token = await resolveToken(args.token);
+      const maxLoanAmount = parseAmount(args.maxLoan, token.decimals);
+      const ltvRatio = parseBps(args.ltv);
+      if (!/^[0-9]+$/.test(String(args.riskScore))) throw new Error(`--risk-score must be a whole number, got ${JSON.stringify(args.riskScore)}`);
+      const riskScore = BigInt(args.riskScore);
+      if (maxLoanAmount === 0n) throw new Error("--max-loan must be more than 0");
+      if (ltvRatio > MAX_LTV_BPS) throw new Error(`--ltv must be at most 100%, got ${formatBps(ltvRatio)}`);
+      if (riskScore > MAX_RISK_SCORE) throw new Error(`--risk-score must be at most ${MAX_RISK_SCORE}`);
+
+      const config = await flashLoan.getAssetRiskConfig(token.address);
+      const setting = name => `riskConfigs[${token.symbol}].${name}`;
+      const amount = value => `${formatUnits(value, token.decimals)} ${token.symbol}`;
+      return {
+        changes: [
+          change(setting("maxLoanAmount"), amount(config.maxLoanAmount), amount(maxLoanAmount)),
+          change(setting("ltvRatio"), formatBps(config.ltvRatio), formatBps(ltvRatio)),
+          change(setting("riskScore"), config.riskScore.toString(), riskScore.toString()),
+          change(setting("isActive"), String(config.isActive), "true")
+        ],
+        calls: [call(flashLoan, "FlashLoanPolygon", "updateAssetRiskConfig", [token.address, maxLoanAmount, ltvRatio, riskScore])]
+      };
+    }
+  },
+
+  "set-oracle": {
+    description: "Set the Chainlink feed of a token (setTokenOracle)",
+    params: [["token", "Token symbol or address"], ["oracle", "Feed address"]],
+    ownerOnly: true,
+    async plan({ flashLoan, token: resolveToken }, args) {
+      const token = await resolveToken(args.token);
+      const oracle = parseAddress(args.oracle, "oracle");
+      return {
+        changes: [change(`tokenOracles[${token.symbol}]`, await flashLoan.tokenOracles(token.address), oracle)],
+        calls: [call(flashLoan, "FlashLoanPolygon", "setTokenOracle", [token.address, oracle])]
+      };
+    }
+  },
+
+  "add-router": {
+    description: "Allow a DEX router for arbitrage (addSupportedRouter)",
+    params: [["router", "Router address"]],
+    ownerOnly: true,
+    async plan({ flashLoan }, args) {
+      const router = parseAddress(args.router, "router");
+      return {
+        changes: [change(`supportedRouters[${router}]`, String(await flashLoan.supportedRouters(router)), "true")],
+        calls: [call(flashLoan, "FlashLoanPolygon", "addSupportedRouter", [router])]
+      };
+    }
+  },
+
+  "set-fee": {
+    description: "Set the protocol fee (setProtocolFee)",
+    params: [["fee", "Fee, e.g. 0.5% or 50bps"]],
+    ownerOnly: true,
+    async plan({ flashLoan }, args) {
+      const fee = parseBps(args.fee);
+      if (fee > MAX_FEE_BPS) throw new Error(`--fee must be at most ${formatBps(MAX_FEE_BPS)}, got ${formatBps(fee)}`);
+      return {
+        changes: [change("protocolFeeBps", formatBps(await flashLoan.protocolFeeBps()), formatBps(fee))],
+        calls: [call(flashLoan, "FlashLoanPolygon", "setProtocolFee", [fee])]
+      };
+    }
+  },
+
+  "set-fee-recipient": {
+    description: "Set where protocol fees go (setFeeRecipient)",
+    params: [["recipient", "Recipient address"]],
+    ownerOnly: true,
+    async plan({ flashLoan }, args) {
+      const recipient = parseAddress(args.recipient, "recipient");
+      return {
+        changes: [change("feeRecipient", await flashLoan.feeRecipient(), recipient)],
+        calls: [call(flashLoan, "FlashLoanPolygon", "setFeeRecipient", [recipient])]
+      };
+    }
+  },
+
+  "add-insurance": {
+    description: "Move USDC from the operator into the insurance reserve (addToInsuranceReserve)",
+    params: [["amount", "USDC to add, e.g. 5,000"]],
+    ownerOnly: false,
+    async plan({ flashLoan, signer, token: resolveToken }, args) {
+      const usdc = await resolveToken(await flashLoan.USDC());
+      const amount = parseAmount(args.amount, usdc.decimals);
+      if (amount === 0n) throw new Error("--amount must be more than 0");
+      const format = value => `${formatUnits(value, usdc.decimals)} ${usdc.symbol}`;
+
+      const [reserve, balance, allowance] = await Promise.all([
+        flashLoan.insuranceReserveBalance(),
+        usdc.contract.balanceOf(signer),
+        usdc.contract.allowance(signer, await flashLoan.getAddress())
+      ]);
+      if (balance < amount) throw new Error(`${signer} holds ${format(balance)}, less than ${format(amount)}`);
+
+      const calls = [];
+      if (allowance < amount) calls.push(call(usdc.contract, usdc.symbol, "approve", [await flashLoan.getAddress(), amount]));
+      // Until the approval is mined the transfer would revert, so it can only be simulated without one
+      calls.push(call(flashLoan, "FlashLoanPolygon", "addToInsuranceReserve", [amount],
+        { unsimulated: calls.length > 0 ? `needs the ${usdc.symbol} approval first` : null }));
+      return {
+        changes: [
+          change("insuranceReserveBalance", format(reserve), format(reserve + amount)),
+          { contract: usdc.symbol, setting: `balanceOf(${signer})`, current: format(balance), desired: format(balance - amount) }
+        ],
+        calls
+      };
+    }
+  }
+};
+
+/**
+ * Describe a call on one line
+ * @param {Object} pending - Call from a plan
+ * @returns {string} Description
+ */
+function describeCall(pending) {
+  return `${pending.label}.${pending.method}(${pending.args.map(String).join(", ")})`;
+}
+
+/**
+ * Plan an action: check the operator may run it, then read the settings it changes
+ * @param {Object} context - Context from adminContext
+ * @param {string} name - Action name, a key of ACTIONS
+ * @param {Object} args - Action arguments by param name
+ * @returns {Promise<Object>} { changes, calls }
+ * @throws When the action is unknown, an argument is invalid or the operator is not the owner
+ */
+async function planAction(context, name, args) {
+  const action = ACTIONS[name];
+  if (!action) throw new Error(`Unknown action ${name}: use one of ${Object.keys(ACTIONS).join(", ")}`);
+  if (action.ownerOnly) {
+    const owner = await context.flashLoan.owner();
+    if (owner !== context.signer) throw new Error(`FlashLoanPolygon is owned by ${owner}, not ${context.signer}; its owner has to ${name}`);
+  }
+  return action.plan(context, args);
+}
+
+/**
+ * Show the before/after diff of a plan, then simulate its calls (dryRun) or send them once confirmed
+ * @param {Object} plan - Plan from planAction
+ * @param {Object} options - { dryRun, confirm: async question => boolean, confirmations, log }
+ * @returns {Promise<Array<Object>>} Calls sent, with their txHash; empty on a dry run, a refusal or nothing to change
+ * @throws When a simulated call reverts
+ */
+async function executePlan(plan, options = {}) {
+  const log = options.log || console.log;
+  if (plan.changes.every(({ current, desired }) => current === desired)) {
+    log("Already set, nothing to send");
+    return [];
+  }
+
+  log(formatTable(plan.changes, ["Before", "After"]));
+  log("");
+  plan.calls.forEach(pending => log(describeCall(pending)));
+
+  if (options.dryRun) {
+    for (const pending of plan.calls) {
+      if (pending.unsimulated) {
+        log(`${describeCall(pending)}: not simulated, ${pending.unsimulated}`);
+        continue;
+      }
+      let gas;
+      try {
+        gas = await pending.target[pending.method].estimateGas(...pending.args);
+      } catch (error) {
+        throw new Error(`${describeCall(pending)} would revert: ${error.shortMessage || error.message}`);
+      }
+      log(`${describeCall(pending)}: simulated, ${gas} gas`);
+    }
+    log(`\n${plan.calls.length} transaction(s) not sent (--dry-run)`);
+    return [];
+  }
+
+  if (!(await options.confirm(`Send ${plan.calls.length} transaction(s)?`))) {
+    log("Cancelled, nothing sent");
+    return [];
+  }
+  const sent = [];
+  for (const pending of plan.calls) {
+    const tx = await pending.target[pending.method](...pending.args);
+    await tx.wait(options.confirmations || 1);
+    log(`${describeCall(pending)} in ${tx.hash}`);
+    sent.push({ ...pending, txHash: tx.hash });
+  }
+  return sent;
+}
+
+module.exports = {
+  ACTIONS,
+  parseAmount,
+  parseBps,
+  formatBps,
+  adminContext,
+  planAction,
+  describeCall,
+  executePlan
+};
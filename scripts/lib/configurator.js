@@ -0,0 +1,231 @@
+/**
+ * Declarative configuration of the deployed contracts. The desired state comes from the
+ * deployment parameters; the current state is read from the same keys on chain, and only
+ * the settings that differ are sent. Ownership moves last, in two steps: the configurator
+ * proposes the new owner, who then calls acceptOwnership itself.
+ *
+ * States are plain objects of strings and booleans so they compare and print as is:
+ *
+ *   FlashLoanPolygon:   { supportedRouters: { router: true }, tokenOracles: { SYMBOL: feed },
+ *                         riskConfigs: { SYMBOL: { maxLoanAmount, ltvRatio, riskScore, isActive } },
+ *                         protocolFeeBps, feeRecipient, owner, paused }
+ *   PriceOraclePolygon: { dexes: { name: { factory, router, isActive } }, chainlinkOracles: { SYMBOL: feed }, owner }
+ *
+ * Current states carry pendingOwner alongside owner.
+ */
+
+/**
+ * Desired state of both contracts
+ * @param {Object} params - Parameters from loadParameters
+ * @param {Object} deployment - { feeds: symbol => feed address, deployer } from deployAll
+ * @returns {Object} { FlashLoanPolygon, PriceOraclePolygon }
+ */
+function desiredState(params, deployment) {
+  const owner = params.owner || deployment.deployer;
+
+  const supportedRouters = {};
+  for (const router of [params.router, ...params.routers]) supportedRouters[router] = true;
+
+  const riskConfigs = {};
+  for (const [symbol, config] of Object.entries(params.riskConfigs)) {
+    riskConfigs[symbol] = {
+      maxLoanAmount: config.maxLoanAmount,
+      ltvRatio: String(config.ltvRatio),
+      riskScore: String(config.riskScore),
+      isActive: true
+    };
+  }
+
+  const flashLoan = {
+    supportedRouters,
+    tokenOracles: { ...deployment.feeds },
+    riskConfigs,
+    feeRecipient: params.feeRecipient || deployment.deployer,
+    owner,
+    paused: false
+  };
+  if (params.protocolFeeBps !== null) flashLoan.protocolFeeBps = String(params.protocolFeeBps);
+
+  const dexes = {};
+  for (const [name, dex] of Object.entries(params.dexes)) dexes[name] = { ...dex, isActive: true };
+
+  return {
+    FlashLoanPolygon: flashLoan,
+    PriceOraclePolygon: { dexes, chainlinkOracles: { ...deployment.feeds }, owner }
+  };
+}
+
+/**
+ * Read the current value of every setting the desired state names
+ * @param {Object} contracts - { FlashLoanPolygon, PriceOraclePolygon } contract instances
+ * @param {Object} desired - State from desiredState
+ * @param {Object} tokens - Token symbol => address
+ * @returns {Promise<Object>} Current state, same shape as desired plus pendingOwner
+ */
+async function readState(contracts, desired, tokens) {
+  const flashLoan = contracts.FlashLoanPolygon;
+  const priceOracle = contracts.PriceOraclePolygon;
+  const want = desired.FlashLoanPolygon;
+  const read = async (keys, reader) => {
+    const values = await Promise.all(keys.map(reader));
+    return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+  };
+
+  const current = {
+    FlashLoanPolygon: {
+      supportedRouters: await read(Object.keys(want.supportedRouters), router => flashLoan.supportedRouters(router)),
+      tokenOracles: await read(Object.keys(want.tokenOracles), symbol => flashLoan.tokenOracles(tokens[symbol])),
+      riskConfigs: await read(Object.keys(want.riskConfigs), async symbol => {
+        const config = await flashLoan.getAssetRiskConfig(tokens[symbol]);
+        return {
+          maxLoanAmount: config.maxLoanAmount.toString(),
+          ltvRatio: config.ltvRatio.toString(),
+          riskScore: config.riskScore.toString(),
+          isActive: config.isActive
+        };
+      }),
+      protocolFeeBps: (await flashLoan.protocolFeeBps()).toString(),
+      feeRecipient: await flashLoan.feeRecipient(),
+      owner: await flashLoan.owner(),
+      pendingOwner: await flashLoan.pendingOwner(),
+      paused: await flashLoan.paused()
+    },
+    PriceOraclePolygon: {
+      dexes: await read(Object.keys(desired.PriceOraclePolygon.dexes), async name => {
+        const dex = await priceOracle.dexInfos(name);
+        return { factory: dex.factory, router: dex.router, isActive: dex.isActive };
+      }),
+      chainlinkOracles: await read(Object.keys(desired.PriceOraclePolygon.chainlinkOracles), symbol => priceOracle.chainlinkOracles(tokens[symbol])),
+      owner: await priceOracle.owner(),
+      pendingOwner: await priceOracle.pendingOwner()
+    }
+  };
+  if (want.protocolFeeBps === undefined) delete current.FlashLoanPolygon.protocolFeeBps;
+  return current;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const show = value => (value === undefined ? "unset" : typeof value === "object" ? JSON.stringify(value) : String(value));
+
+/**
+ * Changes that bring the current state to the desired one, ownership last
+ * @param {Object} current - State from readState
+ * @param {Object} desired - State from desiredState
+ * @param {Object} tokens - Token symbol => address
+ * @returns {Array<Object>} { contract, setting, current, desired, method, args, note }; method is null, and
+ *   note says why, for drift the configurator leaves alone
+ */
+function diffState(current, desired, tokens) {
+  const changes = [];
+  const change = (contract, setting, from, to, method, args, note = null) => {
+    if (!same(from, to)) changes.push({ contract, setting, current: from, desired: to, method, args, note });
+  };
+  const flashNow = current.FlashLoanPolygon;
+  const flash = desired.FlashLoanPolygon;
+  const oracleNow = current.PriceOraclePolygon;
+  const oracle = desired.PriceOraclePolygon;
+
+  for (const router of Object.keys(flash.supportedRouters)) {
+    change("FlashLoanPolygon", `supportedRouters[${router}]`, flashNow.supportedRouters[router], true, "addSupportedRouter", [router]);
+  }
+  for (const [symbol, feed] of Object.entries(flash.tokenOracles)) {
+    change("FlashLoanPolygon", `tokenOracles[${symbol}]`, flashNow.tokenOracles[symbol], feed, "setTokenOracle", [tokens[symbol], feed]);
+  }
+  for (const [symbol, config] of Object.entries(flash.riskConfigs)) {
+    change("FlashLoanPolygon", `riskConfigs[${symbol}]`, flashNow.riskConfigs[symbol], config, "updateAssetRiskConfig",
+      [tokens[symbol], config.maxLoanAmount, config.ltvRatio, config.riskScore]);
+  }
+  if (flash.protocolFeeBps !== undefined) {
+    change("FlashLoanPolygon", "protocolFeeBps", flashNow.protocolFeeBps, flash.protocolFeeBps, "setProtocolFee", [flash.protocolFeeBps]);
+  }
+  change("FlashLoanPolygon", "feeRecipient", flashNow.feeRecipient, flash.feeRecipient, "setFeeRecipient", [flash.feeRecipient]);
+  // An emergency pause is lifted by an operator once its cause is dealt with, never by a deploy
+  change("FlashLoanPolygon", "paused", flashNow.paused, flash.paused, null, [], "emergencyUnpause is left to an operator");
+
+  for (const [name, dex] of Object.entries(oracle.dexes)) {
+    change("PriceOraclePolygon", `dexes[${name}]`, oracleNow.dexes[name], dex, "addDex", [name, dex.factory, dex.router]);
+  }
+  for (const [symbol, feed] of Object.entries(oracle.chainlinkOracles)) {
+    change("PriceOraclePolygon", `chainlinkOracles[${symbol}]`, oracleNow.chainlinkOracles[symbol], feed, "addChainlinkOracle", [tokens[symbol], feed]);
+  }
+
+  // Proposed once; after that only the new owner can complete it
+  for (const [contract, now, owner] of [["FlashLoanPolygon", flashNow, flash.owner], ["PriceOraclePolygon", oracleNow, oracle.owner]]) {
+    const pending = now.pendingOwner === owner;
+    if (pending) {
+      change(contract, "owner", now.owner, owner, null, [], "waiting for acceptOwnership by the new owner");
+    } else {
+      change(contract, "owner", now.owner, owner, "transferOwnership", [owner]);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Format changes as a table, one row per setting that drifted
+ * @param {Array<Object>} changes - Changes from diffState
+ * @param {Array<string>} columns - Headers of the current and desired values
+ * @returns {string} Table with a header row
+ */
+function formatTable(changes, columns = ["On chain", "Expected"]) {
+  const rows = [["Contract", "Setting", ...columns], ...changes.map(change => [
+    change.contract, change.setting, show(change.current), show(change.desired)
+  ])];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join(" | ").trimEnd();
+  return [line(rows[0]), widths.map(width => "-".repeat(width)).join("-|-"), ...rows.slice(1).map(line)].join("\n");
+}
+
+/**
+ * Describe a change on one line
+ * @param {Object} change - Change from diffState
+ * @returns {string} Description
+ */
+function describeChange(change) {
+  const action = change.method ? `${change.method}(${change.args.join(", ")})` : change.note;
+  return `${change.contract}.${change.setting}: ${show(change.current)} -> ${show(change.desired)} [${action}]`;
+}
+
+/**
+ * Send the transactions for a list of changes, in order
+ * @param {Object} contracts - { FlashLoanPolygon, PriceOraclePolygon } connected to the owner
+ * @param {Array<Object>} changes - Changes from diffState
+ * @param {Object} options - { confirmations, log }
+ * @returns {Promise<Array<Object>>} Changes sent, with their txHash
+ * @throws When the signer does not own a contract that needs changes
+ */
+async function applyChanges(contracts, changes, options = {}) {
+  const log = options.log || console.log;
+  const sendable = changes.filter(change => change.method);
+
+  const signer = await contracts.FlashLoanPolygon.runner.getAddress();
+  for (const name of new Set(sendable.map(change => change.contract))) {
+    const owner = await contracts[name].owner();
+    if (owner !== signer) {
+      throw new Error(`${name} is owned by ${owner}, not ${signer}; its owner has to make these changes:\n` +
+        sendable.filter(change => change.contract === name).map(describeChange).join("\n"));
+    }
+  }
+
+  const sent = [];
+  for (const change of changes) {
+    if (!change.method) {
+      log(`${change.contract}.${change.setting}: ${change.note}`);
+      continue;
+    }
+    const tx = await contracts[change.contract][change.method](...change.args);
+    await tx.wait(options.confirmations || 1);
+    log(`${describeChange(change)} in ${tx.hash}`);
+    sent.push({ ...change, txHash: tx.hash });
+  }
+  return sent;
+}
+
+module.exports = {
+  desiredState,
+  readState,
+  diffState,
+  describeChange,
+  formatTable,
+  applyChanges
+};
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, isAddress } = require("ethers");
+const { deploy, listTransactions, DeploymentResultType } = require("@nomicfoundation/ignition-core");
+const { HardhatArtifactResolver, errorDeploymentResultToExceptionMessage } = require("@nomicfoundation/hardhat-ignition/helpers");
+
+const ROOT = path.join(__dirname, "..", "..");
+const PARAMS_DIR = path.join(ROOT, "deploy");
+const IGNITION_PARAMS_DIR = path.join(ROOT, "ignition", "parameters");
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments");
+
+// Placeholder in a parameter file for the MockOracle deployed alongside on test networks
+const MOCK_ORACLE = "MockOracle";
+
+const FLASH_LOAN_TOKENS = ["USDC", "WMATIC", "WETH", "DAI"];
+
+// Ignition modules deploying the Polygon contracts, by module id
+const POLYGON_MODULES = {
+  FlashLoanPolygonModule: require("../../ignition/modules/FlashLoanPolygon"),
+  FlashLoanPolygonTestnetModule: require("../../ignition/modules/FlashLoanPolygonTestnet")
+};
+
+/**
+ * Read and check the deployment parameters of a network: the constructor args in
+ * ignition/parameters/<network>.json and the desired configuration in deploy/<network>.json.
+ * The in-process hardhat network uses the localhost parameters.
+ * @param {string} networkName - Hardhat network name
+ * @param {Function} getAddress - Address checksummer (ethers.getAddress), throws on invalid addresses
+ * @returns {Object} Deployment parameters { moduleId, ignition, mockOracle, confirmations, factory, router, tokens, oracles,
+ *   feeRecipient } and desired configuration { routers, riskConfigs, protocolFeeBps, dexes, owner }
+ * @throws When a file is missing or a field is invalid
+ */
+function loadParameters(networkName, getAddress) {
+  const name = networkName === "hardhat" ? "localhost" : networkName;
+  const file = path.join(PARAMS_DIR, `${name}.json`);
+  const ignitionFile = path.join(IGNITION_PARAMS_DIR, `${name}.json`);
+  for (const required of [file, ignitionFile]) {
+    if (!fs.existsSync(required)) throw new Error(`No deployment parameters for ${networkName}: ${required} is missing`);
+  }
+  const params = JSON.parse(fs.readFileSync(file, "utf8"));
+  const ignition = JSON.parse(fs.readFileSync(ignitionFile, "utf8"));
+
+  const checked = source => (value, field) => {
+    try {
+      return getAddress(value);
+    } catch (error) {
+      throw new Error(`${source}: ${field} must be an address, got ${JSON.stringify(value)}`);
+    }
+  };
+  const address = checked(file);
+  const constructorAddress = checked(ignitionFile);
+
+  // The module deployed is the one the Ignition parameters are given for
+  const moduleIds = Object.keys(ignition).filter(id => POLYGON_MODULES[id]);
+  if (moduleIds.length !== 1) throw new Error(`${ignitionFile}: expected parameters for one of ${Object.keys(POLYGON_MODULES).join(", ")}`);
+  const [moduleId] = moduleIds;
+  const args = ignition[moduleId];
+  const mockOracle = moduleId === "FlashLoanPolygonTestnetModule";
+
+  // The constructor tokens, plus any other asset the configuration refers to
+  const tokens = {};
+  for (const symbol of FLASH_LOAN_TOKENS) tokens[symbol] = constructorAddress(args[symbol], `${moduleId}.${symbol}`);
+  for (const [symbol, token] of Object.entries(params.tokens || {})) {
+    if (tokens[symbol]) throw new Error(`${file}: tokens.${symbol} is a constructor arg, set in ${ignitionFile}`);
+    tokens[symbol] = address(token, `tokens.${symbol}`);
+  }
+
+  // Chainlink feed per token symbol, or the mock on test networks. FlashLoanPolygon takes
+  // the USDC feed in its constructor.
+  if ((params.oracles || {}).USDC) throw new Error(`${file}: oracles.USDC is a constructor arg, set in ${ignitionFile}`);
+  const oracles = { USDC: mockOracle ? MOCK_ORACLE : constructorAddress(args.chainlinkOracle, `${moduleId}.chainlinkOracle`) };
+  for (const [symbol, feed] of Object.entries(params.oracles || {})) {
+    if (!tokens[symbol]) throw new Error(`${file}: oracles.${symbol} is not in tokens`);
+    if (feed === MOCK_ORACLE && !mockOracle) throw new Error(`${file}: oracles.${symbol} uses ${MOCK_ORACLE}, which ${moduleId} does not deploy`);
+    oracles[symbol] = feed === MOCK_ORACLE ? feed : address(feed, `oracles.${symbol}`);
+  }
+
+  // Per-asset limits in the token's base units, checked like updateAssetRiskConfig does
+  const riskConfigs = {};
+  for (const [symbol, config] of Object.entries(params.riskConfigs || {})) {
+    if (!tokens[symbol]) throw new Error(`${file}: riskConfigs.${symbol} is not in tokens`);
+    if (!/^[1-9][0-9]*$/.test(config.maxLoanAmount)) throw new Error(`${file}: riskConfigs.${symbol}.maxLoanAmount must be a positive integer string of base units`);
+    if (!Number.isInteger(config.ltvRatio) || config.ltvRatio < 0 || config.ltvRatio > 10000) throw new Error(`${file}: riskConfigs.${symbol}.ltvRatio must be 0-10000 basis points`);
+    if (!Number.isInteger(config.riskScore) || config.riskScore < 0 || config.riskScore > 1000) throw new Error(`${file}: riskConfigs.${symbol}.riskScore must be 0-1000`);
+    riskConfigs[symbol] = { maxLoanAmount: config.maxLoanAmount, ltvRatio: config.ltvRatio, riskScore: config.riskScore };
+  }
+
+  const protocolFeeBps = params.protocolFeeBps === undefined ? null : params.protocolFeeBps;
+  if (protocolFeeBps !== null && (!Number.isInteger(protocolFeeBps) || protocolFeeBps < 0 || protocolFeeBps > 1000)) {
+    throw new Error(`${file}: protocolFeeBps must be 0-1000`);
+  }
+
+  const dexes = {};
+  for (const [name, dex] of Object.entries(params.dexes || {})) {
+    dexes[name] = { factory: address(dex.factory, `dexes.${name}.factory`), router: address(dex.router, `dexes.${name}.router`) };
+  }
+
+  return {
+    moduleId,
+    ignition,
+    mockOracle,
+    confirmations: params.confirmations || 1,
+    factory: constructorAddress(args.factory, `${moduleId}.factory`),
+    router: constructorAddress(args.router, `${moduleId}.router`),
+    tokens,
+    oracles,
+    feeRecipient: args.feeRecipient ? constructorAddress(args.feeRecipient, `${moduleId}.feeRecipient`) : null,
+    // Desired state applied after deployment, see configurator.js
+    routers: (params.routers || []).map((router, i) => address(router, `routers[${i}]`)),
+    riskConfigs,
+    protocolFeeBps,
+    dexes,
+    owner: params.owner ? address(params.owner, "owner") : null
+  };
+}
+
+/**
+ * Deployment record of a network: what was deployed where, with which constructor args.
+ * Saved after every deployment so an interrupted run resumes where it stopped.
+ */
+class Manifest {
+  /**
+   * @param {string|null} filePath - Manifest file, null to keep it in memory
+   * @param {string} network - Network name
+   * @param {number} chainId - Chain the network is on
+   */
+  constructor(filePath, network, chainId) {
+    this.filePath = filePath;
+    this.network = network;
+    this.chainId = chainId;
+    this.contracts = {}; // name => { address, txHash, blockNumber, args, deployer }
+  }
+
+  /**
+   * Load the manifest of a network, empty when it was never deployed
+   * @param {string|null} filePath - Manifest file, null to keep it in memory
+   * @param {string} network - Network name
+   * @param {number|null} chainId - Chain the network is on, null to take the recorded one (on a fork)
+   * @returns {Manifest} Manifest
+   * @throws When the file records another chain
+   */
+  static load(filePath, network, chainId) {
+    const manifest = new Manifest(filePath, network, chainId);
+    if (filePath && fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (chainId !== null && saved.chainId !== chainId) throw new Error(`${filePath} records chain ${saved.chainId}, not ${chainId}`);
+      manifest.chainId = saved.chainId;
+      manifest.contracts = saved.contracts || {};
+    }
+    return manifest;
+  }
+
+  /**
+   * Record a deployment and save
+   * @param {string} name - Contract name
+   * @param {Object} entry - { address, txHash, blockNumber, args, deployer }
+   */
+  record(name, entry) {
+    this.contracts[name] = entry;
+    this.save();
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const manifest = { network: this.network, chainId: this.chainId, contracts: this.contracts };
+    fs.writeFileSync(this.filePath, JSON.stringify(manifest, null, 2) + "\n");
+  }
+}
+
+/**
+ * Deploy FlashLoanPolygon and PriceOraclePolygon, plus MockOracle on test networks, through
+ * their Ignition module. Ignition journals every transaction in deploymentDir, so a re-run
+ * resumes an interrupted deployment and reuses a finished one; the manifest is filled in
+ * from that journal.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} params - Parameters from loadParameters
+ * @param {Manifest} manifest - Deployments so far, updated as contracts are deployed
+ * @param {Object} options - { deploymentDir: Ignition journal directory, none to deploy without one; log }
+ * @returns {Promise<Object>} { flashLoan, priceOracle, mockOracle, feeds: token symbol => feed address,
+ *   deployer, deployed: names recorded in this run }
+ * @throws When Ignition could not complete the deployment, e.g. when constructor args changed
+ */
+async function deployAll(hre, params, manifest, options = {}) {
+  const { ethers } = hre;
+  const log = options.log || console.log;
+  const { deploymentDir } = options;
+  const [deployer] = await ethers.getSigners();
+
+  // A local node restarted since the last run has lost the contracts its journal points to
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId === 31337n) {
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+      if ((await ethers.provider.getCode(entry.address)) !== "0x") continue;
+      log(`${name}: nothing deployed at ${entry.address} anymore, deploying again`);
+      if (deploymentDir) fs.rmSync(deploymentDir, { recursive: true, force: true });
+      manifest.contracts = {};
+      break;
+    }
+  }
+
+  const artifactResolver = new HardhatArtifactResolver(hre);
+  const result = await deploy({
+    config: { ...hre.config.ignition, requiredConfirmations: params.confirmations },
+    provider: hre.network.provider,
+    artifactResolver,
+    deploymentDir,
+    ignitionModule: POLYGON_MODULES[params.moduleId],
+    deploymentParameters: params.ignition,
+    accounts: await hre.network.provider.request({ method: "eth_accounts" }),
+    defaultSender: deployer.address
+  });
+  if (result.type !== DeploymentResultType.SUCCESSFUL_DEPLOYMENT) {
+    throw new Error(errorDeploymentResultToExceptionMessage(result));
+  }
+
+  // Without a journal there is no transaction to point at, only the addresses
+  const transactions = deploymentDir ? await listTransactions(deploymentDir, artifactResolver) : [];
+  const addresses = {};
+  const deployed = [];
+  for (const contract of Object.values(result.contracts)) {
+    const { contractName } = contract;
+    const address = getAddress(contract.address);
+    addresses[contractName] = address;
+    const recorded = manifest.contracts[contractName];
+    if (recorded && recorded.address === address) {
+      log(`${contractName}: reusing ${address}`);
+      continue;
+    }
+
+    const tx = transactions.find(t => t.type === "DEPLOYMENT_EXECUTION_STATE" && t.address && getAddress(t.address) === address);
+    const receipt = tx ? await ethers.provider.getTransactionReceipt(tx.txHash) : null;
+    manifest.record(contractName, {
+      address,
+      txHash: tx ? tx.txHash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      args: tx ? tx.params.map(arg => (isAddress(arg) ? getAddress(arg) : arg)) : null,
+      deployer: tx ? getAddress(tx.from) : deployer.address
+    });
+    deployed.push(contractName);
+    log(`${contractName}: deployed to ${address}${receipt ? ` in block ${receipt.blockNumber}` : ""}`);
+  }
+
+  const feeds = {};
+  for (const [symbol, feed] of Object.entries(params.oracles)) {
+    feeds[symbol] = feed === MOCK_ORACLE ? addresses.MockOracle : feed;
+  }
+
+  return {
+    flashLoan: await ethers.getContractAt("FlashLoanPolygon", addresses.FlashLoanPolygon),
+    priceOracle: await ethers.getContractAt("PriceOraclePolygon", addresses.PriceOraclePolygon),
+    mockOracle: params.mockOracle ? await ethers.getContractAt("MockOracle", addresses.MockOracle) : null,
+    feeds,
+    deployer: deployer.address,
+    deployed
+  };
+}
+
+/**
+ * What deployAll would return for a recorded deployment, without sending anything
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} params - Parameters from loadParameters
+ * @param {Manifest} manifest - Recorded deployments
+ * @returns {Promise<Object>} { flashLoan, priceOracle, feeds, deployer }
+ * @throws When a contract is missing from the manifest or has no code
+ */
+async function loadDeployment(hre, params, manifest) {
+  const contracts = {};
+  for (const name of ["FlashLoanPolygon", "PriceOraclePolygon", ...(params.mockOracle ? ["MockOracle"] : [])]) {
+    const entry = manifest.contracts[name];
+    if (!entry) throw new Error(`${name} is not in ${manifest.filePath}; deploy it first`);
+    if ((await hre.ethers.provider.getCode(entry.address)) === "0x") throw new Error(`${name}: no contract at ${entry.address}`);
+    contracts[name] = await hre.ethers.getContractAt(name, entry.address);
+  }
+
+  const feeds = {};
+  for (const [symbol, feed] of Object.entries(params.oracles)) {
+    feeds[symbol] = feed === MOCK_ORACLE ? manifest.contracts.MockOracle.address : feed;
+  }
+  return {
+    flashLoan: contracts.FlashLoanPolygon,
+    priceOracle: contracts.PriceOraclePolygon,
+    feeds,
+    deployer: manifest.contracts.FlashLoanPolygon.deployer
+  };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  MOCK_ORACLE,
+  loadParameters,
+  Manifest,
+  deployAll,
+  loadDeployment
+};
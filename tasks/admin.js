@@ -0,0 +1,53 @@
+const path = require("path");
+const readline = require("readline");
+const { scope } = require("hardhat/config");
+const { DEPLOYMENTS_DIR, loadParameters, Manifest, loadDeployment } = require("../scripts/lib/deployments");
+const { ACTIONS, adminContext, planAction, executePlan } = require("../scripts/lib/admin");
+
+/**
+ * Operator actions on the deployed FlashLoanPolygon. Each one shows the settings it changes
+ * before and after, then asks before sending; --dry-run simulates the transactions instead.
+ *
+ *   npx hardhat admin set-fee --fee 0.5% --network polygon
+ *   npx hardhat admin set-risk-config --token WETH --max-loan 250 --ltv 80% --risk-score 300 --network polygon
+ *   npx hardhat admin pause --dry-run --network polygon
+ */
+const admin = scope("admin", "Operator actions on the deployed FlashLoanPolygon");
+
+function ask(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => prompt.question(`${question} [y/N] `, answer => {
+    prompt.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  }));
+}
+
+for (const [name, action] of Object.entries(ACTIONS)) {
+  const definition = admin.task(name, action.description);
+  for (const [param, description] of action.params) definition.addParam(param, description);
+  definition
+    .addOptionalParam("deployment", "Deployment to act on (deploy/ and deployments/ file name), defaults to the network name")
+    .addFlag("dryRun", "Simulate the transactions without sending them")
+    .addFlag("yes", "Send without asking for confirmation")
+    .setAction(async (args, hre) => {
+      const deploymentName = args.deployment || hre.network.name;
+      const params = loadParameters(deploymentName, hre.ethers.getAddress);
+      const file = path.join(DEPLOYMENTS_DIR, `${deploymentName}.json`);
+
+      // A fork answers with its own chain id, so only a live network is held to the recorded one
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const manifest = Manifest.load(file, deploymentName, args.deployment && args.deployment !== hre.network.name ? null : Number(chainId));
+      const { flashLoan } = await loadDeployment(hre, params, manifest);
+
+      const [operator] = await hre.ethers.getSigners();
+      const context = await adminContext(flashLoan.connect(operator), params.tokens);
+      console.log(`FlashLoanPolygon at ${await flashLoan.getAddress()} on ${hre.network.name} (chain ${chainId}), operator ${context.signer}\n`);
+
+      const plan = await planAction(context, name, args);
+      await executePlan(plan, {
+        dryRun: args.dryRun,
+        confirm: question => (args.yes ? Promise.resolve(true) : ask(question)),
+        confirmations: params.confirmations
+      });
+    });
+}
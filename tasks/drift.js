@@ -0,0 +1,37 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { DEPLOYMENTS_DIR, loadParameters, Manifest, loadDeployment } = require("../scripts/lib/deployments");
+const { desiredState, readState, diffState, formatTable } = require("../scripts/lib/configurator");
+
+/**
+ * Compare the deployed contracts with the configuration in deploy/<deployment>.json and
+ * report every setting that differs. Read-only; exits non-zero when anything drifted.
+ *
+ * Against a fork of mainnet, name the deployment to check:
+ *   FORK_URL=https://polygon-rpc.com npx hardhat drift --deployment polygon
+ */
+task("drift", "Report configuration drift of the deployed contracts")
+  .addOptionalParam("deployment", "Deployment to check (deploy/ and deployments/ file name), defaults to the network name")
+  .setAction(async ({ deployment: name }, hre) => {
+    const deploymentName = name || hre.network.name;
+    const params = loadParameters(deploymentName, hre.ethers.getAddress);
+    const file = path.join(DEPLOYMENTS_DIR, `${deploymentName}.json`);
+
+    // A fork answers with its own chain id, so only a live network is held to the recorded one
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifest = Manifest.load(file, deploymentName, name && name !== hre.network.name ? null : Number(chainId));
+    const deployment = await loadDeployment(hre, params, manifest);
+
+    const contracts = { FlashLoanPolygon: deployment.flashLoan, PriceOraclePolygon: deployment.priceOracle };
+    const desired = desiredState(params, deployment);
+    const changes = diffState(await readState(contracts, desired, params.tokens), desired, params.tokens);
+
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+    if (changes.length === 0) {
+      console.log(`No drift in ${deploymentName} at block ${blockNumber}`);
+      return;
+    }
+    console.log(`${changes.length} setting(s) of ${deploymentName} drifted at block ${blockNumber}:\n`);
+    console.log(formatTable(changes));
+    process.exitCode = 1;
+  });
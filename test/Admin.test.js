@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadParameters, Manifest, deployAll } = require("../scripts/lib/deployments");
+const { parseAmount, parseBps, formatBps, adminContext, planAction, executePlan } = require("../scripts/lib/admin");
+
+describe("Admin CLI", function () {
+  const { ethers } = hre;
+  const quiet = () => {};
+  const yes = async () => true;
+  let flashLoan;
+  let usdc;
+  let context;
+
+  beforeEach(async function () {
+    // A real token at the USDC address, so the insurance reserve can be funded
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC");
+    const params = loadParameters("hardhat", ethers.getAddress);
+    const args = { ...params.ignition.FlashLoanPolygonTestnetModule, USDC: await usdc.getAddress() };
+    const tokens = { ...params.tokens, USDC: await usdc.getAddress() };
+
+    ({ flashLoan } = await deployAll(hre, { ...params, tokens, ignition: { FlashLoanPolygonTestnetModule: args } },
+      Manifest.load(null, "hardhat", 31337), { log: quiet }));
+    context = await adminContext(flashLoan, tokens);
+  });
+
+  it("Should parse amounts and rates written for humans", function () {
+    expect(parseAmount("10,000", 6)).to.equal(10000000000n);
+    expect(parseAmount("1.5m", 18)).to.equal(ethers.parseEther("1500000"));
+    expect(() => parseAmount("0.0000001", 6)).to.throw("more decimals than the token's 6");
+    expect(parseBps("0.25%")).to.equal(25n);
+    expect(parseBps("100bps")).to.equal(100n);
+    expect(() => parseBps("1")).to.throw("give a unit");
+    expect(formatBps(50n)).to.equal("50 bps (0.5%)");
+  });
+
+  it("Should show the fee before and after, send once confirmed and then have nothing to do", async function () {
+    const plan = await planAction(context, "set-fee", { fee: "0.5%" });
+    expect(plan.changes).to.deep.equal([{
+      contract: "FlashLoanPolygon",
+      setting: "protocolFeeBps",
+      current: formatBps(await flashLoan.protocolFeeBps()),
+      desired: "50 bps (0.5%)"
+    }]);
+
+    const sent = await executePlan(plan, { confirm: yes, log: quiet });
+    expect(sent.map(call => call.method)).to.deep.equal(["setProtocolFee"]);
+    expect(await flashLoan.protocolFeeBps()).to.equal(50);
+    expect(await executePlan(await planAction(context, "set-fee", { fee: "50bps" }), { confirm: yes, log: quiet })).to.deep.equal([]);
+  });
+
+  it("Should simulate without sending on a dry run, and send nothing when declined", async function () {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const lines = [];
+
+    await executePlan(await planAction(context, "pause", {}), { dryRun: true, log: line => lines.push(line) });
+    expect(lines.join("\n")).to.match(/FlashLoanPolygon\.emergencyPause\(\): simulated, \d+ gas/);
+    await executePlan(await planAction(context, "pause", {}), { confirm: async () => false, log: quiet });
+
+    expect(await flashLoan.paused()).to.equal(false);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("Should report a call that would revert on a dry run", async function () {
+    await executePlan(await planAction(context, "pause", {}), { confirm: yes, log: quiet });
+    // Already paused is caught as nothing to change, so revert from a forced plan instead
+    const plan = await planAction(context, "pause", {});
+    plan.changes[0].current = "off";
+
+    try {
+      await executePlan(plan, { dryRun: true, log: quiet });
+      expect.fail("executePlan should have thrown");
+    } catch (error) {
+      expect(error.message).to.match(/^FlashLoanPolygon\.emergencyPause\(\) would revert/);
+    }
+  });
+
+  it("Should parse risk config units against the token's decimals", async function () {
+    const plan = await planAction(context, "set-risk-config", { token: "usdc", maxLoan: "250k", ltv: "80%", riskScore: "300" });
+    expect(plan.changes.map(change => [change.setting, change.desired])).to.deep.equal([
+      ["riskConfigs[USDC].maxLoanAmount", "250000.0 USDC"],
+      ["riskConfigs[USDC].ltvRatio", "8000 bps (80.0%)"],
+      ["riskConfigs[USDC].riskScore", "300"],
+      ["riskConfigs[USDC].isActive", "true"]
+    ]);
+    await executePlan(plan, { confirm: yes, log: quiet });
+
+    const config = await flashLoan.getAssetRiskConfig(await usdc.getAddress());
+    expect(config.maxLoanAmount).to.equal(ethers.parseEther("250000"));
+    expect(config.ltvRatio).to.equal(8000);
+    expect(config.riskScore).to.equal(300);
+    await expect(planAction(context, "set-risk-config", { token: "USDC", maxLoan: "1", ltv: "101%", riskScore: "1" }))
+      .to.be.rejectedWith("--ltv must be at most 100%");
+  });
+
+  it("Should approve and then fund the insurance reserve", async function () {
+    // The mock mints its supply to the deployer; park it elsewhere so the operator holds exactly 10k
+    const [operator, treasury] = await ethers.getSigners();
+    await usdc.transfer(treasury.address, await usdc.balanceOf(operator.address));
+    await usdc.mint(operator.address, ethers.parseEther("10000"));
+
+    const plan = await planAction(context, "add-insurance", { amount: "5,000" });
+    expect(plan.calls.map(call => call.method)).to.deep.equal(["approve", "addToInsuranceReserve"]);
+    expect(plan.changes[0]).to.deep.include({ current: "0.0 USDC", desired: "5000.0 USDC" });
+    await executePlan(plan, { confirm: yes, log: quiet });
+
+    expect(await flashLoan.insuranceReserveBalance()).to.equal(ethers.parseEther("5000"));
+    expect(await usdc.balanceOf(operator.address)).to.equal(ethers.parseEther("5000"));
+    await expect(planAction(context, "add-insurance", { amount: "6k" }))
+      .to.be.rejectedWith(`${operator.address} holds 5000.0 USDC, less than 6000.0 USDC`);
+  });
+
+  it("Should refuse owner actions from another account", async function () {
+    const [, stranger] = await ethers.getSigners();
+    const strangerContext = await adminContext(flashLoan.connect(stranger), {});
+
+    await expect(planAction(strangerContext, "set-fee-recipient", { recipient: stranger.address }))
+      .to.be.rejectedWith(`is owned by ${(await ethers.getSigners())[0].address}, not ${stranger.address}; its owner has to set-fee-recipient`);
+  });
+});
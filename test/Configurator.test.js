@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadParameters, Manifest, deployAll } = require("../scripts/lib/deployments");
+const { desiredState, readState, diffState, formatTable, applyChanges } = require("../scripts/lib/configurator");
+
+describe("Configurator", function () {
+  const { ethers } = hre;
+  const quiet = () => {};
+  let params;
+  let deployment;
+  let contracts;
+
+  const plan = async (overrides = {}) => {
+    const wanted = { ...params, ...overrides };
+    const desired = desiredState(wanted, deployment);
+    return diffState(await readState(contracts, desired, wanted.tokens), desired, wanted.tokens);
+  };
+
+  beforeEach(async function () {
+    params = loadParameters("hardhat", ethers.getAddress);
+    deployment = await deployAll(hre, params, Manifest.load(null, "hardhat", 31337), { log: quiet });
+    contracts = { FlashLoanPolygon: deployment.flashLoan, PriceOraclePolygon: deployment.priceOracle };
+  });
+
+  it("Should send only what differs from the constructor defaults", async function () {
+    const changes = await plan();
+    // Constructor defaults already cover the main router, USDC feed, default risk configs, fee and DEXes
+    expect(changes.map(change => `${change.contract}.${change.method}`)).to.deep.equal([
+      "FlashLoanPolygon.addSupportedRouter",
+      "PriceOraclePolygon.addChainlinkOracle"
+    ]);
+
+    await applyChanges(contracts, changes, { log: quiet });
+    expect(await deployment.flashLoan.supportedRouters(params.routers[0])).to.equal(true);
+    expect(await plan()).to.deep.equal([]);
+  });
+
+  it("Should reconcile changed risk configs, fee and recipient", async function () {
+    const [, , recipient] = await ethers.getSigners();
+    await applyChanges(contracts, await plan(), { log: quiet });
+
+    const riskConfigs = { ...params.riskConfigs, WMATIC: { maxLoanAmount: "50000000000000000000000", ltvRatio: 7000, riskScore: 400 } };
+    const changes = await plan({ riskConfigs, protocolFeeBps: 50, feeRecipient: recipient.address });
+    expect(changes.map(change => change.setting)).to.deep.equal(["riskConfigs[WMATIC]", "protocolFeeBps", "feeRecipient"]);
+    expect(changes[0].current).to.deep.equal({ maxLoanAmount: "0", ltvRatio: "0", riskScore: "0", isActive: false });
+
+    await applyChanges(contracts, changes, { log: quiet });
+    const config = await deployment.flashLoan.getAssetRiskConfig(params.tokens.WMATIC);
+    expect(config.maxLoanAmount).to.equal(50000n * 10n ** 18n);
+    expect(await deployment.flashLoan.protocolFeeBps()).to.equal(50);
+    expect(await deployment.flashLoan.feeRecipient()).to.equal(recipient.address);
+  });
+
+  it("Should hand ownership over in two steps, last", async function () {
+    const [, multisig] = await ethers.getSigners();
+    const changes = await plan({ owner: multisig.address });
+    expect(changes.slice(-2).map(change => `${change.contract}.${change.method}`)).to.deep.equal([
+      "FlashLoanPolygon.transferOwnership",
+      "PriceOraclePolygon.transferOwnership"
+    ]);
+
+    await applyChanges(contracts, changes, { log: quiet });
+    expect(await deployment.flashLoan.pendingOwner()).to.equal(multisig.address);
+    expect(await deployment.priceOracle.pendingOwner()).to.equal(multisig.address);
+
+    // Until the multisig accepts there is nothing left to send
+    const waiting = await plan({ owner: multisig.address });
+    expect(waiting.map(change => change.method)).to.deep.equal([null, null]);
+
+    await deployment.flashLoan.connect(multisig).acceptOwnership();
+    await deployment.priceOracle.connect(multisig).acceptOwnership();
+    expect(await plan({ owner: multisig.address })).to.deep.equal([]);
+
+    // The deployer can no longer configure
+    try {
+      await applyChanges(contracts, await plan({ owner: multisig.address, protocolFeeBps: 10 }), { log: quiet });
+      expect.fail("applyChanges should have thrown");
+    } catch (error) {
+      expect(error.message).to.match(/^FlashLoanPolygon is owned by 0x[0-9a-fA-F]{40}, not 0x[0-9a-fA-F]{40}; its owner has to make these changes/);
+    }
+  });
+
+  it("Should report a pause as drift without lifting it", async function () {
+    await applyChanges(contracts, await plan(), { log: quiet });
+    await deployment.flashLoan.emergencyPause();
+    await deployment.flashLoan.setProtocolFee(300);
+
+    const changes = await plan();
+    expect(changes.map(change => [change.setting, change.method])).to.deep.equal([
+      ["protocolFeeBps", "setProtocolFee"],
+      ["paused", null]
+    ]);
+    expect(formatTable(changes).split("\n")).to.deep.equal([
+      "Contract         | Setting        | On chain | Expected",
+      "-----------------|----------------|----------|---------",
+      "FlashLoanPolygon | protocolFeeBps | 300      | 100",
+      "FlashLoanPolygon | paused         | true     | false"
+    ]);
+
+    await applyChanges(contracts, changes, { log: quiet });
+    expect(await deployment.flashLoan.paused()).to.equal(true);
+  });
+
+  it("Should only let the pending owner accept the oracle", async function () {
+    const [, multisig, attacker] = await ethers.getSigners();
+    await deployment.priceOracle.transferOwnership(multisig.address);
+
+    await expect(deployment.priceOracle.connect(attacker).acceptOwnership()).to.be.revertedWith("Not pending owner");
+    await expect(deployment.priceOracle.connect(multisig).acceptOwnership())
+      .to.emit(deployment.priceOracle, "OwnershipTransferred");
+    expect(await deployment.priceOracle.owner()).to.equal(multisig.address);
+    expect(await deployment.priceOracle.pendingOwner()).to.equal(ethers.ZeroAddress);
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { MOCK_ORACLE, loadParameters, Manifest, deployAll } = require("../scripts/lib/deployments");
+
+describe("Deployment pipeline", function () {
+  const { ethers } = hre;
+  const quiet = () => {};
+  let dir;
+  let file;
+  let params;
+  let options;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    file = path.join(dir, "hardhat.json");
+    params = loadParameters("hardhat", ethers.getAddress);
+    options = { deploymentDir: path.join(dir, "ignition"), log: quiet };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy the testnet module on the mock feed and record it", async function () {
+    const [deployer] = await ethers.getSigners();
+    const { flashLoan, mockOracle, feeds, deployed } = await deployAll(hre, params, Manifest.load(file, "hardhat", 31337), options);
+
+    expect(params.moduleId).to.equal("FlashLoanPolygonTestnetModule");
+    expect(deployed).to.have.members(["MockOracle", "FlashLoanPolygon", "PriceOraclePolygon"]);
+    const feed = await mockOracle.getAddress();
+    expect(params.oracles.USDC).to.equal(MOCK_ORACLE);
+    expect(feeds).to.deep.equal({ USDC: feed });
+    expect(await flashLoan.tokenOracles(params.tokens.USDC)).to.equal(feed);
+
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(saved.chainId).to.equal(31337);
+    const entry = saved.contracts.FlashLoanPolygon;
+    expect(entry.address).to.equal(await flashLoan.getAddress());
+    expect(entry.args[6]).to.equal(feed);
+    expect(entry.args[7]).to.equal(deployer.address);
+    const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+    expect(receipt.blockNumber).to.equal(entry.blockNumber);
+  });
+
+  it("Should reuse the journaled deployment on a second run", async function () {
+    const first = await deployAll(hre, params, Manifest.load(file, "hardhat", 31337), options);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deployAll(hre, params, Manifest.load(file, "hardhat", 31337), options);
+    expect(second.deployed).to.deep.equal([]);
+    expect(await second.flashLoan.getAddress()).to.equal(await first.flashLoan.getAddress());
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("Should refuse to reuse a contract deployed with other constructor args", async function () {
+    await deployAll(hre, params, Manifest.load(file, "hardhat", 31337), options);
+    const [, , feeRecipient] = await ethers.getSigners();
+    const args = { ...params.ignition.FlashLoanPolygonTestnetModule, feeRecipient: feeRecipient.address };
+
+    try {
+      await deployAll(hre, { ...params, ignition: { FlashLoanPolygonTestnetModule: args } }, Manifest.load(file, "hardhat", 31337), options);
+      expect.fail("deployAll should have thrown");
+    } catch (error) {
+      expect(error.message).to.include("reconciliation errors");
+      expect(error.message).to.include("FlashLoanPolygonTestnetModule#FlashLoanPolygon: Argument at index 7 has been changed");
+    }
+  });
+
+  it("Should deploy without recording transactions when there is no journal", async function () {
+    const manifest = Manifest.load(null, "hardhat", 31337);
+    const { flashLoan, deployed } = await deployAll(hre, params, manifest, { log: quiet });
+
+    expect(deployed).to.have.members(["MockOracle", "FlashLoanPolygon", "PriceOraclePolygon"]);
+    expect(manifest.contracts.FlashLoanPolygon).to.deep.include({ address: await flashLoan.getAddress(), txHash: null, args: null });
+  });
+
+  it("Should deploy the BSC testnet module with a mock in place of CROX", async function () {
+    const FlashLoanInstitutionalTestnetModule = require("../ignition/modules/FlashLoanInstitutionalTestnet");
+    const parameters = JSON.parse(fs.readFileSync(path.join(__dirname, "../ignition/parameters/bscTestnet.json"), "utf8"));
+
+    const { flashLoan, mockToken } = await hre.ignition.deploy(FlashLoanInstitutionalTestnetModule, { parameters });
+
+    const testnet = parameters.FlashLoanInstitutionalTestnetModule;
+    expect(await mockToken.symbol()).to.equal("CROX");
+    expect(await flashLoan.CROX()).to.equal(await mockToken.getAddress());
+    expect(await flashLoan.router()).to.equal(testnet.router);
+    expect(await flashLoan.BUSD()).to.equal(testnet.BUSD);
+  });
+
+  it("Should deploy the mock DEX with the router on its factory", async function () {
+    const MockUniswapModule = require("../ignition/modules/MockUniswap");
+    const { mockFactory, mockRouter } = await hre.ignition.deploy(MockUniswapModule);
+
+    expect(await mockRouter.factory()).to.equal(await mockFactory.getAddress());
+  });
+
+  it("Should refuse a manifest recorded on another chain", function () {
+    fs.writeFileSync(file, JSON.stringify({ network: "polygon", chainId: 137, contracts: {} }));
+    expect(() => Manifest.load(file, "hardhat", 31337)).to.throw(`${file} records chain 137, not 31337`);
+  });
+});
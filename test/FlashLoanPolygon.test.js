@@ -82,8 +82,30 @@ describe("FlashLoanPolygon", function () {
       ).to.be.revertedWithCustomError(flashLoan, "OwnableUnauthorizedAccount");
     });
 
-    // Note: 2-step ownership transfer is not implemented in this contract
-    // The contract uses standard Ownable from OpenZeppelin v5
+    it("Should only hand over ownership once the new owner accepts", async function () {
+      await expect(flashLoan.connect(owner).transferOwnership(user.address))
+        .to.emit(flashLoan, "OwnershipTransferStarted")
+        .withArgs(owner.address, user.address);
+      expect(await flashLoan.owner()).to.equal(owner.address);
+      expect(await flashLoan.pendingOwner()).to.equal(user.address);
+
+      await expect(flashLoan.connect(user).acceptOwnership())
+        .to.emit(flashLoan, "OwnershipTransferred")
+        .withArgs(owner.address, user.address);
+      expect(await flashLoan.owner()).to.equal(user.address);
+      expect(await flashLoan.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reject acceptOwnership from any account but the pending owner", async function () {
+      await flashLoan.connect(owner).transferOwnership(user.address);
+
+      await expect(flashLoan.connect(attacker).acceptOwnership())
+        .to.be.revertedWithCustomError(flashLoan, "OwnableUnauthorizedAccount")
+        .withArgs(attacker.address);
+      await expect(flashLoan.connect(owner).acceptOwnership())
+        .to.be.revertedWithCustomError(flashLoan, "OwnableUnauthorizedAccount");
+      expect(await flashLoan.owner()).to.equal(owner.address);
+    });
   });
 
   describe("Input Validation", function () {
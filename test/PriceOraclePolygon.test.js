@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PriceOraclePolygon", function () {
+  let oracle;
+  let owner, newOwner, attacker;
+
+  beforeEach(async function () {
+    [owner, newOwner, attacker] = await ethers.getSigners();
+
+    const PriceOraclePolygon = await ethers.getContractFactory("PriceOraclePolygon");
+    oracle = await PriceOraclePolygon.deploy();
+    await oracle.waitForDeployment();
+  });
+
+  describe("Ownership", function () {
+    it("Should only hand over ownership once the new owner accepts", async function () {
+      await expect(oracle.transferOwnership(newOwner.address))
+        .to.emit(oracle, "OwnershipTransferStarted")
+        .withArgs(owner.address, newOwner.address);
+      expect(await oracle.owner()).to.equal(owner.address);
+      expect(await oracle.pendingOwner()).to.equal(newOwner.address);
+
+      await expect(oracle.connect(newOwner).acceptOwnership())
+        .to.emit(oracle, "OwnershipTransferred")
+        .withArgs(owner.address, newOwner.address);
+      expect(await oracle.owner()).to.equal(newOwner.address);
+      expect(await oracle.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reject acceptOwnership from any account but the pending owner", async function () {
+      await expect(oracle.connect(attacker).acceptOwnership()).to.be.revertedWith("Not pending owner");
+
+      await oracle.transferOwnership(newOwner.address);
+      await expect(oracle.connect(attacker).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await expect(oracle.acceptOwnership()).to.be.revertedWith("Not pending owner");
+      expect(await oracle.owner()).to.equal(owner.address);
+    });
+
+    it("Should only let the owner start a transfer", async function () {
+      await expect(oracle.connect(attacker).transferOwnership(attacker.address)).to.be.revertedWith("Not owner");
+      expect(await oracle.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+  });
+});